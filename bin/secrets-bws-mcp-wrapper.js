@@ -3,20 +3,30 @@
  * bws-mcp-wrapper
  *
  * Responsibility: CLI entry point for the bws-mcp-wrapper tool. Parses
- * command-line arguments and delegates injection parsing, secret fetching,
- * environment construction, and server launch to lib/secrets-bws-wrapper-commands.
+ * command-line arguments and delegates injection parsing, secret fetching and
+ * environment construction to lib/secrets-bws-wrapper-commands, and server
+ * launch, signal forwarding and restarts to lib/secrets-bws-supervisor.
  *
  * Public Interface:
  * bws-mcp-wrapper (CLI)
- * └── [--secret KEY (--env VAR | --arg FLAG)]... -- <command> [args...]
+ * └── [--grace-period S] [--restart [--max-restarts N] [--restart-delay S]] [--redact | --redact-stdout]
+ *     [--config FILE [--server NAME]] [--secret KEY (--env VAR | --arg FLAG | --file VAR_OR_FLAG)]... -- <command> [args...]
  */
 
 import {
   parseInjections,
   fetchSecretsForKeys,
+  writeSecretFiles,
+  removeSecretFiles,
   buildChildEnvAndArgs,
-  launchServer,
 } from '../lib/secrets-bws-wrapper-commands.js';
+import { extractSupervisorArgs, superviseServer } from '../lib/secrets-bws-supervisor.js';
+import { extractRedactArgs, redactionPatterns, createRedactor } from '../lib/secrets-bws-redactor.js';
+import {
+  extractConfigArgs,
+  loadWrapperConfig,
+  mergeInjections,
+} from '../lib/secrets-bws-wrapper-config.js';
 // Local die() — bin/ files own process.exit per error boundary convention.
 function die(msg) { console.error(msg); process.exit(1); }
 
@@ -28,21 +38,47 @@ function printUsage() {
   console.log('bws-mcp-wrapper - Inject Bitwarden secrets into an MCP server process');
   console.log();
   console.log('Usage:');
-  console.log('  bws-mcp-wrapper [--secret KEY (--env VAR | --arg FLAG)]... -- <command> [args...]');
+  console.log('  bws-mcp-wrapper [--config FILE [--server NAME]] [--secret KEY (--env VAR | --arg FLAG | --file VAR_OR_FLAG)]... -- <command> [args...]');
   console.log();
   console.log('Options:');
-  console.log('  --secret KEY  Bitwarden SM key to fetch');
-  console.log('  --env VAR     Inject secret as environment variable VAR');
-  console.log('  --arg FLAG    Inject secret as CLI argument FLAG <value>');
+  console.log('  --config FILE  JSON file declaring secrets to inject');
+  console.log('  --server NAME  Also inject the secrets of server NAME in the config file');
+  console.log('  --secret KEY   Bitwarden SM key to fetch; project/KEY picks the key in that');
+  console.log('                 project (BWS_STRICT_KEYS=1: ambiguous bare keys are errors)');
+  console.log('  --env VAR      Inject secret as environment variable VAR');
+  console.log('  --arg FLAG     Inject secret as CLI argument FLAG <value>');
+  console.log('  --file TARGET  Write secret to a private temp file and pass its path as');
+  console.log('                 CLI argument TARGET <path> (if TARGET starts with -) or');
+  console.log('                 environment variable TARGET. Deleted when the server exits.');
+  console.log();
+  console.log('Supervision:');
+  console.log('  --grace-period S   Seconds to wait after forwarding SIGINT/SIGTERM/SIGHUP');
+  console.log('                     before sending SIGKILL (default 10)');
+  console.log('  --restart          Restart the server when it crashes, re-fetching secrets');
+  console.log('  --max-restarts N   Consecutive restarts before giving up (default 10)');
+  console.log('  --restart-delay S  Initial restart backoff in seconds, doubled each time');
+  console.log('                     up to 60 (default 1)');
+  console.log();
+  console.log('Redaction:');
+  console.log('  --redact           Replace injected values in the server\'s stderr with ***KEY***');
+  console.log('  --redact-stdout    Also redact stdout (JSON-safe; may briefly delay output that');
+  console.log('                     looks like the start of a secret)');
   console.log();
   console.log('Examples:');
   console.log('  bws-mcp-wrapper --secret MY_DB_URL --env DATABASE_URL -- npx my-mcp-server');
   console.log('  bws-mcp-wrapper --secret MY_API_KEY --arg --api-key -- npx my-mcp-server');
+  console.log('  bws-mcp-wrapper --secret GCP_SA_JSON --file GOOGLE_APPLICATION_CREDENTIALS -- npx my-mcp-server');
+  console.log('  bws-mcp-wrapper --config wrapper.json --server postgres -- npx my-mcp-server');
   console.log();
   console.log('Required environment variables:');
   console.log('  HAL_BWS_ACCESS_TOKEN      Bitwarden SM machine account token');
   console.log('  HAL_BWS_ORGANIZATION_ID   Bitwarden organization UUID');
   console.log();
+  console.log('Optional environment variables:');
+  console.log('  BWS_CACHE_TTL             Reuse an encrypted local copy of the last sync for');
+  console.log('                            this many seconds (servers started together sync once)');
+  console.log('  BWS_CACHE_SERVE_STALE     1 = start from an expired cache if BWS is unreachable');
+  console.log();
 }
 
 // ---------------------------------------------------------------------------
@@ -57,7 +93,7 @@ if (rawArgs[0] === '--help' || rawArgs[0] === '-h') {
 
 const separatorIdx = rawArgs.indexOf('--');
 if (separatorIdx === -1) {
-  die('Missing -- separator before server command.\nUsage: bws-mcp-wrapper [--secret KEY (--env VAR | --arg FLAG)]... -- <command> [args...]');
+  die('Missing -- separator before server command.\nUsage: bws-mcp-wrapper [--config FILE [--server NAME]] [--secret KEY (--env VAR | --arg FLAG | --file VAR_OR_FLAG)]... -- <command> [args...]');
 }
 
 const wrapperArgs = rawArgs.slice(0, separatorIdx);
@@ -68,8 +104,22 @@ if (serverCmd.length === 0) {
 }
 
 let injections;
+let supervisorOptions;
+let redact;
 try {
-  injections = parseInjections(wrapperArgs);
+  const supervisor = extractSupervisorArgs(wrapperArgs);
+  supervisorOptions = supervisor.options;
+  const redaction = extractRedactArgs(supervisor.rest);
+  redact = redaction.redact;
+  const { configPath, serverName, rest } = extractConfigArgs(redaction.rest);
+  if (configPath === null) {
+    injections = parseInjections(rest);
+  } else {
+    // With a config file, CLI --secret flags are optional extras/overrides
+    const cliInjections = rest.length > 0 ? parseInjections(rest) : [];
+    injections = mergeInjections(loadWrapperConfig(configPath, serverName), cliInjections);
+    if (injections.length === 0) die(`No secrets to inject: config '${configPath}' declares none and no --secret flags were given`);
+  }
 } catch (err) {
   die(err.message);
 }
@@ -84,9 +134,37 @@ if (argModeKeys.length > 0) {
 // Main
 // ---------------------------------------------------------------------------
 async function main() {
-  const secretValues       = await fetchSecretsForKeys(injections.map(inj => inj.bwsKey));
-  const { env, extraArgs } = buildChildEnvAndArgs(injections, secretValues, process.env);
-  launchServer([serverCmd[0], ...serverCmd.slice(1), ...extraArgs], env);
+  const keys         = [...new Set(injections.map(inj => inj.bwsKey))];
+  // A key may be missing only if every injection using it is optional or has a default
+  const optionalKeys = keys.filter(key => injections
+    .filter(inj => inj.bwsKey === key)
+    .every(inj => inj.optional || inj.default !== undefined));
+
+  // Called before every (re)start so a restarted server picks up rotated secrets
+  async function start() {
+    const secretValues       = await fetchSecretsForKeys(keys, optionalKeys);
+    const secretFiles        = writeSecretFiles(injections, secretValues);
+    const { env, extraArgs } = buildChildEnvAndArgs(injections, secretValues, process.env, secretFiles?.paths);
+
+    let patterns = [];
+    if (redact.stderr) {
+      const result = redactionPatterns(secretValues);
+      patterns = result.patterns;
+      if (result.skipped.length > 0) {
+        console.error(`WARN: Not redacting values shorter than 4 characters. Keys: ${result.skipped.join(', ')}`);
+      }
+    }
+
+    return {
+      command: [...serverCmd, ...extraArgs],
+      env,
+      cleanup: secretFiles ? () => removeSecretFiles(secretFiles.dir) : undefined,
+      stderr:  redact.stderr ? createRedactor(patterns) : undefined,
+      stdout:  redact.stdout ? createRedactor(patterns) : undefined,
+    };
+  }
+
+  process.exit(await superviseServer(start, supervisorOptions));
 }
 
 main().catch(err => {
@@ -6,55 +6,212 @@
  * Delegates all command logic to lib/secrets-bws-commands via Commander.js.
  *
  * Public Interface:
- * secrets-bws (CLI)
- * ├── list [--project <name>] [--json]
- * ├── get <key>
- * ├── set <key> <value> [--project <name>] [--note <text>]
- * ├── move <pattern> <project>
- * ├── delete <key>
- * └── projects [list|create <name>|delete <name>]
+ * secrets-bws (CLI)   [--strict] [--no-cache] [--no-agent] [--dry-run [--json]] before the command
+ * ├── list [--project <name>] [--tag <tag>]... [--owner <name>] [--json]
+ * ├── get <[project/]key> [--project <name>]
+ * ├── set <[project/]key> <value> [--project <name>] [--note <text>]
+ * ├── generate <[project/]key> [--project <name>] [--length <n>] [--charset <set>|--format <fmt>] [--note <text>] [--if-missing] [--show]
+ * ├── rotate <[project/]key> --value-from-stdin | --generate [--length <n>] [--charset <set>|--format <fmt>] [--show]
+ * ├── rollback <[project/]key> [--project <name>]
+ * ├── meta set <[project/]key> [--project <name>] [--tag <tag>]... [--untag <tag>]... [--owner <name>] [--expires <date>]
+ * ├── expiring [--within <duration>] [--project <name>] [--tag <tag>]... [--owner <name>] [--json]
+ * ├── move <[project/]pattern> <project> [--from <name>]
+ * ├── rename <[project/]key|pattern> <new key|pattern> [--project <name>] [--force]
+ * ├── copy <[project/]key|pattern> <new key|pattern> [--project <name>] [--to-project <name>] [--force]
+ * ├── promote --from <project> --to <project> [--map FROM=TO]... [--keys <glob>] [--yes]
+ * ├── delete <[project/]key|pattern> [--project <name>] [--yes]
+ * ├── export [--project <name>] [--pattern <glob>] [--format <fmt>] [--out <file>]
+ * ├── import <file> [--project <name>] [--format <fmt>] [--on-conflict skip|overwrite|fail] [--dry-run]
+ * ├── render <template> [-o <file>]
+ * ├── run [--project <name>] [--pattern <glob>] [--prefix <str>] [--map KEY=VAR]... -- <command> [args...]
+ * ├── projects [list|create <name>|delete <name>]
+ * ├── plan <manifest> [--prune] [--json]
+ * ├── apply <manifest> [--prune]
+ * ├── snapshot [--out <file>] [--salt-from <snapshot>]
+ * ├── diff <snapshot> [<snapshot>|live] [--json]
+ * ├── backup --out <file>
+ * ├── restore <file> [--only <glob>] [--on-conflict skip|overwrite|fail] [--dry-run]
+ * ├── doctor [--config <file>] [--json] [--list-rules]
+ * ├── sync [--full]
+ * ├── cache clear
+ * ├── agent start [--foreground] | stop | status
+ * ├── audit [--key <glob>] [--since <time>] [--json] | --verify
+ * └── mcp [--allow-read <glob>]...
  */
 
 import { Command } from 'commander';
 import {
-  cmdList, cmdGet, cmdSet, cmdMove, cmdDelete,
-  cmdProjects, cmdProjectsCreate, cmdProjectsDelete,
+  cmdList, cmdGet, cmdSet, cmdGenerate, cmdMeta, cmdExpiring, cmdRotate, cmdRollback, cmdMove, cmdRename, cmdCopy, cmdPromote, cmdDelete, cmdRun, cmdExport, cmdImport, cmdRender,
+  cmdProjects, cmdProjectsCreate, cmdProjectsDelete, cmdPlan, cmdApply, cmdSnapshot, cmdDiff, cmdBackup, cmdRestore, cmdDoctor, cmdSync, cmdCacheClear,
+  cmdAgentStart, cmdAgentStop, cmdAgentStatus, cmdAudit, cmdMcp,
 } from '../lib/secrets-bws-commands.js';
 
 const program = new Command();
 program
   .name('secrets-bws')
-  .description('Manage secrets via Bitwarden Secrets Manager');
+  .description('Manage secrets via Bitwarden Secrets Manager')
+  // Lets `run` pass options after its command straight through to the child
+  .enablePositionalOptions()
+  .option('--strict', 'Fail when a bare key exists in more than one project (same as BWS_STRICT_KEYS=1)')
+  .option('--no-cache', 'Bypass the local store (same as BWS_NO_CACHE=1)')
+  .option('--no-agent', 'Do not use a running secrets agent (same as BWS_NO_AGENT=1)')
+  .option('--dry-run', 'Show what set, generate, meta set, rotate, rollback, move, rename, copy, promote, delete, import, apply, restore and projects create|delete would change, without writing')
+  .option('--json', 'With --dry-run, print the plan as JSON')
+  .hook('preAction', () => {
+    if (program.opts().strict) process.env.BWS_STRICT_KEYS = '1';
+    if (!program.opts().cache) process.env.BWS_NO_CACHE = '1';
+    if (!program.opts().agent) process.env.BWS_NO_AGENT = '1';
+    if (program.opts().dryRun) process.env.BWS_DRY_RUN = program.opts().json ? 'json' : '1';
+  });
+
+function collect(value, previous) { return [...previous, value]; }
 
 program.command('list')
-  .description('List all secrets')
+  .description('List all secrets, with tags, owner, expiry and note when set')
   .option('--project <name>', 'Filter by project')
+  .option('--tag <tag>', 'Only secrets with this tag (repeatable: all of them)', collect, [])
+  .option('--owner <name>', 'Only secrets with this owner')
   .option('--json', 'Output as JSON')
   .action(async (opts) => { await cmdList(opts); });
 
 program.command('get')
   .description('Get a secret value by key')
-  .argument('<key>', 'Secret key name')
-  .action(async (key) => { await cmdGet(key); });
+  .argument('<key>', 'Secret key name, optionally as project/KEY')
+  .option('--project <name>', 'Only look in this project')
+  .action(async (key, opts) => { await cmdGet(key, opts); });
 
 program.command('set')
   .description('Create or update a secret')
-  .argument('<key>', 'Secret key name')
+  .argument('<key>', 'Secret key name, optionally as project/KEY')
   .argument('<value>', 'Secret value')
-  .option('--project <name>', 'Project to assign')
+  .option('--project <name>', 'Create or update the secret in this project (auto-created)')
   .option('--note <text>', 'Note text')
   .action(async (key, value, opts) => { await cmdSet(key, value, opts); });
 
+program.command('generate')
+  .description('Create or update a secret with a randomly generated value (printed only with --show)')
+  .argument('<key>', 'Secret key name, optionally as project/KEY')
+  .option('--project <name>', 'Create or update the secret in this project (auto-created)')
+  .option('--length <n>', 'Characters, random bytes (base64/hex) or words (passphrase)')
+  .option('--charset <set>', 'alnum, symbols or hex (default alnum)')
+  .option('--format <fmt>', 'base64, hex, uuid or passphrase instead of a charset')
+  .option('--note <text>', 'Note text')
+  .option('--if-missing', 'Leave an existing secret unchanged')
+  .option('--show', 'Print the generated value to stdout')
+  .action(async (key, opts) => { await cmdGenerate(key, opts); });
+
+program.command('rotate')
+  .description('Replace a secret\'s value, keeping the current one in KEY__PREVIOUS')
+  .argument('<key>', 'Secret key name, optionally as project/KEY')
+  .option('--project <name>', 'Only look in this project')
+  .option('--value-from-stdin', 'Read the new value from stdin')
+  .option('--generate', 'Generate the new value (see generate)')
+  .option('--length <n>', 'With --generate: characters, random bytes (base64/hex) or words (passphrase)')
+  .option('--charset <set>', 'With --generate: alnum, symbols or hex (default alnum)')
+  .option('--format <fmt>', 'With --generate: base64, hex, uuid or passphrase instead of a charset')
+  .option('--show', 'With --generate: print the new value to stdout')
+  .action(async (key, opts) => { await cmdRotate(key, opts); });
+
+program.command('rollback')
+  .description('Restore the value a secret had before its last rotation (swapping it with KEY__PREVIOUS)')
+  .argument('<key>', 'Secret key name, optionally as project/KEY')
+  .option('--project <name>', 'Only look in this project')
+  .action(async (key, opts) => { await cmdRollback(key, opts); });
+
+const metaCmd = program.command('meta').description('Manage tags, owner and expiry kept in secret notes');
+metaCmd.command('set').description('Change the tags, owner or expiry of a secret, keeping the rest of its note')
+  .argument('<key>', 'Secret key name, optionally as project/KEY')
+  .option('--project <name>', 'Only look in this project')
+  .option('--tag <tag>', 'Add a tag (repeatable)', collect, [])
+  .option('--untag <tag>', 'Remove a tag (repeatable)', collect, [])
+  .option('--owner <name>', "Set the owner ('' removes it)")
+  .option('--expires <date>', "Set the expiry date, YYYY-MM-DD ('' removes it)")
+  .action(async (key, opts) => { await cmdMeta(key, opts); });
+
+program.command('expiring')
+  .description('List secrets whose expiry date has passed or falls within a period')
+  .option('--within <duration>', 'Period from now, e.g. 7d, 30d', '30d')
+  .option('--project <name>', 'Only secrets in this project')
+  .option('--tag <tag>', 'Only secrets with this tag (repeatable: all of them)', collect, [])
+  .option('--owner <name>', 'Only secrets with this owner')
+  .option('--json', 'Output as JSON')
+  .action(async (opts) => { await cmdExpiring(opts); });
+
 program.command('move')
   .description('Move secrets matching pattern to a project')
-  .argument('<pattern>', 'Key pattern (supports * wildcard)')
+  .argument('<pattern>', 'Key pattern (supports * wildcard), optionally as project/PATTERN')
   .argument('<project>', 'Target project name')
-  .action(async (pattern, project) => { await cmdMove(pattern, project); });
+  .option('--from <name>', 'Only move secrets currently in this project')
+  .action(async (pattern, project, opts) => { await cmdMove(pattern, project, opts); });
+
+program.command('rename')
+  .description('Rename secrets, keeping value, note and project (LMB_* -> LMBX_* carries the * over)')
+  .argument('<key>', 'Key or pattern (supports * wildcard), optionally as project/PATTERN')
+  .argument('<new>', 'New key, or a pattern with as many * as <key>')
+  .option('--project <name>', 'Only secrets in this project')
+  .option('--force', 'Overwrite secrets that already have the new key')
+  .action(async (key, newKey, opts) => { await cmdRename(key, newKey, opts); });
+
+program.command('copy')
+  .description('Copy secrets to new keys with their value and note (LMB_* -> LMBX_* carries the * over)')
+  .argument('<key>', 'Key or pattern (supports * wildcard), optionally as project/PATTERN')
+  .argument('<new>', 'New key, or a pattern with as many * as <key>')
+  .option('--project <name>', 'Only copy secrets in this project')
+  .option('--to-project <name>', 'Put the copies in this project (auto-created) instead of the source project')
+  .option('--force', 'Overwrite secrets that already have the new key')
+  .action(async (key, newKey, opts) => { await cmdCopy(key, newKey, opts); });
+
+program.command('promote')
+  .description('Compare two projects key by key (never showing values) and copy missing and different values across')
+  .requiredOption('--from <project>', 'Source project, e.g. myapp-staging')
+  .requiredOption('--to <project>', 'Target project, e.g. myapp-prod (auto-created)')
+  .option('--map <FROM=TO>', 'Map source keys to target keys, e.g. STAGING_*=PROD_* (repeatable)', collect, [])
+  .option('--keys <glob>', 'Only source keys matching (supports * wildcard)')
+  .option('--yes', 'Copy without asking for confirmation')
+  .action(async (opts) => { await cmdPromote(opts); });
 
 program.command('delete')
-  .description('Delete a secret by key')
-  .argument('<key>', 'Secret key name')
-  .action(async (key) => { await cmdDelete(key); });
+  .description('Delete a secret by key, or every secret matching a pattern')
+  .argument('<key>', 'Secret key name or pattern (supports * wildcard), optionally as project/KEY')
+  .option('--project <name>', 'Only look in this project')
+  .option('--yes', 'Delete pattern matches without asking for confirmation')
+  .action(async (key, opts) => { await cmdDelete(key, opts); });
+
+program.command('run')
+  .description('Run a command with secrets injected as environment variables')
+  .option('--project <name>', 'Inject every secret in this project')
+  .option('--pattern <glob>', 'Inject secrets whose key matches (supports * wildcard)')
+  .option('--prefix <str>', 'Strip this prefix from keys to form variable names')
+  .option('--map <KEY=VAR>', 'Inject KEY as VAR (repeatable)', collect, [])
+  .argument('<command...>', 'Command and arguments (after --)')
+  .passThroughOptions()
+  .action(async (command, opts) => { process.exit(await cmdRun(command, opts)); });
+
+program.command('export')
+  .description('Export secret values (dotenv, json, yaml or shell)')
+  .option('--project <name>', 'Only secrets in this project')
+  .option('--pattern <glob>', 'Only keys matching (supports * wildcard)')
+  .option('--format <fmt>', 'dotenv, json, yaml or shell', 'dotenv')
+  .option('--out <file>', 'Write to a 0600 file instead of stdout')
+  .action(async (opts) => { await cmdExport(opts); });
+
+program.command('import')
+  .description('Import secrets from a dotenv, json, yaml or shell file')
+  .argument('<file>', 'File to import (format inferred from extension)')
+  .option('--project <name>', 'Project to assign (auto-created)')
+  .option('--format <fmt>', 'dotenv, json, yaml or shell')
+  .option('--on-conflict <mode>', 'skip, overwrite or fail when a key exists', 'skip')
+  .option('--dry-run', 'Show what would be imported without writing (same as the global --dry-run)')
+  .action(async (file, opts) => {
+    if (opts.dryRun) process.env.BWS_DRY_RUN ||= '1';
+    await cmdImport(file, opts);
+  });
+
+program.command('render')
+  .description('Render a template, substituting {{ bws "KEY" }} placeholders')
+  .argument('<template>', 'Template file')
+  .option('-o, --out <file>', 'Write to a 0600 file instead of stdout')
+  .action(async (template, opts) => { await cmdRender(template, opts); });
 
 const projectsCmd = program.command('projects').description('Manage BWS projects');
 projectsCmd.command('list').description('List all projects')
@@ -68,6 +225,86 @@ projectsCmd.command('delete').description('Delete a project')
 // Default: bare "projects" with no subcommand = "projects list"
 projectsCmd.action(async () => { await cmdProjects(); });
 
+program.command('plan')
+  .description('Show what apply would change to match a manifest of projects, keys and notes')
+  .argument('<manifest>', 'Manifest file (YAML, or JSON with a .json extension)')
+  .option('--prune', 'Include deleting projects the manifest does not list')
+  .option('--json', 'Output as JSON')
+  .action(async (file, opts) => { await cmdPlan(file, opts); });
+
+program.command('apply')
+  .description('Create projects, move secrets and set notes to match a manifest')
+  .argument('<manifest>', 'Manifest file (YAML, or JSON with a .json extension)')
+  .option('--prune', 'Delete projects the manifest does not list (their secrets become unassigned)')
+  .action(async (file, opts) => { await cmdApply(file, opts); });
+
+program.command('snapshot')
+  .description('Record keys, projects, notes and salted value fingerprints (never values)')
+  .option('--out <file>', 'Write to a 0600 file instead of stdout')
+  .option('--salt-from <snapshot>', 'Reuse the salt of an earlier snapshot so values can be compared')
+  .action(async (opts) => { await cmdSnapshot(opts); });
+
+program.command('diff')
+  .description('Show secrets added, removed, moved or changed between two snapshots, or a snapshot and live')
+  .argument('<snapshot>', 'Earlier snapshot file')
+  .argument('[other]', 'Later snapshot file, or "live" for the current organization', 'live')
+  .option('--json', 'Output as JSON')
+  .action(async (fileA, fileB, opts) => { await cmdDiff(fileA, fileB, opts); });
+
+program.command('backup')
+  .description('Write all projects and secrets to a passphrase-encrypted file (BWS_BACKUP_PASSPHRASE or prompt)')
+  .requiredOption('--out <file>', 'Backup file (created 0600)')
+  .action(async (opts) => { await cmdBackup(opts); });
+
+program.command('restore')
+  .description('Recreate missing projects and secrets from a backup')
+  .argument('<file>', 'Backup file written by backup')
+  .option('--only <glob>', 'Only secrets whose KEY or project/KEY matches (supports * wildcard)')
+  .option('--on-conflict <mode>', 'skip, overwrite or fail when a secret differs from the backup', 'skip')
+  .option('--dry-run', 'Show what would be restored without writing (same as the global --dry-run)')
+  .action(async (file, opts) => {
+    if (opts.dryRun) process.env.BWS_DRY_RUN ||= '1';
+    await cmdRestore(file, opts);
+  });
+
+program.command('doctor')
+  .description('Check for duplicate keys and projects, unassigned secrets, empty values and projects, and key naming')
+  .option('--config <file>', 'JSON file changing rule severities ("off" disables) and options')
+  .option('--json', 'Output findings as JSON')
+  .option('--list-rules', 'Show the rules and their severities instead of checking')
+  .action(async (opts) => { await cmdDoctor(opts); });
+
+program.command('sync')
+  .description('Update the local store (BWS_LOCAL_STORE / BWS_CACHE_TTL) with an incremental sync')
+  .option('--full', 'Discard the local store and download every secret again')
+  .action(async (opts) => { await cmdSync(opts); });
+
+const cacheCmd = program.command('cache').description('Manage the local store (BWS_LOCAL_STORE / BWS_CACHE_TTL)');
+cacheCmd.command('clear').description('Delete the stored secrets for the current access token')
+  .action(async () => { await cmdCacheClear(); });
+
+const agentCmd = program.command('agent').description('Run a local agent that keeps one authenticated session for all commands');
+agentCmd.command('start').description('Start the agent in the background')
+  .option('--foreground', 'Run in this process until stopped')
+  .action(async (opts) => { await cmdAgentStart(opts); });
+agentCmd.command('stop').description('Stop the running agent')
+  .action(async () => { await cmdAgentStop(); });
+agentCmd.command('status').description('Show whether the agent is running')
+  .action(async () => { await cmdAgentStatus(); });
+
+program.command('audit')
+  .description('Show the audit log of secret operations (BWS_AUDIT_LOG)')
+  .option('--key <glob>', 'Only entries for keys matching (KEY or project/KEY, supports * wildcard)')
+  .option('--since <time>', 'Only entries since a date/time or an age (30m, 12h, 7d)')
+  .option('--json', 'Output as JSON')
+  .option('--verify', 'Check the hash chain and fail if entries were modified, removed or reordered')
+  .action(async (opts) => { await cmdAudit(opts); });
+
+program.command('mcp')
+  .description('Serve secret management as MCP tools over stdio')
+  .option('--allow-read <glob>', 'Allow get_secret for keys (or project/KEY) matching (repeatable)', collect, [])
+  .action(async (opts) => { await cmdMcp(opts); });
+
 program.parseAsync(process.argv).catch((err) => {
   console.error('ERROR: ' + err.message);
   process.exit(1);
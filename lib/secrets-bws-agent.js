@@ -0,0 +1,276 @@
+/**
+ * secrets-bws-agent
+ *
+ * Responsibility: Long-running local secrets agent. One process holds an
+ * authenticated backend client and an in-memory snapshot of the organization's
+ * secrets and serves them over a Unix domain socket (0600, in a directory only
+ * its owner can enter). The CLI and wrapper reach it through an agent client
+ * with the same secrets()/projects() surface as the SDK.
+ *
+ * Public Interface:
+ * secrets-bws-agent
+ * ├── agentRequest(socketPath, op, args?, options?): Promise<any>   (rejects on agent errors)
+ * ├── createAgentClient(socketPath, options?): AgentClient
+ * │   ├── secrets(): { list, sync, create, update, delete }
+ * │   └── projects(): { list, create, delete }
+ * ├── connectAgent(socketPath): Promise<AgentClient | null>
+ * └── startAgentServer(socketPath, options): Promise<{ stopped: Promise<void> }>
+ *
+ * Protocol: each connection carries one request line — {"op", "args"} — and
+ * receives one response line — {"ok": true, "result"} or {"ok": false,
+ * "error"}. A request line longer than MAX_REQUEST_LENGTH is refused. Ops: ping, status, stop, secrets.list, secrets.sync,
+ * secrets.create, secrets.update, secrets.delete, projects.list,
+ * projects.create, projects.delete. Client method arguments are passed as
+ * `args` unchanged (Dates travel as ISO strings).
+ */
+
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { syncSnapshot } from './secrets-bws-cache.js';
+
+const PING_TIMEOUT_MS    = 1_000;
+const REQUEST_TIMEOUT_MS = 60_000;
+const MAX_REQUEST_LENGTH = 1024 * 1024;
+
+// ---------------------------------------------------------------------------
+// Client side
+// ---------------------------------------------------------------------------
+
+/**
+ * Send one request to the agent and resolve to its result. Agent-side errors
+ * reject with the agent's message.
+ * @param {{ timeoutMs?: number }} [options]
+ */
+function agentRequest(socketPath, op, args = [], { timeoutMs } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffer = '';
+    let timer  = null;
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Secrets agent on '${socketPath}' did not respond within ${timeoutMs}ms — ` +
+          `restart it ('secrets-bws agent stop', then 'agent start') or bypass it with --no-agent`));
+      }, timeoutMs);
+    }
+
+    socket.setEncoding('utf8');
+    socket.on('connect', () => socket.write(JSON.stringify({ op, args }) + '\n'));
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const nl = buffer.indexOf('\n');
+      if (nl === -1) return;
+      clearTimeout(timer);
+      socket.end();
+      let response;
+      try {
+        response = JSON.parse(buffer.slice(0, nl));
+      } catch (_) {
+        reject(new Error('Agent sent an invalid response'));
+        return;
+      }
+      if (response.ok) resolve(response.result);
+      else reject(new Error(response.error));
+    });
+    socket.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    // A no-op once the promise has settled
+    socket.on('close', () => {
+      clearTimeout(timer);
+      reject(new Error('Agent closed the connection without responding'));
+    });
+  });
+}
+
+/**
+ * Client whose methods are forwarded to the agent at socketPath. A call the
+ * agent does not answer within timeoutMs rejects rather than hanging; it is
+ * not retried without the agent, since a write may still have gone through.
+ * @param {{ timeoutMs?: number }} [options]
+ */
+function createAgentClient(socketPath, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const call = (op) => (...args) => agentRequest(socketPath, op, args, { timeoutMs });
+  const secrets = {
+    list:   call('secrets.list'),
+    sync:   call('secrets.sync'),
+    create: call('secrets.create'),
+    update: call('secrets.update'),
+    delete: call('secrets.delete'),
+  };
+  const projects = {
+    list:   call('projects.list'),
+    create: call('projects.create'),
+    delete: call('projects.delete'),
+  };
+  return {
+    secrets:  () => secrets,
+    projects: () => projects,
+  };
+}
+
+/**
+ * Return an agent client if an agent owned by the current user answers on
+ * socketPath, otherwise null — callers then fall back to direct access.
+ */
+async function connectAgent(socketPath) {
+  try {
+    const stat = fs.statSync(socketPath);
+    if (!stat.isSocket() || (process.getuid && stat.uid !== process.getuid())) return null;
+    await agentRequest(socketPath, 'ping', [], { timeoutMs: PING_TIMEOUT_MS });
+    return createAgentClient(socketPath);
+  } catch (_) {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Server side
+// ---------------------------------------------------------------------------
+
+/**
+ * Create the socket's directory (0700) if needed and refuse one that other
+ * users could enter or replace the socket in.
+ */
+function prepareSocketDir(socketPath) {
+  const dir = path.dirname(socketPath);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const stat = fs.statSync(dir);
+  if ((process.getuid && stat.uid !== process.getuid()) || (stat.mode & 0o077) !== 0) {
+    throw new Error(`Refusing to use agent directory '${dir}': it must be owned by you with mode 0700`);
+  }
+}
+
+/**
+ * Connect to the backend and serve agent requests on socketPath until a stop
+ * request or SIGINT/SIGTERM. Reads (secrets.sync without a lastSyncedDate,
+ * projects.list) come from an in-memory snapshot that is revalidated with an
+ * incremental sync once older than ttlMs; writes go to the backend and drop
+ * the snapshot. A stale socket file left by a dead agent is replaced.
+ *
+ * @param {string} socketPath
+ * @param {{ connect: () => Promise<object>, ttlMs: number }} options
+ * @returns {Promise<{ stopped: Promise<void> }>} Resolves once listening
+ */
+async function startAgentServer(socketPath, { connect, ttlMs }) {
+  // Fail before listening when the credentials are wrong
+  const client    = await connect();
+  const startedAt = Date.now();
+  let snapshot    = null;
+  let refreshing  = null;
+  let requests    = 0;
+
+  function current(orgId) {
+    if (snapshot?.orgId === orgId && Date.now() - snapshot.syncedAt < ttlMs) return snapshot;
+    refreshing ??= syncSnapshot(client, orgId, snapshot?.orgId === orgId ? snapshot : null)
+      .then(fresh => (snapshot = fresh))
+      .finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  async function mutate(fn) {
+    try {
+      return await fn();
+    } finally {
+      snapshot = null;
+    }
+  }
+
+  let shutdown;
+  const handlers = {
+    'ping':   () => ({ pid: process.pid }),
+    'status': () => ({
+      pid:       process.pid,
+      socket:    socketPath,
+      startedAt: new Date(startedAt).toISOString(),
+      requests,
+      secrets:   snapshot ? snapshot.secrets.length : null,
+      syncedAt:  snapshot ? new Date(snapshot.syncedAt).toISOString() : null,
+    }),
+    'stop': () => {
+      setImmediate(() => shutdown());
+      return { pid: process.pid };
+    },
+    'secrets.list': ([orgId]) => client.secrets().list(orgId),
+    'secrets.sync': async ([orgId, since]) => {
+      if (since) return client.secrets().sync(orgId, new Date(since));
+      return { hasChanges: true, secrets: (await current(orgId)).secrets };
+    },
+    'secrets.create':  (args) => mutate(() => client.secrets().create(...args)),
+    'secrets.update':  (args) => mutate(() => client.secrets().update(...args)),
+    'secrets.delete':  (args) => mutate(() => client.secrets().delete(...args)),
+    'projects.list':   async ([orgId]) => ({ data: (await current(orgId)).projects }),
+    'projects.create': (args) => mutate(() => client.projects().create(...args)),
+    'projects.delete': (args) => mutate(() => client.projects().delete(...args)),
+  };
+
+  async function handle(line) {
+    try {
+      const { op, args } = JSON.parse(line);
+      if (!Object.hasOwn(handlers, op)) throw new Error(`Unknown agent op '${op}'`);
+      requests++;
+      return { ok: true, result: await handlers[op](Array.isArray(args) ? args : []) };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  const server = net.createServer(socket => {
+    let buffer   = '';
+    let answered = false;
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      if (answered) return;
+      buffer += chunk;
+      const nl = buffer.indexOf('\n');
+      if (nl === -1 && buffer.length <= MAX_REQUEST_LENGTH) return;
+      answered   = true;
+      const line = buffer.slice(0, nl);
+      buffer     = '';
+      if (nl === -1 || nl > MAX_REQUEST_LENGTH) {
+        socket.end(JSON.stringify({ ok: false, error: `Request too large (over ${MAX_REQUEST_LENGTH} characters)` }) + '\n');
+        return;
+      }
+      handle(line).then(response => socket.end(JSON.stringify(response) + '\n'));
+    });
+  });
+
+  prepareSocketDir(socketPath);
+  try {
+    fs.unlinkSync(socketPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  // The umask makes the socket 0600 from the moment it exists
+  const umask = process.umask(0o177);
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, resolve);
+    });
+  } finally {
+    process.umask(umask);
+  }
+
+  const stopped = new Promise(resolve => {
+    shutdown = () => {
+      for (const signal of ['SIGINT', 'SIGTERM']) process.removeListener(signal, shutdown);
+      server.close(() => resolve());
+      try {
+        fs.unlinkSync(socketPath);
+      } catch (_) {}
+    };
+  });
+  for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, shutdown);
+  return { stopped };
+}
+
+export {
+  agentRequest,
+  createAgentClient,
+  connectAgent,
+  startAgentServer,
+};
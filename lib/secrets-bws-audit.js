@@ -0,0 +1,236 @@
+/**
+ * secrets-bws-audit
+ *
+ * Responsibility: Append-only JSONL audit log of secret operations. Each entry
+ * records key names, project, operation, outcome, the caller's command line,
+ * user and PID — never values — and carries the hash of the previous entry,
+ * so editing, removing or reordering entries breaks the chain. Appends from
+ * concurrent processes are serialized with a lock file.
+ *
+ * Public Interface:
+ * secrets-bws-audit
+ * ├── appendAuditEntry(file, fields): Promise<AuditEntry>
+ * ├── readAuditLog(file): AuditEntry[]   (throws on a line that is not JSON)
+ * ├── verifyAuditLog(entries): { ok, count, lastHash, line?, error? }
+ * ├── auditCommandLine(argv, values?): string[]
+ * ├── recordAudit(fields, options?): Promise<void>   (never throws — WARNs instead)
+ * └── audited(op, request, fn, describe?): Promise<any>
+ *
+ * Entry: { seq, time, op, keys, project, outcome: "ok"|"error"|"cancelled",
+ * error?, failed?, dryRun?, user, pid, ppid, command, prev, hash }. `hash` is the SHA-256 of
+ * `prev` followed by the entry's JSON without `hash`; the first entry's `prev`
+ * is 64 zeros.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { getAuditSettings, getDryRunMode } from './secrets-bws-client.js';
+
+const GENESIS_HASH     = '0'.repeat(64);
+const LOCK_TIMEOUT_MS  = 5_000;
+const LOCK_STALE_MS    = 10_000;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+function entryHash(prev, body) {
+  return crypto.createHash('sha256').update(prev).update(JSON.stringify(body)).digest('hex');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run fn while holding `${file}.lock`. A lock older than LOCK_STALE_MS is
+ * assumed to belong to a crashed process and is taken over.
+ */
+async function withLock(file, fn) {
+  const lock     = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lock, String(process.pid), { flag: 'wx', mode: 0o600 });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      let stale = false;
+      try {
+        stale = Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS;
+      } catch (_) {
+        continue; // released in the meantime
+      }
+      if (stale) {
+        fs.rmSync(lock, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for the audit log lock '${lock}'`);
+      await sleep(20);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+/** The last entry of the log, read from its tail, or null for a missing or empty log. */
+function readLastEntry(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    let tail = Buffer.alloc(0);
+    let pos  = fs.fstatSync(fd).size;
+    while (pos > 0) {
+      const len   = Math.min(TAIL_CHUNK_BYTES, pos);
+      const chunk = Buffer.alloc(len);
+      pos -= len;
+      fs.readSync(fd, chunk, 0, len, pos);
+      tail = Buffer.concat([chunk, tail]);
+      const text = tail.toString('utf8').replace(/\n+$/, '');
+      const nl   = text.lastIndexOf('\n');
+      if (nl !== -1 || pos === 0) {
+        const line = text.slice(nl + 1);
+        if (line === '') return null;
+        try {
+          return JSON.parse(line);
+        } catch (_) {
+          throw new Error(`the last line of '${file}' is not valid JSON — run 'secrets-bws audit --verify'`);
+        }
+      }
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Append one entry, chained to the current last entry. `fields` supplies op,
+ * keys, project, outcome and the optional error/failed/dryRun/command; the
+ * rest is filled in here.
+ */
+async function appendAuditEntry(file, fields) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  return withLock(file, () => {
+    const last = readLastEntry(file);
+    const body = {
+      seq:     last ? last.seq + 1 : 1,
+      time:    new Date().toISOString(),
+      op:      fields.op,
+      keys:    (fields.keys ?? []).filter(k => k !== undefined && k !== null),
+      project: fields.project ?? null,
+      outcome: fields.outcome,
+      ...(fields.error  !== undefined && { error: fields.error }),
+      ...(fields.failed !== undefined && { failed: fields.failed }),
+      ...(fields.dryRun && { dryRun: true }),
+      user:    os.userInfo().username,
+      pid:     process.pid,
+      ppid:    process.ppid,
+      command: fields.command ?? auditCommandLine(process.argv),
+      prev:    last ? last.hash : GENESIS_HASH,
+    };
+    const entry = { ...body, hash: entryHash(body.prev, body) };
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    return entry;
+  });
+}
+
+/** Every entry in the log; a missing log has none. */
+function readAuditLog(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text.split('\n').filter(line => line !== '').map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (_) {
+      throw new Error(`Audit log line ${i + 1} is not valid JSON`);
+    }
+  });
+}
+
+/**
+ * Check the hash chain. Reports the first broken entry (1-based line) or, for
+ * an intact log, its length and last hash — keep that hash elsewhere to also
+ * detect entries removed from the end.
+ */
+function verifyAuditLog(entries) {
+  let prev = GENESIS_HASH;
+  for (let i = 0; i < entries.length; i++) {
+    const { hash, ...body } = entries[i];
+    const fail = (error) => ({ ok: false, count: entries.length, lastHash: null, line: i + 1, error });
+    if (body.prev !== prev)              return fail('it does not link to the previous entry (entries removed or reordered)');
+    if (body.seq !== i + 1)              return fail(`its sequence number is ${body.seq}, expected ${i + 1}`);
+    if (entryHash(prev, body) !== hash)  return fail('its content does not match its hash (entry modified)');
+    prev = hash;
+  }
+  return { ok: true, count: entries.length, lastHash: entries.length > 0 ? prev : null };
+}
+
+/**
+ * The command line to record: the program name and its arguments, with any
+ * argument that contains one of `values` (e.g. the value passed to `set`)
+ * replaced by ***.
+ */
+function auditCommandLine(argv, values = []) {
+  const secrets = values.filter(v => typeof v === 'string' && v !== '');
+  return [path.basename(argv[1] ?? argv[0]), ...argv.slice(2)].map(arg =>
+    secrets.some(v => arg === v || (v.length >= 4 && arg.includes(v))) ? '***' : arg
+  );
+}
+
+/**
+ * Append an entry to the configured log (see getAuditSettings). Failing to
+ * write the log never fails the operation; it prints a WARN instead.
+ * @param {object} fields  See appendAuditEntry
+ * @param {{ values?: string[] }} [options]  Values to scrub from the command line
+ */
+async function recordAudit(fields, { values = [] } = {}) {
+  let file = null;
+  try {
+    ({ file } = getAuditSettings());
+    if (!file) return;
+    const dryRun = getDryRunMode() !== null;
+    await appendAuditEntry(file, { ...fields, dryRun, command: auditCommandLine(process.argv, values) });
+  } catch (err) {
+    console.error(`WARN: Could not write the audit log${file ? ` '${file}'` : ''}: ${err.message}`);
+  }
+}
+
+/**
+ * Run fn and record its outcome as an `op` entry. `request` ({ keys, project,
+ * values }) describes what was asked for; on success `describe(result)` may
+ * replace it with what was actually touched (resolved keys, failures).
+ */
+async function audited(op, request, fn, describe = () => ({})) {
+  const { values, ...fields } = request;
+  let result;
+  try {
+    result = await fn();
+  } catch (err) {
+    await recordAudit({ op, ...fields, outcome: 'error', error: err.message }, { values });
+    throw err;
+  }
+  await recordAudit({ op, ...fields, outcome: 'ok', ...describe(result) }, { values });
+  return result;
+}
+
+export {
+  appendAuditEntry,
+  readAuditLog,
+  verifyAuditLog,
+  auditCommandLine,
+  recordAudit,
+  audited,
+};
@@ -0,0 +1,140 @@
+/**
+ * secrets-bws-backup
+ *
+ * Responsibility: Passphrase-encrypted backups of a whole organization — all
+ * projects and all secrets with their values, notes and project assignments —
+ * and the plan for restoring one: which projects and secrets are missing,
+ * identical or in conflict.
+ *
+ * Public Interface:
+ * secrets-bws-backup
+ * ├── createBackupPayload({ orgId, secrets, projects }): BackupPayload
+ * ├── encryptBackup(payload, passphrase): string
+ * ├── decryptBackup(text, passphrase): BackupPayload   (throws on a wrong passphrase or a modified file)
+ * └── planRestore(payload, secrets, projects, { only? }): RestorePlan
+ *
+ * File: one JSON envelope { format: "secrets-bws-backup", version: 1,
+ * cipher: "aes-256-gcm", kdf: { name: "scrypt", N, r, p, salt }, iv, tag,
+ * data }. The key is derived from the passphrase with scrypt; the header
+ * fields (format, version, cipher, kdf) are authenticated as additional
+ * data, so they cannot be altered (e.g. to weaker scrypt parameters)
+ * without decryption failing.
+ *
+ * BackupPayload: { createdAt, organizationId, projects: string[],
+ *                  secrets: [{ key, value, note, project }] }
+ */
+
+import crypto from 'node:crypto';
+import { buildProjectIdMap, globMatch } from './secrets-bws-helpers.js';
+
+const BACKUP_FORMAT  = 'secrets-bws-backup';
+const BACKUP_VERSION = 1;
+const CIPHER         = 'aes-256-gcm';
+const SCRYPT         = { N: 2 ** 15, r: 8, p: 1 };
+// scrypt needs 128 * N * r bytes; leave headroom over node's 32 MiB default
+const SCRYPT_MAXMEM  = 64 * 1024 * 1024;
+
+function deriveKey(passphrase, { N, r, p, salt }) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+function headerData({ format, version, cipher, kdf }) {
+  return Buffer.from(JSON.stringify({ format, version, cipher, kdf }), 'utf8');
+}
+
+/** Everything a restore needs, from fetchAllSecrets and projects().list() data. */
+function createBackupPayload({ orgId, secrets, projects }) {
+  const idMap = buildProjectIdMap(projects);
+  return {
+    createdAt:      new Date().toISOString(),
+    organizationId: orgId,
+    projects:       projects.map(p => p.name).sort(),
+    secrets:        secrets.map(s => ({
+      key:     s.key,
+      value:   s.value,
+      note:    s.note ?? '',
+      project: idMap[s.projectId] ?? null,
+    })),
+  };
+}
+
+function encryptBackup(payload, passphrase) {
+  const header = {
+    format:  BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    cipher:  CIPHER,
+    kdf:     { name: 'scrypt', ...SCRYPT, salt: crypto.randomBytes(16).toString('base64') },
+  };
+  const iv     = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, header.kdf), iv);
+  cipher.setAAD(headerData(header));
+  const data   = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    ...header,
+    iv:   iv.toString('base64'),
+    tag:  cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }) + '\n';
+}
+
+function decryptBackup(text, passphrase) {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch (_) {
+    throw new Error('not a secrets-bws backup');
+  }
+  if (envelope?.format !== BACKUP_FORMAT) throw new Error('not a secrets-bws backup');
+  if (envelope.version !== BACKUP_VERSION) {
+    throw new Error(`unsupported backup version ${envelope.version} (expected ${BACKUP_VERSION})`);
+  }
+  if (envelope.cipher !== CIPHER || envelope.kdf?.name !== 'scrypt') {
+    throw new Error(`unsupported cipher or key derivation (expected ${CIPHER} with scrypt)`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, deriveKey(passphrase, envelope.kdf), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(headerData(envelope));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (_) {
+    throw new Error('wrong passphrase, or the file has been modified');
+  }
+}
+
+/**
+ * Compare a backup with the live organization. Secrets are matched by key
+ * and project; `only` (KEY or project/KEY glob) narrows the secrets, and then
+ * only the projects they need are restored.
+ * @returns {{ projects: string[], create: object[], identical: object[], conflicts: object[] }}
+ *   projects  — project names to create
+ *   create    — backup secrets that do not exist
+ *   identical — backup secrets that exist with the same value and note
+ *   conflicts — { ...backup secret, existing } where the value or note differs
+ */
+function planRestore(payload, secrets, projects, { only } = {}) {
+  const idMap    = buildProjectIdMap(projects);
+  const existing = new Set(projects.map(p => p.name));
+  const matches  = (s) => globMatch(only, s.key) || (s.project !== null && globMatch(only, `${s.project}/${s.key}`));
+  const selected = only ? payload.secrets.filter(matches) : payload.secrets;
+
+  const wanted = only
+    ? [...new Set(selected.map(s => s.project).filter(p => p !== null))]
+    : payload.projects;
+  const plan = { projects: wanted.filter(name => !existing.has(name)), create: [], identical: [], conflicts: [] };
+
+  for (const entry of selected) {
+    const live = secrets.find(s => s.key === entry.key && (idMap[s.projectId] ?? null) === entry.project);
+    if (!live) plan.create.push(entry);
+    else if (live.value === entry.value && (live.note ?? '') === entry.note) plan.identical.push(entry);
+    else plan.conflicts.push({ ...entry, existing: live });
+  }
+  return plan;
+}
+
+export {
+  createBackupPayload,
+  encryptBackup,
+  decryptBackup,
+  planRestore,
+};
@@ -0,0 +1,227 @@
+/**
+ * secrets-bws-cache
+ *
+ * Responsibility: Opt-in encrypted on-disk store of sync() and projects().list()
+ * results. Wraps a backend client so that reads within the TTL are served
+ * without logging in, expired data is revalidated with an incremental sync
+ * (lastSyncedDate) that downloads nothing when nothing changed, mutations go
+ * straight to the backend and invalidate the store, and — in serve-stale
+ * mode — expired data is used (with a WARN) when the backend cannot be reached.
+ *
+ * Public Interface:
+ * secrets-bws-cache
+ * ├── deriveCacheKey(token: string): Buffer
+ * ├── encryptCache(payload: object, key: Buffer): string
+ * ├── decryptCache(text: string, key: Buffer): object   (throws on a wrong key or tampering)
+ * ├── clearCache(file: string): boolean
+ * ├── syncSnapshot(client, orgId, previous?): Promise<Snapshot>
+ * ├── describeAge(ms: number): string
+ * └── createCachedClient(connect, options): CachedClient
+ *     ├── secrets(): { list, sync, create, update, delete }
+ *     └── projects(): { list, create, delete }
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const CACHE_VERSION = 1;
+const CIPHER        = 'aes-256-gcm';
+
+// The sync cursor comes from the local clock, which can run ahead of the
+// server's. Starting the next incremental sync this much earlier keeps a
+// change the server stamps "before" our cursor from being missed; the cost
+// is a full download when something changed within the margin.
+const SYNC_CURSOR_MARGIN_MS = 5 * 60_000;
+
+/**
+ * Derive the 256-bit cache encryption key from the access token (HKDF-SHA256).
+ * Anyone able to read the cache file also needs the token to decrypt it.
+ */
+function deriveCacheKey(token) {
+  return Buffer.from(crypto.hkdfSync('sha256', token, 'secrets-bws-cache', `v${CACHE_VERSION}`, 32));
+}
+
+/** Serialize and encrypt a cache payload. Returns the file content. */
+function encryptCache(payload, key) {
+  const iv     = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data   = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    version: CACHE_VERSION,
+    iv:      iv.toString('base64'),
+    tag:     cipher.getAuthTag().toString('base64'),
+    data:    data.toString('base64'),
+  }) + '\n';
+}
+
+/** Decrypt file content written by encryptCache. */
+function decryptCache(text, key) {
+  const envelope = JSON.parse(text);
+  if (envelope.version !== CACHE_VERSION) throw new Error(`unsupported cache version ${envelope.version}`);
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+/** Remove the cache file. Returns false if there was none. */
+function clearCache(file) {
+  try {
+    fs.unlinkSync(file);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+/**
+ * Read the cached snapshot for orgId, or null when there is none. An
+ * unreadable cache (corrupt, or encrypted with another token) is ignored
+ * with a WARN and will be overwritten by the next successful sync.
+ */
+function loadCacheFile(file, key, orgId) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    const payload = decryptCache(text, key);
+    return payload.orgId === orgId ? payload : null;
+  } catch (err) {
+    console.error(`WARN: Ignoring unreadable secrets cache '${file}': ${err.message}`);
+    return null;
+  }
+}
+
+function saveCacheFile(file, key, payload) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, encryptCache(payload, key), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Fetch a snapshot { orgId, syncedAt, lastSyncedDate, secrets, projects }.
+ * With a previous snapshot the sync is incremental: sync() gets its
+ * lastSyncedDate and the previous secrets are kept if the backend reports no
+ * changes. When something changed the backend returns the complete current
+ * set, which replaces the previous one — so deletions are picked up too.
+ * The stored cursor is the sync's start time less SYNC_CURSOR_MARGIN_MS.
+ */
+async function syncSnapshot(client, orgId, previous) {
+  // Changes made while this sync runs must show up next time
+  const startedAt = new Date(Date.now() - SYNC_CURSOR_MARGIN_MS);
+  const since     = previous?.lastSyncedDate ? new Date(previous.lastSyncedDate) : undefined;
+  const synced    = await client.secrets().sync(orgId, since);
+  const projects  = await client.projects().list(orgId);
+  return {
+    orgId,
+    syncedAt:       Date.now(),
+    lastSyncedDate: startedAt.toISOString(),
+    secrets:        since && !synced.hasChanges ? previous.secrets : (synced.secrets ?? []),
+    projects:       projects.data ?? [],
+  };
+}
+
+/** Short human-readable age: 42s, 5m, 3h. */
+function describeAge(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 120)  return `${s}s`;
+  if (s < 7200) return `${Math.round(s / 60)}m`;
+  return `${Math.round(s / 3600)}h`;
+}
+
+/**
+ * Wrap a backend with the cache. `connect` is called at most once, and only
+ * when the backend is actually needed — a fresh cache hit never logs in.
+ *
+ * With readCache, sync() and projects().list() return the cached snapshot
+ * while it is younger than ttlMs. Otherwise (expired, or commands about to
+ * write) the stored snapshot is revalidated with an incremental sync (see
+ * syncSnapshot). Every mutation clears the cache, so the next read does a
+ * full sync. A caller-supplied lastSyncedDate bypasses the cache.
+ *
+ * @param {() => Promise<object>} connect  Creates the real backend client
+ * @param {{ file: string, key: Buffer, ttlMs: number, serveStale?: boolean, readCache?: boolean }} options
+ */
+function createCachedClient(connect, { file, key, ttlMs, serveStale = false, readCache = false }) {
+  let backendPromise  = null;
+  let snapshotPromise = null;
+
+  const backend = () => (backendPromise ??= connect());
+
+  async function load(orgId) {
+    const cached = loadCacheFile(file, key, orgId);
+    if (readCache && cached && Date.now() - cached.syncedAt < ttlMs) return cached;
+    try {
+      const fresh = await syncSnapshot(await backend(), orgId, cached);
+      saveCacheFile(file, key, fresh);
+      return fresh;
+    } catch (err) {
+      const stale = serveStale && readCache ? cached : null;
+      if (!stale) throw err;
+      console.error(`WARN: Backend unavailable (${err.message}) — using cached secrets from ${describeAge(Date.now() - stale.syncedAt)} ago`);
+      return stale;
+    }
+  }
+
+  function snapshot(orgId) {
+    snapshotPromise ??= load(orgId).catch(err => {
+      snapshotPromise = null;
+      throw err;
+    });
+    return snapshotPromise;
+  }
+
+  // Forward a mutation to the backend, then drop the cache whatever the outcome
+  async function mutate(fn) {
+    try {
+      return await fn(await backend());
+    } finally {
+      snapshotPromise = null;
+      clearCache(file);
+    }
+  }
+
+  const secrets = {
+    async list(orgId) {
+      return (await backend()).secrets().list(orgId);
+    },
+    async sync(orgId, lastSyncedDate) {
+      if (lastSyncedDate) return (await backend()).secrets().sync(orgId, lastSyncedDate);
+      const snap = await snapshot(orgId);
+      return { hasChanges: true, secrets: snap.secrets.map(s => ({ ...s })) };
+    },
+    create: (...args) => mutate(client => client.secrets().create(...args)),
+    update: (...args) => mutate(client => client.secrets().update(...args)),
+    delete: (...args) => mutate(client => client.secrets().delete(...args)),
+  };
+
+  const projects = {
+    async list(orgId) {
+      const snap = await snapshot(orgId);
+      return { data: snap.projects.map(p => ({ ...p })) };
+    },
+    create: (...args) => mutate(client => client.projects().create(...args)),
+    delete: (...args) => mutate(client => client.projects().delete(...args)),
+  };
+
+  return {
+    secrets:  () => secrets,
+    projects: () => projects,
+  };
+}
+
+export {
+  deriveCacheKey,
+  encryptCache,
+  decryptCache,
+  clearCache,
+  syncSnapshot,
+  describeAge,
+  createCachedClient,
+};
@@ -1,13 +1,24 @@
 /**
  * secrets-bws-client
  *
- * Responsibility: Creates and returns an authenticated BitwardenClient using
- * the Bitwarden SDK, and exposes the organization ID reader.
+ * Responsibility: Creates and returns the secrets backend client — an
+ * authenticated BitwardenClient by default, or the offline fake backend when
+ * selected via BWS_BACKEND, optionally behind the encrypted sync cache, or a
+ * client of the running secrets agent — and exposes the environment-driven
+ * settings readers (organization ID, cache, agent, audit log, dry run,
+ * strict key resolution, rotation).
  *
  * Public Interface:
  * secrets-bws-client
- * ├── createClient(logLevel?): Promise<BitwardenClient>
- * └── getOrgId(): string
+ * ├── createClient(options?): Promise<BitwardenClient | FakeClient | CachedClient | AgentClient | DryRunClient>
+ * ├── connectBackend(logLevel?): Promise<BitwardenClient | FakeClient>
+ * ├── getOrgId(): string
+ * ├── getCacheSettings(): {enabled, file, key, ttlMs, serveStale}   (throws on invalid settings)
+ * ├── getAgentSettings(): {enabled, socketPath, ttlMs}   (throws on invalid settings)
+ * ├── getAuditSettings(): {file}
+ * ├── getDryRunMode(): null | 'text' | 'json'
+ * ├── getPreviousSuffix(): string   (throws on an invalid suffix)
+ * └── isStrictKeys(): boolean
  */
 
 import crypto from 'node:crypto';
@@ -15,10 +26,23 @@ import os from 'node:os';
 import path from 'node:path';
 import { BitwardenClient, DeviceType } from '@bitwarden/sdk-napi';
 import { LogLevel } from '@bitwarden/sdk-napi/binding.js';
+import { createFakeClient } from './secrets-bws-fake-backend.js';
+import { createCachedClient, deriveCacheKey } from './secrets-bws-cache.js';
+import { connectAgent } from './secrets-bws-agent.js';
+import { createDryRunClient } from './secrets-bws-plan.js';
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
 
 /**
- * Creates an authenticated BitwardenClient.
- * Requires HAL_BWS_ACCESS_TOKEN in the environment.
+ * Creates the backend client selected by BWS_BACKEND:
+ *   sdk    (default) — authenticated BitwardenClient; requires HAL_BWS_ACCESS_TOKEN
+ *   file   — offline fake persisted to the JSON file named by BWS_BACKEND_FILE
+ *   memory — offline fake held in process memory (tests)
+ *
+ * Every backend exposes the same secrets() / projects() surface, so command
+ * code never needs to know which one it is talking to.
  *
  * The SDK state file is keyed by a hash of the access token so that
  * concurrent processes using different tokens never share state.
@@ -26,15 +50,58 @@ import { LogLevel } from '@bitwarden/sdk-napi/binding.js';
  * API endpoints default to production Bitwarden but can be overridden via:
  *   BWS_API_URL      — overrides https://api.bitwarden.com
  *   BWS_IDENTITY_URL — overrides https://identity.bitwarden.com
+ *
+ * When the cache is enabled (see getCacheSettings) the backend is wrapped by
+ * createCachedClient and only logged in to when it is actually needed.
+ * Read-only commands pass readCache so sync() results within the TTL are
+ * served from the cache; other commands always read fresh data.
+ *
+ * A running agent (see getAgentSettings) takes precedence over both: the
+ * returned client forwards every call to it, and nothing is cached locally.
+ *
+ * In a dry run (see getDryRunMode) whichever client was chosen is wrapped by
+ * createDryRunClient, so writes are recorded as a plan instead of performed.
+ *
+ * @param {{ readCache?: boolean, logLevel?: number }} [options]
+ */
+async function createClient({ readCache = false, logLevel = LogLevel.Error } = {}) {
+  const client = await selectClient(readCache, logLevel);
+  return getDryRunMode() ? createDryRunClient(client) : client;
+}
+
+async function selectClient(readCache, logLevel) {
+  const agent = getAgentSettings();
+  if (agent.enabled) {
+    const client = await connectAgent(agent.socketPath);
+    if (client) return client;
+  }
+  const cache = getCacheSettings();
+  if (!cache.enabled) return connectBackend(logLevel);
+  return createCachedClient(() => connectBackend(logLevel), { ...cache, readCache });
+}
+
+/**
+ * Connect directly to the backend selected by BWS_BACKEND, bypassing the
+ * agent and the cache. Used by createClient and by the agent itself.
  */
-async function createClient(logLevel = LogLevel.Error) {
+async function connectBackend(logLevel = LogLevel.Error) {
+  const backend = process.env.BWS_BACKEND || 'sdk';
+  if (backend === 'memory') return createFakeClient();
+  if (backend === 'file') {
+    const file = process.env.BWS_BACKEND_FILE;
+    if (!file) throw new Error('BWS_BACKEND_FILE is not set (required when BWS_BACKEND=file)');
+    return createFakeClient(file);
+  }
+  if (backend !== 'sdk') {
+    throw new Error(`Unknown BWS_BACKEND '${backend}' (expected sdk, file or memory)`);
+  }
+
   const token = process.env.HAL_BWS_ACCESS_TOKEN;
   if (!token) {
     throw new Error('HAL_BWS_ACCESS_TOKEN is not set');
   }
 
-  const tokenHash = crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
-  const stateFile = path.join(os.tmpdir(), `.secrets-bws-state-${tokenHash}`);
+  const stateFile = path.join(os.tmpdir(), `.secrets-bws-state-${tokenHash(token)}`);
 
   const settings = {
     apiUrl:      process.env.BWS_API_URL      ?? 'https://api.bitwarden.com',
@@ -59,4 +126,125 @@ function getOrgId() {
   return orgId;
 }
 
-export { createClient, getOrgId };
+/**
+ * Local store / sync cache settings from the environment:
+ *   BWS_LOCAL_STORE       — 1/true: keep the store and revalidate it with incremental sync on every read
+ *   BWS_CACHE_TTL         — seconds a stored sync() stays fresh without revalidation (implies the store)
+ *   BWS_CACHE_SERVE_STALE — 1/true: serve an expired cache (with a WARN) when the backend fails
+ *   BWS_NO_CACHE          — 1/true: bypass the store (set by `secrets-bws --no-cache`)
+ *
+ * The cache file sits next to the SDK state file, keyed by the same token
+ * hash, and is encrypted with a key derived from HAL_BWS_ACCESS_TOKEN — so the
+ * cache requires a token even with the offline backends.
+ */
+function getCacheSettings() {
+  const rawTtl = process.env.BWS_CACHE_TTL ?? '';
+  const ttl    = Number(rawTtl);
+  if (rawTtl !== '' && (!Number.isFinite(ttl) || ttl < 0)) {
+    throw new Error(`BWS_CACHE_TTL must be a non-negative number of seconds, got '${rawTtl}'`);
+  }
+  const wanted  = ttl > 0 || isTruthy(process.env.BWS_LOCAL_STORE);
+  const enabled = wanted && !isTruthy(process.env.BWS_NO_CACHE);
+  const token   = process.env.HAL_BWS_ACCESS_TOKEN;
+  if (!token) {
+    if (enabled) throw new Error('The local store requires HAL_BWS_ACCESS_TOKEN (it is encrypted with a key derived from it)');
+    return { enabled: false, file: null, key: null, ttlMs: 0, serveStale: false };
+  }
+  return {
+    enabled,
+    file:       path.join(os.tmpdir(), `.secrets-bws-cache-${tokenHash(token)}`),
+    key:        deriveCacheKey(token),
+    ttlMs:      Math.round(ttl * 1000),
+    serveStale: isTruthy(process.env.BWS_CACHE_SERVE_STALE),
+  };
+}
+
+/**
+ * Secrets agent settings from the environment:
+ *   BWS_AGENT_SOCKET — socket path; default is one per backend identity (access
+ *                      token, or offline backend file) in a per-user 0700
+ *                      directory under the OS temp directory
+ *   BWS_AGENT_TTL    — seconds the agent serves its in-memory snapshot before
+ *                      revalidating it with an incremental sync (default 30)
+ *   BWS_NO_AGENT     — 1/true: never use a running agent (set by `--no-agent`)
+ * Unix domain sockets are required, so the agent is never used on Windows.
+ */
+function getAgentSettings() {
+  const rawTtl = process.env.BWS_AGENT_TTL ?? '';
+  const ttl    = rawTtl === '' ? 30 : Number(rawTtl);
+  if (!Number.isFinite(ttl) || ttl < 0) {
+    throw new Error(`BWS_AGENT_TTL must be a non-negative number of seconds, got '${rawTtl}'`);
+  }
+
+  let socketPath = process.env.BWS_AGENT_SOCKET;
+  if (!socketPath) {
+    const backend  = process.env.BWS_BACKEND || 'sdk';
+    const identity = backend === 'sdk'
+      ? process.env.HAL_BWS_ACCESS_TOKEN ?? ''
+      : `${backend}:${path.resolve(process.env.BWS_BACKEND_FILE ?? '')}`;
+    const user = process.getuid ? process.getuid() : os.userInfo().username;
+    socketPath = path.join(os.tmpdir(), `secrets-bws-${user}`, `agent-${tokenHash(identity)}.sock`);
+  }
+
+  return {
+    enabled: process.platform !== 'win32' && !isTruthy(process.env.BWS_NO_AGENT),
+    socketPath,
+    ttlMs:   Math.round(ttl * 1000),
+  };
+}
+
+/**
+ * Audit log settings from the environment:
+ *   BWS_AUDIT_LOG — log file path (default ~/.secrets-bws/audit.jsonl), or
+ *                   "off" to disable audit logging
+ */
+function getAuditSettings() {
+  const value = process.env.BWS_AUDIT_LOG ?? '';
+  if (value.toLowerCase() === 'off') return { file: null };
+  return { file: value ? path.resolve(value) : path.join(os.homedir(), '.secrets-bws', 'audit.jsonl') };
+}
+
+/**
+ * Dry-run mode from BWS_DRY_RUN (set by `secrets-bws --dry-run`): 1/true
+ * prints the plan as text, json as JSON; unset means changes are made.
+ */
+function getDryRunMode() {
+  const value = (process.env.BWS_DRY_RUN ?? '').toLowerCase();
+  if (value === 'json') return 'json';
+  return isTruthy(value) ? 'text' : null;
+}
+
+/**
+ * Suffix of the companion secret `rotate` keeps a secret's previous value in
+ * (KEY + suffix, in the same project), from BWS_PREVIOUS_SUFFIX; default
+ * __PREVIOUS.
+ */
+function getPreviousSuffix() {
+  const suffix = process.env.BWS_PREVIOUS_SUFFIX || '__PREVIOUS';
+  if (/[/*\s]/.test(suffix)) throw new Error(`Invalid BWS_PREVIOUS_SUFFIX '${suffix}' (no '/', '*' or whitespace)`);
+  return suffix;
+}
+
+function isTruthy(value) {
+  return ['1', 'true'].includes((value ?? '').toLowerCase());
+}
+
+/**
+ * True when BWS_STRICT_KEYS is set to 1/true: a bare key that exists in more
+ * than one project is then an error instead of resolving to the first match.
+ */
+function isStrictKeys() {
+  return isTruthy(process.env.BWS_STRICT_KEYS);
+}
+
+export {
+  createClient,
+  connectBackend,
+  getOrgId,
+  getCacheSettings,
+  getAgentSettings,
+  getAuditSettings,
+  getDryRunMode,
+  getPreviousSuffix,
+  isStrictKeys,
+};
@@ -1,30 +1,113 @@
 /**
  * secrets-bws-commands
  *
- * Responsibility: Implements all secrets-bws command handler functions and
- * shared data-access helpers used by the CLI dispatcher.
+ * Responsibility: Implements all secrets-bws command handler functions, the
+ * data-returning operations behind them (also served as tools by the MCP
+ * server), and shared data-access helpers used by the CLI dispatcher.
  *
  * Public Interface:
  * secrets-bws-commands
  * ├── fetchAllSecrets(client, orgId): Promise<SecretResponse[]>
  * ├── resolveOrCreateProject(client, orgId, name): Promise<{id, created}>
+ * ├── createKeyResolver(client, orgId, secrets): Promise<{resolve, projectIndex, projectIdMap}>
+ * ├── listSecrets(flags?): Promise<{key, project, id, tags, owner, expires, note}[]>
+ * ├── resolveSecretKey(key, flags?): Promise<{key, project}>
+ * ├── getSecretValue(key, flags?): Promise<{key, project, value}>
+ * ├── setSecret(key, value, flags?): Promise<{action, key, project}>
+ * ├── generateSecret(key, flags?): Promise<{action, key, project, value?}>
+ * ├── setSecretMeta(key, flags?): Promise<{key, project, tags, owner, expires}>
+ * ├── rotateSecret(key, value, flags?): Promise<{key, project, previousKey, rotated}>
+ * ├── rollbackSecret(key, flags?): Promise<{key, project, previousKey, rolledBack}>
+ * ├── restoreBackup(payload, flags?): Promise<{projects, created, overwritten, skipped, identical, failed}>
+ * ├── moveSecrets(pattern, projectName, flags?): Promise<{project, moved, failed}>
+ * ├── renameSecrets(pattern, newPattern, flags?): Promise<{renamed, failed}>
+ * ├── copySecrets(pattern, newPattern, flags?): Promise<{copied, failed}>
+ * ├── promoteSecrets(flags): Promise<{from, to, entries, promoted, failed, cancelled}>
+ * ├── deleteSecret(key, flags?): Promise<{key, project}>
+ * ├── deleteSecrets(pattern, flags?): Promise<{deleted, failed, cancelled}>
+ * ├── listProjects(): Promise<string[]>
+ * ├── createProject(name): Promise<{name, id}>
+ * ├── deleteProject(name): Promise<{name, unassigned}>
+ * ├── applyManifest(file, flags?): Promise<{applied, failed, missing}>
  * ├── cmdList(flags): Promise<void>
- * ├── cmdGet(key): Promise<void>
+ * ├── cmdGet(key, flags?): Promise<void>
  * ├── cmdSet(key, value, flags): Promise<void>
- * ├── cmdMove(pattern, projectName): Promise<void>
- * ├── cmdDelete(key): Promise<void>
+ * ├── cmdGenerate(key, flags?): Promise<void>
+ * ├── cmdMeta(key, flags?): Promise<void>
+ * ├── cmdExpiring(flags?): Promise<void>
+ * ├── cmdRotate(key, flags?): Promise<void>
+ * ├── cmdRollback(key, flags?): Promise<void>
+ * ├── cmdMove(pattern, projectName, flags?): Promise<void>
+ * ├── cmdRename(pattern, newPattern, flags?): Promise<void>
+ * ├── cmdCopy(pattern, newPattern, flags?): Promise<void>
+ * ├── cmdPromote(flags): Promise<void>
+ * ├── cmdDelete(key, flags?): Promise<void>
+ * ├── cmdRun(command, flags): Promise<number>
+ * ├── cmdExport(flags): Promise<void>
+ * ├── cmdImport(file, flags): Promise<void>
+ * ├── cmdRender(template, flags): Promise<void>
  * ├── cmdProjects(): Promise<void>
  * ├── cmdProjectsCreate(name): Promise<void>
- * └── cmdProjectsDelete(name): Promise<void>
+ * ├── cmdProjectsDelete(name): Promise<void>
+ * ├── cmdPlan(file, flags?): Promise<void>
+ * ├── cmdApply(file, flags?): Promise<void>
+ * ├── cmdSnapshot(flags?): Promise<void>
+ * ├── cmdDiff(fileA, fileB?, flags?): Promise<void>
+ * ├── cmdBackup(flags?): Promise<void>
+ * ├── cmdRestore(file, flags?): Promise<void>
+ * ├── cmdDoctor(flags?): Promise<void>
+ * ├── cmdSync(flags): Promise<void>
+ * ├── cmdCacheClear(): Promise<void>
+ * ├── cmdAgentStart(flags): Promise<void>
+ * ├── cmdAgentStop(): Promise<void>
+ * ├── cmdAgentStatus(): Promise<void>
+ * ├── cmdAudit(flags): Promise<void>
+ * └── cmdMcp(flags): Promise<void>
  */
 
-import { createClient, getOrgId } from './secrets-bws-client.js';
+import fs from 'node:fs';
+import readline from 'node:readline/promises';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import {
+  createClient,
+  connectBackend,
+  getOrgId,
+  getCacheSettings,
+  getAgentSettings,
+  getAuditSettings,
+  getDryRunMode,
+  getPreviousSuffix,
+  isStrictKeys,
+} from './secrets-bws-client.js';
+import { clearCache, createCachedClient, describeAge } from './secrets-bws-cache.js';
+import { agentRequest, startAgentServer } from './secrets-bws-agent.js';
 import {
   globMatch,
-  buildKeyIndex,
   buildProjectIndex,
   buildProjectIdMap,
+  substituteGlob,
+  parseKeyRef,
+  resolveSecretRef,
+  newSecretTarget,
+  parseEnvMap,
+  buildEnvVars,
+  parseSince,
+  parseDuration,
 } from './secrets-bws-helpers.js';
+import { superviseServer } from './secrets-bws-supervisor.js';
+import { FORMATS, formatFromPath, formatSecrets, parseSecrets } from './secrets-bws-formats.js';
+import { renderTemplate } from './secrets-bws-template.js';
+import { serveMcp } from './secrets-bws-mcp-server.js';
+import { formatChange, formatPlan } from './secrets-bws-plan.js';
+import { loadManifest, planManifest } from './secrets-bws-manifest.js';
+import { generateValue, describeStrength } from './secrets-bws-generate.js';
+import { setNoteMeta, setNoteText, readNoteFields, checkTag, parseExpiry } from './secrets-bws-note.js';
+import { createSnapshot, parseSnapshot, diffSnapshots, formatDiff } from './secrets-bws-snapshot.js';
+import { createBackupPayload, encryptBackup, decryptBackup, planRestore } from './secrets-bws-backup.js';
+import { parseKeyMaps, planPromotion } from './secrets-bws-promote.js';
+import { RULES, resolveRules, loadDoctorConfig, runChecks, formatFindings } from './secrets-bws-doctor.js';
+import { audited, recordAudit, readAuditLog, verifyAuditLog } from './secrets-bws-audit.js';
 
 // ---------------------------------------------------------------------------
 // Shared data-access helpers
@@ -41,8 +124,8 @@ async function fetchAllSecrets(client, orgId) {
 }
 
 /**
- * Find a project by name. If not found, create it and return the new id.
- * Logs to stderr when auto-creating so it doesn't pollute stdout.
+ * Find a project by name. If not found, create it and return the new id;
+ * `created` lets the operation report that in its result (see createdProject).
  */
 async function resolveOrCreateProject(client, orgId, projectName) {
   const projectList = await client.projects().list(orgId);
@@ -52,13 +135,173 @@ async function resolveOrCreateProject(client, orgId, projectName) {
   return { id: created.id, created: true };
 }
 
+/**
+ * Build a resolver for key references — bare "KEY", "project/KEY", or a bare
+ * key narrowed by a project name — over already-synced secrets. Projects are
+ * listed once. A bare key that exists in several projects throws in strict
+ * mode (BWS_STRICT_KEYS) and otherwise resolves to the first match with a WARN
+ * naming the candidate projects.
+ * @returns {Promise<{ resolve: (ref, {project?, action?}) => object, projectIndex: object, projectIdMap: object }>}
+ */
+async function createKeyResolver(client, orgId, secrets) {
+  const projectList  = await client.projects().list(orgId);
+  const projectIndex = buildProjectIndex(projectList.data);
+  const projectIdMap = buildProjectIdMap(projectList.data);
+  const strict       = isStrictKeys();
+
+  const resolve = (ref, { project = null, action = 'using' } = {}) => {
+    const found = resolveSecretRef(secrets, ref, { projectIndex, projectIdMap, project, strict });
+    if (found.duplicates.length > 0) {
+      const where = found.duplicates.map(s => projectIdMap[s.projectId] ?? '(none)').join(', ');
+      console.error(`WARN: ${found.duplicates.length} secrets named '${found.key}' found in projects ${where} — ${action} the first match (use 'project/${found.key}' or --project to choose)`);
+    }
+    return found;
+  };
+  return { resolve, projectIndex, projectIdMap };
+}
+
+function notFoundMessage({ key, project }) {
+  return project ? `Secret '${key}' not found in project '${project}'` : `Secret '${key}' not found`;
+}
+
+/**
+ * In a dry run, attach to an operation's result the plan of the writes it
+ * recorded (see secrets-bws-plan); otherwise return the result unchanged.
+ */
+async function withPlan(client, orgId, result) {
+  return client.plan ? { ...result, plan: await client.plan(orgId) } : result;
+}
+
+/** Print a dry-run plan as text or, with `--dry-run --json`, as JSON. */
+function printPlan(changes) {
+  if (getDryRunMode() === 'json') {
+    console.log(JSON.stringify({ dryRun: true, changes }, null, 2));
+  } else {
+    process.stdout.write(formatPlan(changes));
+  }
+}
+
+/** Ask a yes/no question on the terminal (prompt on stderr); only y/yes is yes. */
+async function askYesNo(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(question)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/** Read a line from the terminal without echoing it (prompt on stderr). */
+function askHidden(question) {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    let input   = '';
+    const done  = () => {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n' || ch === '\u0004') {
+          done();
+          return resolve(input);
+        }
+        if (ch === '\u0003') {
+          done();
+          return reject(new Error('Cancelled'));
+        }
+        if (ch === '\u007f' || ch === '\b') input = input.slice(0, -1);
+        else input += ch;
+      }
+    };
+    process.stderr.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+/**
+ * The backup passphrase: BWS_BACKUP_PASSPHRASE, or asked for on the terminal
+ * (twice with `confirm`). Never taken from the command line.
+ */
+async function readPassphrase({ confirm = false } = {}) {
+  if (process.env.BWS_BACKUP_PASSPHRASE) return process.env.BWS_BACKUP_PASSPHRASE;
+  if (!process.stdin.isTTY) throw new Error('No backup passphrase — set BWS_BACKUP_PASSPHRASE or run in a terminal');
+  const passphrase = await askHidden('Backup passphrase: ');
+  if (confirm && (await askHidden('Repeat passphrase: ')) !== passphrase) throw new Error('Passphrases do not match');
+  return passphrase;
+}
+
+/** All of stdin as text, without one trailing newline (as `echo` or a heredoc adds). */
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text.replace(/\r?\n$/, '');
+}
+
+/**
+ * Apply fn to every item in batches of 5 to avoid overwhelming the BWS rate
+ * limit. Returns Promise.allSettled results in item order.
+ */
+async function runInBatches(items, fn) {
+  const BATCH   = 5;
+  const results = [];
+  for (let i = 0; i < items.length; i += BATCH) {
+    results.push(...await Promise.allSettled(items.slice(i, i + BATCH).map(fn)));
+  }
+  return results;
+}
+
+/**
+ * Write content to a file readable only by the owner. An existing file is
+ * re-restricted to 0600 before it is overwritten.
+ */
+function writePrivateFile(filePath, content) {
+  const fd = fs.openSync(filePath, 'w', 0o600);
+  try {
+    fs.fchmodSync(fd, 0o600);
+    fs.writeSync(fd, content);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Narrow secrets to a project (by name) and/or a key glob pattern.
+ * Throws if the project does not exist.
+ */
+async function selectSecrets(client, orgId, secrets, { project, pattern }) {
+  let selected = secrets;
+  if (project) {
+    const projectList = await client.projects().list(orgId);
+    const pIndex      = buildProjectIndex(projectList.data);
+    if (!pIndex[project]) throw new Error(`Project '${project}' not found`);
+    const projectId = pIndex[project].id;
+    selected = selected.filter(s => s.projectId === projectId);
+  }
+  if (pattern) selected = selected.filter(s => globMatch(pattern, s.key));
+  return selected;
+}
+
 // ---------------------------------------------------------------------------
-// Commands
+// Operations — return structured results (notices such as a created project
+// included) and never write to stdout, so both the CLI commands below and the
+// MCP server (secrets-bws-mcp-server) use them
 // ---------------------------------------------------------------------------
 
-async function cmdList(flags) {
+/**
+ * All secrets (optionally one project's, or only those with every tag in
+ * flags.tag or the owner flags.owner), sorted by project then key, with the
+ * structured fields and free text of their notes (see secrets-bws-note).
+ * @returns {Promise<{ key: string, project: string|null, id: string, tags: string[], owner: string|null, expires: string|null, note: string }[]>}
+ */
+async function listSecrets(flags = {}) {
   const orgId  = getOrgId();
-  const client = await createClient();
+  const client = await createClient({ readCache: true });
 
   const projectList  = await client.projects().list(orgId);
   const projectIdMap = buildProjectIdMap(projectList.data);
@@ -73,215 +316,1695 @@ async function cmdList(flags) {
     secrets = secrets.filter(s => s.projectId === projectId);
   }
 
-  if (secrets.length === 0) {
-    if (flags.json) {
-      console.log('[]');
-    } else {
-      console.log('(no secrets found)');
-    }
-    return;
-  }
-
   secrets.sort((a, b) => {
     const pa = projectIdMap[a.projectId] ?? '';
     const pb = projectIdMap[b.projectId] ?? '';
     return pa.localeCompare(pb) || a.key.localeCompare(b.key);
   });
 
-  if (flags.json) {
-    const output = secrets.map(s => ({
-      key:     s.key,
-      project: projectIdMap[s.projectId] ?? null,
-      id:      s.id,
-    }));
-    console.log(JSON.stringify(output, null, 2));
-    return;
-  }
-
-  const keyWidth = Math.max(3, ...secrets.map(s => s.key.length));
-  const header   = `${'KEY'.padEnd(keyWidth)}  PROJECT`;
-  const divider  = '-'.repeat(header.length);
-  console.log(header);
-  console.log(divider);
-  for (const s of secrets) {
-    const project = projectIdMap[s.projectId] ?? '(none)';
-    console.log(`${s.key.padEnd(keyWidth)}  ${project}`);
-  }
+  const tags = [flags.tag ?? []].flat();
+  return secrets
+    .map(s => {
+      const { tags: secretTags, owner, expires, text } = readNoteFields(s.note);
+      return { key: s.key, project: projectIdMap[s.projectId] ?? null, id: s.id, tags: secretTags, owner, expires, note: text };
+    })
+    .filter(s => tags.every(tag => s.tags.includes(tag)) && (!flags.owner || s.owner === flags.owner));
 }
 
-async function cmdGet(key) {
+/** The secret a bare or project-qualified key names, with its project name. */
+async function findSecret(key, flags) {
   if (!key) throw new Error('get requires a key name');
   const orgId   = getOrgId();
-  const client  = await createClient();
+  const client  = await createClient({ readCache: true });
   // fetchAllSecrets uses sync() — a single API call that returns key + value.
   // This avoids the TOCTOU window of a two-step list()+getByIds() approach.
   const secrets = await fetchAllSecrets(client, orgId);
-  const secret  = secrets.find(s => s.key === key);
-  if (!secret) throw new Error(`Secret '${key}' not found`);
-  if (secret.value === undefined || secret.value === null) throw new Error(`Secret '${key}' returned no value`);
-  // stdout.write intentionally omits trailing newline — callers capturing with $() get the exact value
-  process.stdout.write(secret.value);
+  const { resolve, projectIndex, projectIdMap } = await createKeyResolver(client, orgId, secrets);
+  if (flags.project && !projectIndex[flags.project]) throw new Error(`Project '${flags.project}' not found`);
+
+  const found = resolve(key, { project: flags.project, action: 'reading' });
+  if (!found.secret) throw new Error(notFoundMessage(found));
+  return { key: found.key, project: projectIdMap[found.secret.projectId] ?? null, secret: found.secret };
 }
 
-async function cmdSet(key, value, flags) {
-  if (!key)            throw new Error('set requires a key name');
-  if (value === undefined) throw new Error('set requires a value');
+/**
+ * Resolve a bare or project-qualified key to the secret's key and project
+ * without reading its value — for checks that must pass before a read (the
+ * MCP read allowlist). Not audited: nothing is read.
+ * @returns {Promise<{ key: string, project: string|null }>}
+ */
+async function resolveSecretKey(key, flags = {}) {
+  const { key: name, project } = await findSecret(key, flags);
+  return { key: name, project };
+}
+
+/**
+ * Resolve a bare or project-qualified key and return its value.
+ * @returns {Promise<{ key: string, project: string|null, value: string }>}
+ */
+async function getSecretValue(key, flags = {}) {
+  return audited('get', { keys: [key], project: flags.project }, async () => {
+    const { key: name, project, secret } = await findSecret(key, flags);
+    if (secret.value === undefined || secret.value === null) throw new Error(`Secret '${key}' returned no value`);
+    return { key: name, project, value: secret.value };
+  }, r => ({ keys: [r.key], project: r.project }));
+}
 
+/**
+ * The create-or-update behind set and generate. With flags.ifMissing an
+ * existing secret is left untouched ({ action: 'exists' }).
+ *
+ * A qualified 'project/KEY' names exactly that secret: it is updated or
+ * created there (with its project, when new). --project keeps the meaning it
+ * had before qualified keys: a KEY that is not in the project yet but exists
+ * once elsewhere is updated and moved into it ({ movedFrom }); when it exists
+ * several times elsewhere that is an error rather than a guess.
+ */
+async function upsertSecret(key, value, flags) {
   const noteProvided = flags.note !== undefined;
   const orgId        = getOrgId();
   const client       = await createClient();
 
-  let projectIds = [];
-  if (flags.project) {
-    const { id, created } = await resolveOrCreateProject(client, orgId, flags.project);
-    if (created) console.error(`Created project '${flags.project}'`);
-    projectIds = [id];
-  }
-
   // fetchAllSecrets uses sync() — returns full detail (key, value, note, projectId) in one call,
   // avoiding the TOCTOU window of list() + getByIds() and the need for a second fetch on update.
-  const secrets    = await fetchAllSecrets(client, orgId);
-  const index      = buildKeyIndex(secrets);
-  const existing   = index[key];
+  const secrets     = await fetchAllSecrets(client, orgId);
+  const { resolve, projectIndex, projectIdMap } = await createKeyResolver(client, orgId, secrets);
+
+  const found     = resolve(key, { project: flags.project, action: 'updating' });
+  const qualified = parseKeyRef(key, projectIndex).project !== null;
+  let existing    = found.secret;
+  let movedFrom;
+  if (!existing && flags.project && !qualified) {
+    const elsewhere = secrets.filter(s => s.key === found.key);
+    if (elsewhere.length > 1) {
+      const where = elsewhere.map(s => projectIdMap[s.projectId] ?? '(none)').join(', ');
+      throw new Error(`Secret '${found.key}' is not in project '${flags.project}' but exists in projects ${where} — ` +
+        `use 'move' to reassign one of them, or 'set ${flags.project}/${found.key}' to create a separate one`);
+    }
+    existing = elsewhere[0];
+    if (existing) movedFrom = projectIdMap[existing.projectId] ?? null;
+  }
+  if (existing && flags.ifMissing) {
+    const project = movedFrom !== undefined ? movedFrom : found.project ?? projectIdMap[existing.projectId] ?? null;
+    return { action: 'exists', key: found.key, project };
+  }
 
-  // Warn if multiple secrets share the same key (different projects) — first match will be updated
-  const allWithKey = secrets.filter(s => s.key === key);
-  if (allWithKey.length > 1) {
-    console.error(`WARN: ${allWithKey.length} secrets named '${key}' found across projects — updating the first match`);
+  const target = existing ? { project: found.project, key: found.key } : newSecretTarget(found.key, found.project);
+  let projectIds     = [];
+  let createdProject = false;
+  if (target.project) {
+    const { id, created } = await resolveOrCreateProject(client, orgId, target.project);
+    projectIds     = [id];
+    createdProject = created;
   }
+  const projectNote = createdProject ? { createdProject: target.project } : {};
 
   if (existing) {
-    // existing already has .note and .projectId from sync() — no extra getByIds needed
-    const finalNote    = noteProvided ? flags.note : existing.note;
+    // existing already has .note and .projectId from sync() — no extra getByIds needed.
+    // A new note replaces the free text only; tags, owner, expiry etc. stay
+    const finalNote    = noteProvided ? setNoteText(existing.note, flags.note) : existing.note;
     const finalProject = projectIds.length > 0 ? projectIds : (existing.projectId ? [existing.projectId] : []);
-    await client.secrets().update(orgId, existing.id, key, value, finalNote, finalProject);
-    console.log(`Updated secret '${key}'`);
-  } else {
-    await client.secrets().create(orgId, key, value, flags.note ?? '', projectIds);
-    console.log(`Created secret '${key}'`);
+    await client.secrets().update(orgId, existing.id, target.key, value, finalNote, finalProject);
+    const project = target.project ?? projectIdMap[existing.projectId] ?? null;
+    return withPlan(client, orgId, { action: 'updated', key: target.key, project, ...(movedFrom !== undefined && { movedFrom }), ...projectNote });
   }
+  await client.secrets().create(orgId, target.key, value, flags.note ?? '', projectIds);
+  return withPlan(client, orgId, { action: 'created', key: target.key, project: target.project, ...projectNote });
 }
 
-async function cmdMove(pattern, projectName) {
-  if (!pattern)     throw new Error('move requires a key name or pattern');
-  if (!projectName) throw new Error('move requires a project name');
-
-  const orgId  = getOrgId();
-  const client = await createClient();
+/**
+ * Create or update a secret (upsert).
+ * @returns {Promise<{ action: 'created'|'updated', key: string, project: string|null, movedFrom?: string|null, createdProject?: string }>}
+ */
+async function setSecret(key, value, flags = {}) {
+  return audited('set', { keys: [key], project: flags.project, values: [value] }, async () => {
+    if (!key)            throw new Error('set requires a key name');
+    if (value === undefined) throw new Error('set requires a value');
+    return upsertSecret(key, value, { project: flags.project, note: flags.note });
+  }, r => ({ keys: [r.key], project: r.project }));
+}
 
-  const { id: projectId, created } = await resolveOrCreateProject(client, orgId, projectName);
-  if (created) console.error(`Created project '${projectName}'`);
+/**
+ * Create or update a secret with a value from the CSPRNG (see
+ * secrets-bws-generate). The value is returned for --show and never logged;
+ * with flags.ifMissing an existing secret is kept ({ action: 'exists' }, no
+ * value).
+ * @returns {Promise<{ action: 'created'|'updated'|'exists', key: string, project: string|null, movedFrom?: string|null, createdProject?: string, value?: string }>}
+ */
+async function generateSecret(key, flags = {}) {
+  return audited('generate', { keys: [key], project: flags.project }, async () => {
+    if (!key) throw new Error('generate requires a key name');
+    const options = { length: flags.length, charset: flags.charset, format: flags.format };
+    const value   = generateValue(options);
+    const result  = await upsertSecret(key, value, { project: flags.project, note: flags.note, ifMissing: flags.ifMissing });
+    return result.action === 'exists' ? result : { ...result, value, strength: describeStrength(options) };
+  }, r => ({ keys: [r.key], project: r.project }));
+}
 
+/**
+ * Resolve a secret for rotate/rollback together with its companion
+ * KEY + getPreviousSuffix() in the same project (null when there is none).
+ */
+async function resolveWithPrevious(client, orgId, key, flags, action) {
   const secrets = await fetchAllSecrets(client, orgId);
-  const matches = secrets.filter(s => globMatch(pattern, s.key));
+  const { resolve, projectIndex, projectIdMap } = await createKeyResolver(client, orgId, secrets);
+  if (flags.project && !projectIndex[flags.project]) throw new Error(`Project '${flags.project}' not found`);
+
+  const found  = resolve(key, { project: flags.project, action });
+  const secret = found.secret;
+  if (!secret) throw new Error(notFoundMessage(found));
+  const suffix = getPreviousSuffix();
+  if (found.key.endsWith(suffix)) {
+    throw new Error(`'${found.key}' holds a previous value — use '${found.key.slice(0, -suffix.length)}' instead`);
+  }
+  const previousKey = found.key + suffix;
+  const previous    = secrets.find(s => s.key === previousKey && (s.projectId ?? null) === (secret.projectId ?? null)) ?? null;
+  return {
+    key:        found.key,
+    secret,
+    previous,
+    previousKey,
+    project:    projectIdMap[secret.projectId] ?? null,
+    projectIds: secret.projectId ? [secret.projectId] : [],
+  };
+}
+
+/**
+ * Change the structured metadata in a secret's note (see secrets-bws-note):
+ * add flags.tag and remove flags.untag tags, and set flags.owner and
+ * flags.expires (YYYY-MM-DD) — an empty string removes them. Other fields
+ * and the free text are kept.
+ * @returns {Promise<{ key: string, project: string|null, tags: string[], owner: string|null, expires: string|null }>}
+ */
+async function setSecretMeta(key, flags = {}) {
+  return audited('meta', { keys: [key], project: flags.project }, async () => {
+    if (!key) throw new Error('meta set requires a key name');
+    const add    = (flags.tag ?? []).map(checkTag);
+    const remove = flags.untag ?? [];
+    if (add.length + remove.length === 0 && flags.owner === undefined && flags.expires === undefined) {
+      throw new Error('meta set requires --tag, --untag, --owner or --expires');
+    }
+    if (flags.expires) parseExpiry(flags.expires);
+
+    const orgId   = getOrgId();
+    const client  = await createClient();
+    const secrets = await fetchAllSecrets(client, orgId);
+    const { resolve, projectIndex, projectIdMap } = await createKeyResolver(client, orgId, secrets);
+    if (flags.project && !projectIndex[flags.project]) throw new Error(`Project '${flags.project}' not found`);
+    const found  = resolve(key, { project: flags.project, action: 'updating' });
+    const secret = found.secret;
+    if (!secret) throw new Error(notFoundMessage(found));
+
+    const current = readNoteFields(secret.note);
+    const tags    = [...new Set([...current.tags.filter(tag => !remove.includes(tag)), ...add])].sort();
+    const fields  = { tags: tags.length > 0 ? tags.join(', ') : null };
+    if (flags.owner !== undefined)   fields.owner   = flags.owner || null;
+    if (flags.expires !== undefined) fields.expires = flags.expires || null;
+    const note = setNoteMeta(secret.note, fields);
+    if (note !== (secret.note ?? '')) {
+      await client.secrets().update(orgId, secret.id, found.key, secret.value, note, secret.projectId ? [secret.projectId] : []);
+    }
+    const { owner, expires } = readNoteFields(note);
+    return withPlan(client, orgId, { key: found.key, project: projectIdMap[secret.projectId] ?? null, tags, owner, expires });
+  }, r => ({ keys: [r.key], project: r.project }));
+}
+
+/**
+ * Replace a secret's value, first saving the current one in the companion
+ * secret KEY__PREVIOUS (see getPreviousSuffix) in the same project, and
+ * record the time in the note's `rotated` field (see secrets-bws-note).
+ * @returns {Promise<{ key: string, project: string|null, previousKey: string, rotated: string }>}
+ */
+async function rotateSecret(key, value, flags = {}) {
+  return audited('rotate', { keys: [key], project: flags.project, values: [value] }, async () => {
+    if (!key)   throw new Error('rotate requires a key name');
+    if (!value) throw new Error('rotate requires a new, non-empty value');
+    const orgId  = getOrgId();
+    const client = await createClient();
+    const { key: name, secret, previous, previousKey, project, projectIds } =
+      await resolveWithPrevious(client, orgId, key, flags, 'rotating');
+    if (value === secret.value) throw new Error(`The new value of '${name}' is the same as the current one`);
+
+    // The current value is safe in the companion before it is replaced
+    const rotated      = new Date().toISOString();
+    const previousNote = setNoteMeta(previous?.note ?? '', { 'previous-of': name, saved: rotated });
+    if (previous) await client.secrets().update(orgId, previous.id, previousKey, secret.value, previousNote, projectIds);
+    else          await client.secrets().create(orgId, previousKey, secret.value, previousNote, projectIds);
+    await client.secrets().update(orgId, secret.id, name, value, setNoteMeta(secret.note, { rotated }), projectIds);
+    return withPlan(client, orgId, { key: name, project, previousKey, rotated });
+  }, r => ({ keys: [r.key, r.previousKey], project: r.project }));
+}
+
+/**
+ * Restore a secret's previous value from KEY__PREVIOUS. The values are
+ * swapped, so the replaced value stays retrievable and a second rollback
+ * undoes the first. The note's `rolled-back` field records the time.
+ * @returns {Promise<{ key: string, project: string|null, previousKey: string, rolledBack: string }>}
+ */
+async function rollbackSecret(key, flags = {}) {
+  return audited('rollback', { keys: [key], project: flags.project }, async () => {
+    if (!key) throw new Error('rollback requires a key name');
+    const orgId  = getOrgId();
+    const client = await createClient();
+    const { key: name, secret, previous, previousKey, project, projectIds } =
+      await resolveWithPrevious(client, orgId, key, flags, 'rolling back');
+    if (!previous) {
+      throw new Error(`No previous value of '${name}' to roll back to ('${previousKey}' not found${project ? ` in '${project}'` : ''})`);
+    }
+
+    // Restore service first; then keep the value that was replaced
+    const rolledBack = new Date().toISOString();
+    await client.secrets().update(orgId, secret.id, name, previous.value, setNoteMeta(secret.note, { 'rolled-back': rolledBack }), projectIds);
+    await client.secrets().update(orgId, previous.id, previousKey, secret.value, setNoteMeta(previous.note, { saved: rolledBack }), projectIds);
+    return withPlan(client, orgId, { key: name, project, previousKey, rolledBack });
+  }, r => ({ keys: [r.key, r.previousKey], project: r.project }));
+}
+
+/**
+ * Recreate what a decrypted backup (see secrets-bws-backup) holds and the
+ * organization lacks: missing projects, then missing secrets. flags.only
+ * (KEY or project/KEY glob) narrows the secrets; a secret that exists with a
+ * different value or note is skipped, overwritten or fails the restore
+ * before anything is written, per flags.onConflict (default skip).
+ * @returns {Promise<{ projects: string[], created: object[], overwritten: object[], skipped: object[], identical: object[], failed: object[] }>}
+ */
+async function restoreBackup(payload, flags = {}) {
+  return audited('restore', { keys: flags.only ? [flags.only] : [] }, async () => {
+    const onConflict = flags.onConflict ?? 'skip';
+    if (!['skip', 'overwrite', 'fail'].includes(onConflict)) {
+      throw new Error(`Unknown --on-conflict '${onConflict}' (expected skip, overwrite or fail)`);
+    }
+    const orgId    = getOrgId();
+    const client   = await createClient();
+    const secrets  = await fetchAllSecrets(client, orgId);
+    const projects = (await client.projects().list(orgId)).data;
+    const plan     = planRestore(payload, secrets, projects, { only: flags.only });
+    if (onConflict === 'fail' && plan.conflicts.length > 0) {
+      throw new Error(`Restore aborted: ${plan.conflicts.length} secret(s) exist with a different value or note: ${plan.conflicts.map(c => c.key).join(', ')}`);
+    }
+
+    const ids = Object.fromEntries(projects.map(p => [p.name, p.id]));
+    for (const name of plan.projects) ids[name] = (await client.projects().create(orgId, name)).id;
 
+    const overwrites = onConflict === 'overwrite' ? plan.conflicts : [];
+    const creates    = await runInBatches(plan.create, e =>
+      client.secrets().create(orgId, e.key, e.value, e.note, e.project !== null ? [ids[e.project]] : [])
+    );
+    const updates    = await runInBatches(overwrites, e =>
+      client.secrets().update(orgId, e.existing.id, e.key, e.value, e.note, e.existing.projectId ? [e.existing.projectId] : [])
+    );
+
+    const entry   = (e) => ({ key: e.key, project: e.project });
+    const failed  = [];
+    const written = (items, results) => items.filter((e, i) => {
+      if (results[i].status === 'fulfilled') return true;
+      failed.push({ ...entry(e), error: results[i].reason?.message || String(results[i].reason) });
+      return false;
+    }).map(entry);
+    return withPlan(client, orgId, {
+      projects:    plan.projects,
+      created:     written(plan.create, creates),
+      overwritten: written(overwrites, updates),
+      skipped:     onConflict === 'overwrite' ? [] : plan.conflicts.map(entry),
+      identical:   plan.identical.map(entry),
+      failed,
+    });
+  }, r => ({
+    keys: [...r.created, ...r.overwritten].map(e => e.key),
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.key) }),
+  }));
+}
+
+/**
+ * Move every secret matching a key pattern (optionally "project/PATTERN" or
+ * narrowed by flags.from) to a project, creating the project if needed.
+ * Individual failures are reported in `failed` rather than thrown; keys that
+ * matched in more than one project (all moved) are listed in `duplicates`.
+ * @returns {Promise<{ project: string, moved: {key, from}[], failed: {key, error}[], duplicates: string[], createdProject?: string }>}
+ */
+async function moveSecrets(pattern, projectName, flags = {}) {
+  return audited('move', { keys: [pattern], project: projectName }, async () => {
+    if (!pattern)     throw new Error('move requires a key name or pattern');
+    if (!projectName) throw new Error('move requires a project name');
+
+    const orgId  = getOrgId();
+    const client = await createClient();
+
+    const secrets      = await fetchAllSecrets(client, orgId);
+    const projectList  = await client.projects().list(orgId);
+    const pIndex       = buildProjectIndex(projectList.data);
+    const projectIdMap = buildProjectIdMap(projectList.data);
+
+    // "project/PATTERN" or --from narrows the source project
+    const parsed = parseKeyRef(pattern, pIndex);
+    if (parsed.project && flags.from && parsed.project !== flags.from) {
+      throw new Error(`'${pattern}' names project '${parsed.project}' but --from is '${flags.from}'`);
+    }
+    const from = parsed.project ?? flags.from;
+    if (from && !pIndex[from]) throw new Error(`Project '${from}' not found`);
+
+    let matches = secrets.filter(s => globMatch(parsed.key, s.key));
+    if (from) matches = matches.filter(s => s.projectId === pIndex[from].id);
+
+    if (matches.length === 0) throw new Error(`No secrets found matching '${pattern}'`);
+
+    const keys  = matches.map(s => s.key);
+    const dupes = [...new Set(keys.filter((k, i) => keys.indexOf(k) !== i))];
+    if (dupes.length > 0 && isStrictKeys()) {
+      throw new Error(`'${pattern}' matches keys that exist in more than one project: ${dupes.join(', ')} — narrow it with 'project/PATTERN' or --from`);
+    }
+
+    // Only now that the move will go ahead, so a failed one leaves no empty project
+    const { id: projectId, created } = await resolveOrCreateProject(client, orgId, projectName);
+
+    const results = await runInBatches(matches, secret =>
+      client.secrets().update(orgId, secret.id, secret.key, secret.value, secret.note, [projectId])
+    );
+
+    const moved  = [];
+    const failed = [];
+    matches.forEach((secret, i) => {
+      if (results[i].status === 'fulfilled') {
+        moved.push({ key: secret.key, from: projectIdMap[secret.projectId] ?? null });
+      } else {
+        failed.push({ key: secret.key, error: results[i].reason?.message || String(results[i].reason) });
+      }
+    });
+    return withPlan(client, orgId, { project: projectName, moved, failed, duplicates: dupes, ...(created && { createdProject: projectName }) });
+  }, r => ({
+    keys:    r.moved.map(m => m.key),
+    project: r.project,
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.key) }),
+  }));
+}
+
+/**
+ * Pair every secret matching `pattern` (optionally "project/PATTERN" or
+ * narrowed by flags.project) with its new key (see substituteGlob), the
+ * project it will be in (its own, or targetProjectId) and the secret that
+ * already has that key there, if any. Throws when nothing matches, when two
+ * secrets would get the same key or a secret its own, and — without force —
+ * when a new key is taken.
+ */
+async function mapSecretKeys(client, orgId, pattern, newPattern, { project, targetProjectId, force, verb }) {
+  const secrets      = await fetchAllSecrets(client, orgId);
+  const projectList  = await client.projects().list(orgId);
+  const pIndex       = buildProjectIndex(projectList.data);
+  const projectIdMap = buildProjectIdMap(projectList.data);
+
+  const parsed = parseKeyRef(pattern, pIndex);
+  if (parsed.project && project && parsed.project !== project) {
+    throw new Error(`'${pattern}' names project '${parsed.project}' but --project is '${project}'`);
+  }
+  const from = parsed.project ?? project;
+  if (from && !pIndex[from]) throw new Error(`Project '${from}' not found`);
+
+  let matches = secrets.filter(s => substituteGlob(parsed.key, newPattern, s.key) !== null);
+  if (from) matches = matches.filter(s => s.projectId === pIndex[from].id);
   if (matches.length === 0) throw new Error(`No secrets found matching '${pattern}'`);
 
-  // Run updates in batches of 5 to avoid overwhelming the BWS rate limit.
-  const BATCH = 5;
-  const results = [];
-  for (let i = 0; i < matches.length; i += BATCH) {
-    const batch = matches.slice(i, i + BATCH);
-    results.push(...await Promise.allSettled(
-      batch.map(secret =>
-        client.secrets().update(orgId, secret.id, secret.key, secret.value, secret.note, [projectId])
-      )
-    ));
-  }
-
-  let moved = 0;
-  for (let i = 0; i < matches.length; i++) {
-    if (results[i].status === 'fulfilled') {
-      console.log(`Moved '${matches[i].key}' -> '${projectName}'`);
-      moved++;
+  const targets = new Set();
+  const taken   = [];
+  const pairs   = matches.map(secret => {
+    const newKey    = substituteGlob(parsed.key, newPattern, secret.key);
+    const projectId = targetProjectId !== undefined ? targetProjectId : secret.projectId ?? null;
+    const where     = projectIdMap[projectId] ? ` in '${projectIdMap[projectId]}'` : '';
+    if (newKey === secret.key && projectId === (secret.projectId ?? null)) {
+      throw new Error(`'${secret.key}'${where} would be ${verb} onto itself`);
+    }
+    const slot = `${projectId}/${newKey}`;
+    if (targets.has(slot)) throw new Error(`More than one secret would be ${verb} to '${newKey}'${where}`);
+    targets.add(slot);
+    const existing = secrets.find(s => s.key === newKey && (s.projectId ?? null) === projectId) ?? null;
+    if (existing) taken.push(`${newKey}${where}`);
+    return { secret, newKey, projectId, existing };
+  });
+  if (taken.length > 0 && !force) {
+    throw new Error(`Secret(s) already exist: ${taken.join(', ')} — pass --force to overwrite them`);
+  }
+  return { pairs, projectIdMap };
+}
+
+/** Split runInBatches results over pairs into done ({from, to, project}) and failed ({key, error}). */
+function pairOutcomes(pairs, results, projectIdMap) {
+  const done   = [];
+  const failed = [];
+  pairs.forEach(({ secret, newKey, projectId }, i) => {
+    if (results[i].status === 'fulfilled') done.push({ from: secret.key, to: newKey, project: projectIdMap[projectId] ?? null });
+    else failed.push({ key: secret.key, error: results[i].reason?.message || String(results[i].reason) });
+  });
+  return { done, failed };
+}
+
+/**
+ * Rename every secret matching a key or pattern in place, keeping its value,
+ * note and project ("LMB_*" -> "LMBX_*" carries the * over). With
+ * flags.force a secret that already has the new key takes over the value and
+ * note and the renamed secret is deleted, so the new key never goes missing.
+ * @returns {Promise<{ renamed: {from, to, project}[], failed: {key, error}[] }>}
+ */
+async function renameSecrets(pattern, newPattern, flags = {}) {
+  return audited('rename', { keys: [pattern, newPattern], project: flags.project }, async () => {
+    if (!pattern || !newPattern) throw new Error('rename requires the current and the new key (or patterns)');
+    const orgId  = getOrgId();
+    const client = await createClient();
+    const { pairs, projectIdMap } = await mapSecretKeys(client, orgId, pattern, newPattern, {
+      project: flags.project, force: flags.force, verb: 'renamed',
+    });
+
+    const results = await runInBatches(pairs, async ({ secret, newKey, projectId, existing }) => {
+      const projectIds = projectId ? [projectId] : [];
+      if (!existing) return client.secrets().update(orgId, secret.id, newKey, secret.value, secret.note, projectIds);
+      await client.secrets().update(orgId, existing.id, newKey, secret.value, secret.note, projectIds);
+      const result = await client.secrets().delete([secret.id]);
+      const item   = result.data && result.data[0];
+      if (!item || item.error) {
+        throw new Error(`'${newKey}' was overwritten but '${secret.key}' could not be deleted: ${item ? item.error : 'no confirmation from server'}`);
+      }
+    });
+    const { done, failed } = pairOutcomes(pairs, results, projectIdMap);
+    return withPlan(client, orgId, { renamed: done, failed });
+  }, r => ({
+    keys: r.renamed.flatMap(x => [x.from, x.to]),
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.key) }),
+  }));
+}
+
+/**
+ * Copy every secret matching a key or pattern to a new key, with its value
+ * and note, in its own project or flags.toProject (created if needed). With
+ * flags.force an existing secret with the new key is overwritten.
+ * @returns {Promise<{ copied: {from, to, project}[], failed: {key, error}[], createdProject?: string }>}
+ */
+async function copySecrets(pattern, newPattern, flags = {}) {
+  return audited('copy', { keys: [pattern, newPattern], project: flags.toProject ?? flags.project }, async () => {
+    if (!pattern || !newPattern) throw new Error('copy requires the key (or pattern) to copy and the new key');
+    const orgId  = getOrgId();
+    const client = await createClient();
+
+    let targetProjectId;
+    let createdProject = false;
+    if (flags.toProject) {
+      const { id, created } = await resolveOrCreateProject(client, orgId, flags.toProject);
+      targetProjectId = id;
+      createdProject  = created;
+    }
+    const { pairs, projectIdMap } = await mapSecretKeys(client, orgId, pattern, newPattern, {
+      project: flags.project, targetProjectId, force: flags.force, verb: 'copied',
+    });
+
+    const results = await runInBatches(pairs, ({ secret, newKey, projectId, existing }) => {
+      const projectIds = projectId ? [projectId] : [];
+      if (existing) return client.secrets().update(orgId, existing.id, newKey, secret.value, secret.note, projectIds);
+      return client.secrets().create(orgId, newKey, secret.value, secret.note ?? '', projectIds);
+    });
+    const { done, failed } = pairOutcomes(pairs, results, projectIdMap);
+    return withPlan(client, orgId, { copied: done, failed, ...(createdProject && { createdProject: flags.toProject }) });
+  }, r => ({
+    keys: r.copied.flatMap(x => [x.from, x.to]),
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.key) }),
+  }));
+}
+
+/**
+ * Promote values from one project to another that keeps a parallel key set:
+ * compare them (see planPromotion), then — once flags.confirm, given the
+ * comparison, resolves true — create the missing keys in the target project
+ * (creating it if needed) and overwrite the different ones. Overwritten
+ * secrets keep their own note. Nothing is asked or written when nothing
+ * differs.
+ * @returns {Promise<{ from, to, entries: {status, key, targetKey}[], promoted: {from, to, project}[], failed: {key, error}[], cancelled: boolean, createdProject?: string }>}
+ */
+async function promoteSecrets(flags = {}) {
+  return audited('promote', { keys: flags.keys ? [flags.keys] : [], project: flags.to }, async () => {
+    if (!flags.from || !flags.to) throw new Error('promote requires --from and --to projects');
+    if (flags.from === flags.to)  throw new Error('--from and --to must be different projects');
+    const maps = parseKeyMaps(flags.map);
+
+    const orgId    = getOrgId();
+    const client   = await createClient();
+    const secrets  = await fetchAllSecrets(client, orgId);
+    const pIndex   = buildProjectIndex((await client.projects().list(orgId)).data);
+    if (!pIndex[flags.from]) throw new Error(`Project '${flags.from}' not found`);
+
+    const plan    = planPromotion(secrets, { fromId: pIndex[flags.from].id, toId: pIndex[flags.to]?.id ?? null, maps, keys: flags.keys });
+    const entries = plan.map(({ status, key, targetKey }) => ({ status, key, targetKey }));
+    const copies  = plan.filter(e => e.status === 'missing' || e.status === 'different');
+    const result  = { from: flags.from, to: flags.to, entries, promoted: [], failed: [], cancelled: false };
+    if (copies.length === 0) return withPlan(client, orgId, result);
+    if (flags.confirm && !(await flags.confirm(entries))) return { ...result, cancelled: true };
+
+    const { id: toId, created } = await resolveOrCreateProject(client, orgId, flags.to);
+    if (created) result.createdProject = flags.to;
+    const results = await runInBatches(copies, ({ source, target, targetKey }) => target
+      ? client.secrets().update(orgId, target.id, targetKey, source.value, target.note, [toId])
+      : client.secrets().create(orgId, targetKey, source.value, source.note ?? '', [toId])
+    );
+    copies.forEach((e, i) => {
+      if (results[i].status === 'fulfilled') result.promoted.push({ from: e.key, to: e.targetKey, project: flags.to });
+      else result.failed.push({ key: e.key, error: results[i].reason?.message || String(results[i].reason) });
+    });
+    return withPlan(client, orgId, result);
+  }, r => ({
+    keys: r.promoted.map(p => p.to),
+    ...(r.cancelled && { outcome: 'cancelled' }),
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.key) }),
+  }));
+}
+
+/**
+ * Delete one secret addressed by a bare or project-qualified key.
+ * @returns {Promise<{ key: string, project: string|null }>}
+ */
+async function deleteSecret(key, flags = {}) {
+  return audited('delete', { keys: [key], project: flags.project }, async () => {
+    if (!key) throw new Error('delete requires a key name');
+    const orgId    = getOrgId();
+    const client   = await createClient();
+    const secrets  = await fetchAllSecrets(client, orgId);
+    const { resolve, projectIndex, projectIdMap } = await createKeyResolver(client, orgId, secrets);
+    if (flags.project && !projectIndex[flags.project]) throw new Error(`Project '${flags.project}' not found`);
+
+    const found = resolve(key, { project: flags.project, action: 'deleting' });
+    if (!found.secret) throw new Error(notFoundMessage(found));
+
+    const result = await client.secrets().delete([found.secret.id]);
+    const item   = result.data && result.data[0];
+    if (!item)        throw new Error(`Failed to delete '${key}': no confirmation from server`);
+    if (item.error)   throw new Error(`Failed to delete '${key}': ${item.error}`);
+    return withPlan(client, orgId, { key: found.key, project: projectIdMap[found.secret.projectId] ?? null });
+  }, r => ({ keys: [r.key], project: r.project }));
+}
+
+/**
+ * Delete every secret whose key matches a pattern (optionally "project/PATTERN"
+ * or narrowed by flags.project) with one batched delete call. flags.confirm
+ * receives the matches ({key, project}[]) and must resolve true before
+ * anything is deleted. Per-item errors from the response are reported in
+ * `failed` rather than thrown.
+ * @returns {Promise<{ deleted: {key, project}[], failed: {key, project, error}[], cancelled: boolean }>}
+ */
+async function deleteSecrets(pattern, flags = {}) {
+  return audited('delete', { keys: [pattern], project: flags.project }, async () => {
+    if (!pattern) throw new Error('delete requires a key name or pattern');
+    const orgId        = getOrgId();
+    const client       = await createClient();
+    const secrets      = await fetchAllSecrets(client, orgId);
+    const projectList  = await client.projects().list(orgId);
+    const pIndex       = buildProjectIndex(projectList.data);
+    const projectIdMap = buildProjectIdMap(projectList.data);
+
+    const parsed = parseKeyRef(pattern, pIndex);
+    if (parsed.project && flags.project && parsed.project !== flags.project) {
+      throw new Error(`'${pattern}' names project '${parsed.project}' but --project is '${flags.project}'`);
+    }
+    const project = parsed.project ?? flags.project;
+    if (project && !pIndex[project]) throw new Error(`Project '${project}' not found`);
+
+    let matches = secrets.filter(s => globMatch(parsed.key, s.key));
+    if (project) matches = matches.filter(s => s.projectId === pIndex[project].id);
+    if (matches.length === 0) throw new Error(`No secrets found matching '${pattern}'`);
+
+    const targets = matches.map(s => ({ key: s.key, project: projectIdMap[s.projectId] ?? null }));
+    if (flags.confirm && !(await flags.confirm(targets))) return { deleted: [], failed: [], cancelled: true };
+
+    const result = await client.secrets().delete(matches.map(s => s.id));
+    const byId   = new Map((result.data ?? []).map(item => [item.id, item]));
+    const deleted = [];
+    const failed  = [];
+    matches.forEach((secret, i) => {
+      const item = byId.get(secret.id);
+      if (item && !item.error) deleted.push(targets[i]);
+      else failed.push({ ...targets[i], error: item ? item.error : 'no confirmation from server' });
+    });
+    return withPlan(client, orgId, { deleted, failed, cancelled: false });
+  }, r => ({
+    keys: r.deleted.map(d => d.key),
+    ...(r.cancelled && { outcome: 'cancelled' }),
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.key) }),
+  }));
+}
+
+/** Project names, sorted. */
+async function listProjects() {
+  const orgId  = getOrgId();
+  const client = await createClient({ readCache: true });
+  const list   = await client.projects().list(orgId);
+  return list.data.map(p => p.name).sort();
+}
+
+/** @returns {Promise<{ name: string, id: string }>} */
+async function createProject(name) {
+  return audited('project-create', { project: name }, async () => {
+    if (!name) throw new Error('projects create requires a project name');
+    const orgId   = getOrgId();
+    const client  = await createClient();
+    const project = await client.projects().create(orgId, name);
+    return withPlan(client, orgId, { name, id: project.id });
+  });
+}
+
+/**
+ * Delete a project. Its secrets survive but become unassigned; their keys
+ * are returned (and listed in a WARN before deleting).
+ * @returns {Promise<{ name: string, unassigned: string[] }>}
+ */
+async function deleteProject(name) {
+  return audited('project-delete', { project: name }, async () => {
+    if (!name) throw new Error('projects delete requires a project name');
+    const orgId  = getOrgId();
+    const client = await createClient();
+    const list   = await client.projects().list(orgId);
+    const pIndex = buildProjectIndex(list.data);
+    if (!pIndex[name]) throw new Error(`Project '${name}' not found`);
+    const projectId = pIndex[name].id;
+
+    // sync() call is intentional here despite the added latency: it lets us enumerate
+    // the secrets that become unassigned once the project is deleted.
+    const secrets     = await fetchAllSecrets(client, orgId);
+    const assigned    = secrets.filter(s => s.projectId === projectId);
+
+    const result = await client.projects().delete([projectId]);
+    const item   = result.data && result.data[0];
+    if (!item)      throw new Error(`Failed to delete project '${name}': no confirmation from server`);
+    if (item.error) throw new Error(`Failed to delete project '${name}': ${item.error}`);
+    return withPlan(client, orgId, { name, unassigned: assigned.map(s => s.key) });
+  }, r => ({ keys: r.unassigned }));
+}
+
+/**
+ * Converge the organization on a manifest (see secrets-bws-manifest): create
+ * its missing projects, move secrets into the projects they belong to, set
+ * required notes and, with flags.prune, delete projects it does not list.
+ * Projects are created first and a failure there aborts; the other failures
+ * are reported in `failed`. Required keys that do not exist are returned in
+ * `missing` — apply never invents values.
+ * @returns {Promise<{ applied: PlanChange[], failed: {change, error}[], missing: PlanChange[] }>}
+ */
+async function applyManifest(file, flags = {}) {
+  return audited('apply', { keys: [] }, async () => {
+    if (!file) throw new Error('apply requires a manifest file');
+    const manifest = loadManifest(file);
+    const orgId    = getOrgId();
+    const client   = await createClient();
+    const secrets  = await fetchAllSecrets(client, orgId);
+    const projects = (await client.projects().list(orgId)).data;
+    const changes  = planManifest(manifest, secrets, projects, { prune: flags.prune });
+
+    const applied = [];
+    const failed  = [];
+    const byId    = new Map(secrets.map(s => [s.id, s]));
+    const ids     = Object.fromEntries(projects.map(p => [p.name, p.id]));
+
+    for (const change of changes.filter(c => c.action === 'create-project')) {
+      ids[change.project] = (await client.projects().create(orgId, change.project)).id;
+      applied.push(change);
+    }
+
+    const updates = changes.filter(c => c.action === 'move' || c.action === 'update');
+    const results = await runInBatches(updates, change => {
+      const secret = byId.get(change.id);
+      const note   = change.action === 'update' ? change.note : secret.note;
+      const target = ids[change.to ?? change.project];
+      return client.secrets().update(orgId, secret.id, secret.key, secret.value, note, [target]);
+    });
+    updates.forEach((change, i) => {
+      if (results[i].status === 'fulfilled') applied.push(change);
+      else failed.push({ change, error: results[i].reason?.message || String(results[i].reason) });
+    });
+
+    const deletes = changes.filter(c => c.action === 'delete-project');
+    if (deletes.length > 0) {
+      const result    = await client.projects().delete(deletes.map(c => c.id));
+      const byProject = new Map((result.data ?? []).map(item => [item.id, item]));
+      for (const change of deletes) {
+        const item = byProject.get(change.id);
+        if (item && !item.error) applied.push(change);
+        else failed.push({ change, error: item ? item.error : 'no confirmation from server' });
+      }
+    }
+
+    const strip   = ({ id, note, ...change }) => change;
+    const missing = changes.filter(c => c.action === 'missing');
+    return withPlan(client, orgId, {
+      applied: applied.map(strip),
+      failed:  failed.map(f => ({ change: strip(f.change), error: f.error })),
+      missing,
+    });
+  }, r => ({
+    keys: r.applied.filter(c => c.key).map(c => c.key),
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.change.key ?? f.change.project) }),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+async function cmdList(flags) {
+  const secrets = await listSecrets(flags);
+
+  if (secrets.length === 0) {
+    if (flags.json) {
+      console.log('[]');
     } else {
-      console.error(`ERROR: Failed to move '${matches[i].key}': ${results[i].reason?.message || results[i].reason}`);
+      console.log('(no secrets found)');
+    }
+    return;
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(secrets, null, 2));
+    return;
+  }
+
+  // Note columns only appear when some listed secret has something to show
+  const firstLine = (text) => {
+    const line = text.split('\n').find(l => l.trim() !== '') ?? '';
+    return line.length > 40 ? `${line.slice(0, 39)}…` : line;
+  };
+  const columns = [
+    ['KEY',     s => s.key],
+    ['PROJECT', s => s.project ?? '(none)'],
+    ['TAGS',    s => s.tags.join(',')],
+    ['OWNER',   s => s.owner ?? ''],
+    ['EXPIRES', s => s.expires ?? ''],
+    ['NOTE',    s => firstLine(s.note)],
+  ].filter(([title, cell], i) => i < 2 || secrets.some(s => cell(s) !== ''));
+  const widths = columns.map(([title, cell]) => Math.max(title.length, ...secrets.map(s => cell(s).length)));
+  const row    = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+  const header = row(columns.map(([title]) => title));
+  console.log(header);
+  console.log('-'.repeat(header.length));
+  for (const s of secrets) console.log(row(columns.map(([, cell]) => cell(s))));
+}
+
+async function cmdGet(key, flags = {}) {
+  const { value } = await getSecretValue(key, flags);
+  // stdout.write intentionally omits trailing newline — callers capturing with $() get the exact value
+  process.stdout.write(value);
+}
+
+/** The stderr notice for an operation that created its target project. */
+function noteCreatedProject({ createdProject }) {
+  if (createdProject) console.error(`Created project '${createdProject}'`);
+}
+
+/** " (moved from 'staging')" when set or generate moved the secret into --project. */
+function describeMove({ movedFrom }) {
+  if (movedFrom === undefined) return '';
+  return ` (moved from ${movedFrom === null ? 'no project' : `'${movedFrom}'`})`;
+}
+
+async function cmdSet(key, value, flags) {
+  const result = await setSecret(key, value, flags);
+  if (result.plan) return printPlan(result.plan);
+  noteCreatedProject(result);
+  const moved = describeMove(result);
+  console.log(`${result.action === 'created' ? 'Created' : 'Updated'} secret '${key}'${moved && ` in '${result.project}'${moved}`}`);
+}
+
+/**
+ * Store a generated value. It goes to stdout (like get) only with --show;
+ * the confirmation goes to stderr then, so `$(secrets-bws generate K --show)`
+ * captures just the value.
+ */
+async function cmdGenerate(key, flags = {}) {
+  const result = await generateSecret(key, flags);
+  const { action, project, value, strength, plan } = result;
+  if (plan) return printPlan(plan);
+  noteCreatedProject(result);
+  const where = project ? ` in '${project}'${describeMove(result)}` : '';
+  if (action === 'exists') {
+    console.log(`Secret '${key}' already exists${where} — left unchanged`);
+    return;
+  }
+  const message = `${action === 'created' ? 'Created' : 'Updated'} secret '${key}'${where} with a generated value: ${strength}`;
+  if (!flags.show) {
+    console.log(message);
+    return;
+  }
+  console.error(message);
+  process.stdout.write(value);
+}
+
+async function cmdMeta(key, flags = {}) {
+  const { key: name, project, tags, owner, expires, plan } = await setSecretMeta(key, flags);
+  if (plan) return printPlan(plan);
+  console.log(`Updated metadata of '${name}'${project ? ` in '${project}'` : ''}: ` +
+    `tags ${tags.length > 0 ? tags.join(', ') : '(none)'}; owner ${owner ?? '(none)'}; expires ${expires ?? '(never)'}`);
+}
+
+/**
+ * Report secrets whose note's `expires` date is within --within (default
+ * 30d) from now, or already past, soonest first. Dates that do not parse are
+ * skipped with a warning.
+ */
+async function cmdExpiring(flags = {}) {
+  const within  = flags.within ?? '30d';
+  const now     = Date.now();
+  const horizon = now + parseDuration(within);
+  const day     = 86_400_000;
+
+  const due = [];
+  for (const s of await listSecrets({ project: flags.project, tag: flags.tag, owner: flags.owner })) {
+    if (!s.expires) continue;
+    let at;
+    try {
+      at = parseExpiry(s.expires).getTime();
+    } catch (_) {
+      console.error(`WARN: '${s.key}'${s.project ? ` in '${s.project}'` : ''} has an invalid expires date '${s.expires}' — skipped`);
+      continue;
     }
+    if (at > horizon) continue;
+    due.push({ key: s.key, project: s.project, owner: s.owner, expires: s.expires, expired: at <= now, days: Math.ceil((at - now) / day) });
+  }
+  due.sort((a, b) => a.expires.localeCompare(b.expires) || a.key.localeCompare(b.key));
+
+  if (flags.json) {
+    console.log(JSON.stringify(due.map(({ days, ...d }) => d), null, 2));
+    return;
   }
+  if (due.length === 0) {
+    console.log(`No secrets expire within ${within}`);
+    return;
+  }
+  const keyWidth     = Math.max(3, ...due.map(d => d.key.length));
+  const projectWidth = Math.max(7, ...due.map(d => (d.project ?? '(none)').length));
+  const ownerWidth   = Math.max(5, ...due.map(d => (d.owner ?? '').length));
+  const header       = `EXPIRES     ${'KEY'.padEnd(keyWidth)}  ${'PROJECT'.padEnd(projectWidth)}  ${'OWNER'.padEnd(ownerWidth)}  STATUS`;
+  console.log(header);
+  console.log('-'.repeat(header.length));
+  for (const d of due) {
+    const status = d.expired ? 'expired' : `in ${d.days} day(s)`;
+    console.log(`${d.expires}  ${d.key.padEnd(keyWidth)}  ${(d.project ?? '(none)').padEnd(projectWidth)}  ${(d.owner ?? '').padEnd(ownerWidth)}  ${status}`);
+  }
+}
 
-  if (matches.length > 1) {
-    console.log(`\nMoved ${moved} of ${matches.length} secrets to '${projectName}'`);
+/**
+ * Rotate a secret to a value read from stdin or generated (printed only with
+ * --show, like generate).
+ */
+async function cmdRotate(key, flags = {}) {
+  if (Boolean(flags.valueFromStdin) === Boolean(flags.generate)) {
+    throw new Error('rotate requires exactly one of --value-from-stdin or --generate');
+  }
+  if (flags.show && !flags.generate) throw new Error('--show only applies to --generate');
+  const options = { length: flags.length, charset: flags.charset, format: flags.format };
+  if (!flags.generate && Object.values(options).some(v => v !== undefined)) {
+    throw new Error('--length, --charset and --format only apply to --generate');
   }
-  if (moved < matches.length) {
-    throw new Error(`Partial failure: moved ${moved} of ${matches.length} secrets to '${projectName}'`);
+  const value = flags.generate ? generateValue(options) : await readStdin();
+
+  const { key: name, project, previousKey, plan } = await rotateSecret(key, value, flags);
+  if (plan) return printPlan(plan);
+  const message = `Rotated secret '${name}'${project ? ` in '${project}'` : ''} — previous value kept in '${previousKey}'`;
+  if (!flags.show) {
+    console.log(message);
+    return;
   }
+  console.error(message);
+  process.stdout.write(value);
 }
 
-async function cmdDelete(key) {
-  if (!key) throw new Error('delete requires a key name');
-  const orgId    = getOrgId();
-  const client   = await createClient();
-  const secrets  = await fetchAllSecrets(client, orgId);
-  const index    = buildKeyIndex(secrets);
-  if (!index[key]) throw new Error(`Secret '${key}' not found`);
+async function cmdRollback(key, flags = {}) {
+  const { key: name, project, previousKey, plan } = await rollbackSecret(key, flags);
+  if (plan) return printPlan(plan);
+  console.log(`Rolled back secret '${name}'${project ? ` in '${project}'` : ''} to its previous value — the replaced value is now in '${previousKey}'`);
+}
+
+async function cmdMove(pattern, projectName, flags = {}) {
+  const result = await moveSecrets(pattern, projectName, flags);
+  const { moved, failed, duplicates, plan } = result;
+  if (plan) return printPlan(plan);
+  noteCreatedProject(result);
+  if (duplicates.length > 0) {
+    console.error(`WARN: '${pattern}' matched keys that exist in more than one project: ${duplicates.join(', ')} — all of them were moved`);
+  }
+  for (const m of moved)  console.log(`Moved '${m.key}' -> '${projectName}'`);
+  for (const f of failed) console.error(`ERROR: Failed to move '${f.key}': ${f.error}`);
+
+  const total = moved.length + failed.length;
+  if (total > 1) {
+    console.log(`\nMoved ${moved.length} of ${total} secrets to '${projectName}'`);
+  }
+  if (failed.length > 0) {
+    throw new Error(`Partial failure: moved ${moved.length} of ${total} secrets to '${projectName}'`);
+  }
+}
+
+/** Print the outcome of rename or copy, failing on any per-secret error. */
+function reportTransfers(verb, done, failed) {
+  for (const d of done)   console.log(`${verb} '${d.from}' -> '${d.to}'${d.project ? ` in '${d.project}'` : ''}`);
+  for (const f of failed) console.error(`ERROR: Failed to ${verb === 'Renamed' ? 'rename' : 'copy'} '${f.key}': ${f.error}`);
+
+  const total = done.length + failed.length;
+  if (total > 1) console.log(`\n${verb} ${done.length} of ${total} secrets`);
+  if (failed.length > 0) throw new Error(`Partial failure: ${verb.toLowerCase()} ${done.length} of ${total} secrets`);
+}
+
+async function cmdRename(pattern, newPattern, flags = {}) {
+  const { renamed, failed, plan } = await renameSecrets(pattern, newPattern, flags);
+  if (plan) return printPlan(plan);
+  reportTransfers('Renamed', renamed, failed);
+}
+
+async function cmdCopy(pattern, newPattern, flags = {}) {
+  const result = await copySecrets(pattern, newPattern, flags);
+  const { copied, failed, plan } = result;
+  if (plan) return printPlan(plan);
+  noteCreatedProject(result);
+  reportTransfers('Copied', copied, failed);
+}
+
+/** Print a promotion comparison: one line per key with its status, then counts. */
+function printPromotion(from, to, entries) {
+  const label = { missing: 'missing', different: 'different', identical: 'identical', 'only-in-target': 'only in target' };
+  const width = Math.max(0, ...entries.map(e => (e.key ?? '').length));
+  const count = (status) => entries.filter(e => e.status === status).length;
+  console.log(`'${from}' -> '${to}':`);
+  for (const e of entries) {
+    const pair = e.key === null ? `${''.padEnd(width)}    ${e.targetKey}`
+      : e.key === e.targetKey ? e.key
+      : `${e.key.padEnd(width)} -> ${e.targetKey}`;
+    console.log(`  ${label[e.status].padEnd(14)}  ${pair}`);
+  }
+  console.log(`${count('missing')} missing, ${count('different')} different, ${count('identical')} identical, ` +
+    `${count('only-in-target')} only in '${to}'`);
+}
+
+/**
+ * Promote values between projects: print which keys are missing, different,
+ * identical or only in the target (never values), then copy the missing and
+ * different ones after confirmation (skipped with --yes; required when stdin
+ * is not a terminal).
+ */
+async function cmdPromote(flags = {}) {
+  let shown = false;
+  const confirm = async (entries) => {
+    // The plan lists the writes
+    if (getDryRunMode()) return true;
+    printPromotion(flags.from, flags.to, entries);
+    shown = true;
+    const copies = entries.filter(e => e.status === 'missing' || e.status === 'different').length;
+    if (flags.yes) return true;
+    if (!process.stdin.isTTY) {
+      throw new Error(`Refusing to promote ${copies} secret(s) without confirmation — pass --yes`);
+    }
+    return askYesNo(`Copy ${copies} value(s) to '${flags.to}'? [y/N] `);
+  };
+
+  const result = await promoteSecrets({ ...flags, confirm });
+  if (result.plan) return printPlan(result.plan);
+  noteCreatedProject(result);
+  if (!shown) printPromotion(result.from, result.to, result.entries);
+  if (result.cancelled) {
+    console.log('Cancelled — nothing was copied');
+    return;
+  }
+  if (result.promoted.length + result.failed.length === 0) {
+    console.log(`Nothing to promote — '${result.to}' already has every value`);
+    return;
+  }
+  console.log('');
+  reportTransfers('Copied', result.promoted, result.failed);
+}
+
+/**
+ * Delete one secret, or with a * pattern every matching secret after listing
+ * them and asking for confirmation (skipped with --yes; required when stdin
+ * is not a terminal).
+ */
+async function cmdDelete(key, flags = {}) {
+  if (!key?.includes('*')) {
+    const { plan } = await deleteSecret(key, flags);
+    if (plan) return printPlan(plan);
+    console.log(`Deleted secret '${key}'`);
+    return;
+  }
+
+  const confirm = async (targets) => {
+    // The plan lists the matches
+    if (getDryRunMode()) return true;
+    console.log(`Secrets matching '${key}':`);
+    const keyWidth = Math.max(...targets.map(t => t.key.length));
+    for (const t of targets) console.log(`  ${t.key.padEnd(keyWidth)}  ${t.project ?? '(none)'}`);
+    if (flags.yes) return true;
+    if (!process.stdin.isTTY) {
+      throw new Error(`Refusing to delete ${targets.length} secret(s) without confirmation — pass --yes`);
+    }
+    return askYesNo(`Delete ${targets.length} secret(s)? [y/N] `);
+  };
 
-  // Warn if multiple secrets share the same key — only the first match will be deleted
-  const allWithKey = secrets.filter(s => s.key === key);
-  if (allWithKey.length > 1) {
-    console.error(`WARN: ${allWithKey.length} secrets named '${key}' found across projects — deleting the first match only`);
+  const { deleted, failed, cancelled, plan } = await deleteSecrets(key, { project: flags.project, confirm });
+  if (plan) return printPlan(plan);
+  if (cancelled) {
+    console.log('Cancelled — nothing was deleted');
+    return;
+  }
+  for (const d of deleted) console.log(`Deleted secret '${d.key}'`);
+  for (const f of failed)  console.error(`ERROR: Failed to delete '${f.key}': ${f.error}`);
+
+  const total = deleted.length + failed.length;
+  if (total > 1) console.log(`\nDeleted ${deleted.length} of ${total} secrets`);
+  if (failed.length > 0) throw new Error(`Partial failure: deleted ${deleted.length} of ${total} secrets`);
+}
+
+/**
+ * Run a command with a project's secrets (and/or keys matching a pattern) as
+ * environment variables. Secrets are fetched once; the child is supervised
+ * exactly like bws-mcp-wrapper's (signals forwarded, exit code propagated).
+ * Resolves to the exit code the CLI should exit with.
+ */
+async function cmdRun(command, flags) {
+  if (!command || command.length === 0) throw new Error('run requires a command after --');
+  if (!flags.project && !flags.pattern) throw new Error('run requires --project and/or --pattern');
+  const map = parseEnvMap(flags.map ?? []);
+
+  const orgId   = getOrgId();
+  const client  = await createClient({ readCache: true });
+  const secrets = await selectSecrets(client, orgId, await fetchAllSecrets(client, orgId), flags);
+
+  for (const key of Object.keys(map)) {
+    if (!secrets.some(s => s.key === key)) throw new Error(`--map key '${key}' is not among the selected secrets`);
+  }
+  if (secrets.length === 0) console.error('WARN: No secrets matched — running command without injected variables');
+
+  const { vars, skipped } = buildEnvVars(secrets, { prefix: flags.prefix, map });
+  if (skipped.length > 0) {
+    console.error(`WARN: Skipping keys that are not valid environment variable names (use --map KEY=VAR): ${skipped.join(', ')}`);
+  }
+
+  await recordAudit({ op: 'run', keys: secrets.map(s => s.key), project: flags.project, outcome: 'ok' });
+  const env = { ...process.env, ...vars };
+  return superviseServer(async () => ({ command, env }), { label: 'command' });
+}
+
+async function cmdExport(flags) {
+  const format = flags.format ?? 'dotenv';
+  if (!FORMATS.includes(format)) throw new Error(`Unknown format '${format}' (expected ${FORMATS.join(', ')})`);
+
+  const orgId   = getOrgId();
+  const client  = await createClient({ readCache: true });
+  const secrets = await selectSecrets(client, orgId, await fetchAllSecrets(client, orgId), flags);
+
+  const byKey = {};
+  for (const s of secrets) (byKey[s.key] ??= []).push(s);
+  const dupes = Object.keys(byKey).filter(k => byKey[k].length > 1);
+  if (dupes.length > 0) {
+    throw new Error(`Keys exist in more than one project: ${dupes.join(', ')} — narrow the export with --project`);
   }
 
-  const result = await client.secrets().delete([index[key].id]);
-  const item   = result.data && result.data[0];
-  if (!item)        throw new Error(`Failed to delete '${key}': no confirmation from server`);
-  if (item.error)   throw new Error(`Failed to delete '${key}': ${item.error}`);
-  console.log(`Deleted secret '${key}'`);
+  const entries = secrets
+    .map(s => ({ key: s.key, value: s.value }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+  const output  = formatSecrets(entries, format);
+  await recordAudit({ op: 'export', keys: entries.map(e => e.key), project: flags.project, outcome: 'ok' });
+
+  if (flags.out) {
+    writePrivateFile(flags.out, output);
+    console.error(`Exported ${entries.length} secret(s) to '${flags.out}'`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function cmdImport(file, flags) {
+  const { created, updated, skipped, failed, total, plan } = await audited('import', { keys: [], project: flags.project }, async () => {
+    if (!file) throw new Error('import requires a file');
+    const onConflict = flags.onConflict ?? 'skip';
+    if (!['skip', 'overwrite', 'fail'].includes(onConflict)) {
+      throw new Error(`Unknown --on-conflict '${onConflict}' (expected skip, overwrite or fail)`);
+    }
+    const format = flags.format ?? formatFromPath(file);
+    if (!format) throw new Error(`Cannot infer the format of '${file}' — pass --format (${FORMATS.join(', ')})`);
+
+    let entries;
+    try {
+      entries = parseSecrets(fs.readFileSync(file, 'utf8'), format);
+    } catch (err) {
+      if (err.code) throw new Error(`Cannot read '${file}': ${err.message}`);
+      throw new Error(`Cannot parse '${file}' as ${format}: ${err.message}`);
+    }
+
+    const orgId   = getOrgId();
+    const client  = await createClient();
+    const secrets = await fetchAllSecrets(client, orgId);
+    const { resolve } = await createKeyResolver(client, orgId, secrets);
+
+    // With --project only a key in that project conflicts; the same key in
+    // another project is left alone and a new secret is created in this one
+    const creates = [];
+    const updates = [];
+    const skips   = [];
+    for (const entry of entries) {
+      const existing = resolve(entry.key, { project: flags.project, action: 'importing over' }).secret;
+      if (!existing) creates.push(entry);
+      else if (onConflict === 'overwrite') updates.push({ ...entry, existing });
+      else skips.push(entry);
+    }
+
+    if (onConflict === 'fail' && skips.length > 0) {
+      throw new Error(`Import aborted: ${skips.length} key(s) already exist: ${skips.map(e => e.key).join(', ')}`);
+    }
+
+    let projectIds = [];
+    if (flags.project && creates.length + updates.length > 0) {
+      const { id, created } = await resolveOrCreateProject(client, orgId, flags.project);
+      if (created && !getDryRunMode()) console.error(`Created project '${flags.project}'`);
+      projectIds = [id];
+    }
+
+    const createResults = await runInBatches(creates, e =>
+      client.secrets().create(orgId, e.key, e.value, '', projectIds)
+    );
+    const updateResults = await runInBatches(updates, ({ key, value, existing }) => {
+      const finalProject = projectIds.length > 0 ? projectIds : (existing.projectId ? [existing.projectId] : []);
+      return client.secrets().update(orgId, existing.id, key, value, existing.note, finalProject);
+    });
+
+    const failed  = [];
+    const written = (items, results) => items.filter((e, i) => {
+      if (results[i].status === 'fulfilled') return true;
+      failed.push({ key: e.key, error: results[i].reason?.message || String(results[i].reason) });
+      return false;
+    }).map(e => e.key);
+    return withPlan(client, orgId, {
+      created: written(creates, createResults),
+      updated: written(updates, updateResults),
+      skipped: skips.map(e => e.key),
+      failed,
+      total:   entries.length,
+    });
+  }, r => ({
+    keys: [...r.created, ...r.updated],
+    ...(r.failed.length > 0 && { outcome: 'error', failed: r.failed.map(f => f.key) }),
+  }));
+  // Under the global --dry-run the writes above were only recorded
+  if (plan) return printPlan(plan);
+
+  for (const key of created) console.log(`Created secret '${key}'`);
+  for (const key of updated) console.log(`Updated secret '${key}'`);
+  for (const f of failed)    console.error(`ERROR: Failed to import '${f.key}': ${f.error}`);
+  for (const key of skipped) console.log(`Skipped secret '${key}' (already exists)`);
+
+  console.log(`\nImported from '${file}': ${created.length} created, ${updated.length} updated, ${skipped.length} skipped` +
+    (failed.length > 0 ? `, ${failed.length} failed` : ''));
+  if (failed.length > 0) throw new Error(`Partial failure: ${failed.length} of ${total} secrets could not be imported`);
+}
+
+async function cmdRender(template, flags) {
+  if (!template) throw new Error('render requires a template file');
+  let text;
+  try {
+    text = fs.readFileSync(template, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read template '${template}': ${err.message}`);
+  }
+
+  const orgId       = getOrgId();
+  const client      = await createClient({ readCache: true });
+  // One sync() resolves every placeholder in the template
+  const secrets     = await fetchAllSecrets(client, orgId);
+  const { resolve } = await createKeyResolver(client, orgId, secrets);
+
+  // "project/KEY" looks in that project; a ref whose prefix is not a project is a bare key
+  const used   = new Set();
+  const lookup = (ref) => {
+    const secret = resolve(ref, { action: 'rendering' }).secret;
+    if (secret) used.add(ref);
+    return secret?.value;
+  };
+
+  let output;
+  try {
+    output = renderTemplate(text, lookup);
+  } catch (err) {
+    throw new Error(`${template}: ${err.message}`);
+  }
+  await recordAudit({ op: 'render', keys: [...used], outcome: 'ok' });
+
+  if (flags.out) {
+    writePrivateFile(flags.out, output);
+    console.error(`Rendered '${template}' to '${flags.out}'`);
+  } else {
+    process.stdout.write(output);
+  }
 }
 
 async function cmdProjects() {
-  const orgId  = getOrgId();
-  const client = await createClient();
-  const list   = await client.projects().list(orgId);
-  if (list.data.length === 0) {
+  const names = await listProjects();
+  if (names.length === 0) {
     console.log('(no projects found)');
     return;
   }
-  const names = list.data.map(p => p.name).sort();
   for (const name of names) console.log(name);
 }
 
 async function cmdProjectsCreate(name) {
-  if (!name) throw new Error('projects create requires a project name');
-  const orgId  = getOrgId();
-  const client = await createClient();
-  await client.projects().create(orgId, name);
+  const { plan } = await createProject(name);
+  if (plan) return printPlan(plan);
   console.log(`Created project '${name}'`);
 }
 
 async function cmdProjectsDelete(name) {
-  if (!name) throw new Error('projects delete requires a project name');
-  const orgId  = getOrgId();
-  const client = await createClient();
-  const list   = await client.projects().list(orgId);
-  const pIndex = buildProjectIndex(list.data);
-  if (!pIndex[name]) throw new Error(`Project '${name}' not found`);
-  const projectId = pIndex[name].id;
+  const { unassigned, plan } = await deleteProject(name);
+  if (plan) return printPlan(plan);
+  console.log(`Deleted project '${name}'`);
+  if (unassigned.length > 0) {
+    console.error(`WARN: ${unassigned.length} secret(s) that were assigned to '${name}' are now unassigned:`);
+    for (const key of unassigned) console.error(`  ${key}`);
+  }
+}
 
-  // sync() call is intentional here despite the added latency: it lets us enumerate
-  // and warn about secrets that will become unassigned after the project is deleted.
-  const secrets     = await fetchAllSecrets(client, orgId);
-  const assigned    = secrets.filter(s => s.projectId === projectId);
-  if (assigned.length > 0) {
-    console.error(`WARN: ${assigned.length} secret(s) are assigned to '${name}' and will become unassigned after deletion:`);
-    for (const s of assigned) console.error(`  ${s.key}`);
+/**
+ * Show the changes apply would make to converge the organization on a
+ * manifest, as text or (--json) as JSON. Read-only.
+ */
+async function cmdPlan(file, flags = {}) {
+  if (!file) throw new Error('plan requires a manifest file');
+  const manifest = loadManifest(file);
+  const orgId    = getOrgId();
+  const client   = await createClient({ readCache: true });
+  const secrets  = await fetchAllSecrets(client, orgId);
+  const projects = (await client.projects().list(orgId)).data;
+  const changes  = planManifest(manifest, secrets, projects, { prune: flags.prune })
+    .map(({ id, note, ...change }) => change);
+
+  if (flags.json) {
+    console.log(JSON.stringify({ manifest: file, changes }, null, 2));
+  } else {
+    process.stdout.write(formatPlan(changes, `Plan for '${file}':`));
   }
+}
 
-  const result = await client.projects().delete([projectId]);
-  const item   = result.data && result.data[0];
-  if (!item)      throw new Error(`Failed to delete project '${name}': no confirmation from server`);
-  if (item.error) throw new Error(`Failed to delete project '${name}': ${item.error}`);
-  console.log(`Deleted project '${name}'`);
+/** Apply a manifest, then fail if changes failed or required secrets are missing. */
+async function cmdApply(file, flags = {}) {
+  const { applied, failed, missing, plan } = await applyManifest(file, flags);
+  if (plan) return printPlan([...plan, ...missing]);
+
+  for (const c of applied) console.log(formatChange(c));
+  for (const f of failed)  console.error(`ERROR: Failed to apply ${formatChange(f.change).trim()}: ${f.error}`);
+  console.log(applied.length + failed.length === 0 ? `'${file}' is already applied` : `Applied ${applied.length} change(s) from '${file}'`);
+
+  if (failed.length > 0) {
+    throw new Error(`Partial failure: ${failed.length} of ${applied.length + failed.length} change(s) failed`);
+  }
+  if (missing.length > 0) {
+    const names = missing.map(c => `${c.project}/${c.key}`).join(', ');
+    throw new Error(`${missing.length} required secret(s) missing: ${names} — create them with secrets-bws set`);
+  }
+}
+
+function loadSnapshot(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read snapshot '${file}': ${err.message}`);
+  }
+  try {
+    return parseSnapshot(text);
+  } catch (err) {
+    throw new Error(`Invalid snapshot '${file}': ${err.message}`);
+  }
+}
+
+/** The live organization as a snapshot, fingerprinted with `salt` when given. */
+async function takeSnapshot(salt) {
+  const orgId    = getOrgId();
+  const client   = await createClient({ readCache: true });
+  const secrets  = await fetchAllSecrets(client, orgId);
+  const projects = (await client.projects().list(orgId)).data;
+  return createSnapshot({ orgId, secrets, projects, salt });
+}
+
+/**
+ * Record the organization's keys, projects, notes and value fingerprints
+ * (see secrets-bws-snapshot) to stdout or a 0600 file. --salt-from reuses an
+ * earlier snapshot's salt so value changes between the two can be diffed.
+ */
+async function cmdSnapshot(flags = {}) {
+  const salt     = flags.saltFrom ? loadSnapshot(flags.saltFrom).salt : undefined;
+  const snapshot = await takeSnapshot(salt);
+  const output   = JSON.stringify(snapshot, null, 2) + '\n';
+  await recordAudit({ op: 'snapshot', keys: snapshot.secrets.map(s => s.key), outcome: 'ok' });
+
+  if (flags.out) {
+    writePrivateFile(flags.out, output);
+    console.error(`Wrote snapshot of ${snapshot.secrets.length} secret(s) in ${snapshot.projects.length} project(s) to '${flags.out}'`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+/**
+ * Show what changed between two snapshots, or between a snapshot and the
+ * live organization ("live", the default) — fingerprinted with the
+ * snapshot's salt so value changes show up.
+ */
+async function cmdDiff(fileA, fileB = 'live', flags = {}) {
+  if (!fileA) throw new Error('diff requires a snapshot file');
+  const before = loadSnapshot(fileA);
+  const after  = fileB === 'live' ? await takeSnapshot(before.salt) : loadSnapshot(fileB);
+  const { changes, valuesCompared } = diffSnapshots(before, after);
+  if (!valuesCompared) {
+    console.error(`WARN: '${fileA}' and '${fileB}' use different salts — value changes are not shown (take the later snapshot with --salt-from '${fileA}')`);
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify({ from: fileA, to: fileB, valuesCompared, changes }, null, 2));
+    return;
+  }
+  const label = (file, snapshot) => (file === 'live' ? 'live' : `'${file}' (${snapshot.takenAt})`);
+  process.stdout.write(formatDiff(changes, `Changes from ${label(fileA, before)} to ${label(fileB, after)}:`));
+}
+
+/** Write every project and secret, values included, to a passphrase-encrypted 0600 file. */
+async function cmdBackup(flags = {}) {
+  if (!flags.out) throw new Error('backup requires --out <file>');
+  const passphrase = await readPassphrase({ confirm: true });
+  if (passphrase.length < 12) throw new Error('The backup passphrase must be at least 12 characters');
+
+  const orgId    = getOrgId();
+  const client   = await createClient();
+  const secrets  = await fetchAllSecrets(client, orgId);
+  const projects = (await client.projects().list(orgId)).data;
+  const payload  = createBackupPayload({ orgId, secrets, projects });
+  writePrivateFile(flags.out, encryptBackup(payload, passphrase));
+  await recordAudit({ op: 'backup', keys: payload.secrets.map(s => s.key), outcome: 'ok' });
+  console.log(`Backed up ${payload.secrets.length} secret(s) in ${payload.projects.length} project(s) to '${flags.out}'`);
+}
+
+async function cmdRestore(file, flags = {}) {
+  if (!file) throw new Error('restore requires a backup file');
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read backup '${file}': ${err.message}`);
+  }
+  let payload;
+  try {
+    payload = decryptBackup(text, await readPassphrase());
+  } catch (err) {
+    throw new Error(`Cannot restore '${file}': ${err.message}`);
+  }
+  if (payload.organizationId !== getOrgId()) {
+    console.error(`WARN: '${file}' is a backup of organization ${payload.organizationId} — restoring into ${getOrgId()}`);
+  }
+
+  const result = await restoreBackup(payload, flags);
+  if (result.plan) return printPlan(result.plan);
+
+  const where = (e) => (e.project ? ` in '${e.project}'` : '');
+  for (const name of result.projects) console.log(`Created project '${name}'`);
+  for (const e of result.created)     console.log(`Restored secret '${e.key}'${where(e)}`);
+  for (const e of result.overwritten) console.log(`Overwrote secret '${e.key}'${where(e)}`);
+  for (const e of result.skipped)     console.log(`Skipped secret '${e.key}'${where(e)} (differs from the backup — use --on-conflict overwrite)`);
+  for (const f of result.failed)      console.error(`ERROR: Failed to restore '${f.key}': ${f.error}`);
+
+  console.log(`\nRestored from '${file}' (${payload.createdAt}): ${result.created.length} created, ` +
+    `${result.overwritten.length} overwritten, ${result.skipped.length} skipped, ${result.identical.length} unchanged` +
+    (result.failed.length > 0 ? `, ${result.failed.length} failed` : ''));
+  if (result.failed.length > 0) throw new Error(`Partial failure: ${result.failed.length} secret(s) could not be restored`);
+}
+
+/**
+ * Check the organization against the doctor rules (defaults, or as changed by
+ * --config) and print the findings — as JSON with --json. Fails when any
+ * finding is an error, so it can run on a schedule. --list-rules prints the
+ * rules in effect instead.
+ */
+async function cmdDoctor(flags = {}) {
+  const rules = resolveRules(flags.config ? loadDoctorConfig(flags.config) : {});
+  if (flags.listRules) {
+    const width = Math.max(...Object.keys(RULES).map(id => id.length));
+    for (const [id, rule] of Object.entries(RULES)) {
+      const active = rules.find(r => r.id === id);
+      console.log(`${id.padEnd(width)}  ${(active?.severity ?? 'off').padEnd(5)}  ${rule.description}`);
+    }
+    return;
+  }
+
+  const orgId    = getOrgId();
+  const client   = await createClient({ readCache: true });
+  const secrets  = await fetchAllSecrets(client, orgId);
+  const projects = (await client.projects().list(orgId)).data;
+  const findings = runChecks({ secrets, projects }, rules);
+  const errors   = findings.filter(f => f.severity === 'error').length;
+
+  if (flags.json) {
+    console.log(JSON.stringify({ checked: { secrets: secrets.length, projects: projects.length }, findings }, null, 2));
+  } else if (findings.length === 0) {
+    console.log(`No problems found in ${secrets.length} secret(s) and ${projects.length} project(s)`);
+  } else {
+    process.stdout.write(formatFindings(findings));
+  }
+  if (errors > 0) throw new Error(`doctor found ${errors} error(s)`);
+}
+
+/**
+ * Bring the local store up to date now: an incremental sync, or with --full a
+ * complete download after discarding the store.
+ */
+async function cmdSync(flags) {
+  const cache = getCacheSettings();
+  if (!cache.enabled) throw new Error('sync requires the local store — set BWS_LOCAL_STORE=1 or BWS_CACHE_TTL');
+  if (flags.full) clearCache(cache.file);
+
+  // Straight to the store — a running agent keeps its own snapshot
+  const orgId   = getOrgId();
+  const client  = createCachedClient(() => connectBackend(), cache);
+  const secrets = await fetchAllSecrets(client, orgId);
+  console.log(`Synced ${secrets.length} secret(s)${flags.full ? ' (full resync)' : ''}`);
+}
+
+async function cmdCacheClear() {
+  const { file } = getCacheSettings();
+  if (!file) throw new Error('HAL_BWS_ACCESS_TOKEN is not set');
+  console.log(clearCache(file) ? 'Cleared secrets cache' : '(no cache)');
+}
+
+// ---------------------------------------------------------------------------
+// Agent
+// ---------------------------------------------------------------------------
+
+const CLI_PATH            = fileURLToPath(new URL('../bin/secrets-bws.js', import.meta.url));
+const AGENT_START_TIMEOUT = 15_000;
+
+function pingAgent(socketPath) {
+  return agentRequest(socketPath, 'ping', [], { timeoutMs: 1_000 }).catch(() => null);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Start the agent. By default it is launched as a detached background
+ * process and this command returns once it answers on its socket; with
+ * --foreground it runs in this process until stopped (for supervisors and
+ * containers).
+ */
+async function cmdAgentStart(flags) {
+  const { enabled, socketPath, ttlMs } = getAgentSettings();
+  if (process.platform === 'win32') throw new Error('The agent requires Unix domain sockets and is not supported on Windows');
+  if (!enabled) throw new Error('The agent is disabled by BWS_NO_AGENT');
+
+  const running = await pingAgent(socketPath);
+  if (running) throw new Error(`Agent is already running (pid ${running.pid}) on '${socketPath}'`);
+
+  if (flags.foreground) {
+    const { stopped } = await startAgentServer(socketPath, { connect: () => connectBackend(), ttlMs });
+    console.error(`Agent listening on '${socketPath}' (pid ${process.pid})`);
+    await stopped;
+    console.error('Agent stopped');
+    return;
+  }
+
+  const child = spawn(process.execPath, [CLI_PATH, 'agent', 'start', '--foreground'], {
+    detached: true,
+    stdio:    'ignore',
+    env:      process.env,
+  });
+  let exitCode = null;
+  child.on('exit', (code, signal) => { exitCode = code ?? signal; });
+  child.unref();
+
+  const deadline = Date.now() + AGENT_START_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (exitCode !== null) {
+      throw new Error(`Agent exited (${exitCode}) before it was ready — run 'secrets-bws agent start --foreground' to see why`);
+    }
+    const ready = await pingAgent(socketPath);
+    if (ready) {
+      console.log(`Agent started (pid ${ready.pid}) on '${socketPath}'`);
+      return;
+    }
+    await sleep(100);
+  }
+  throw new Error(`Agent did not become ready within ${AGENT_START_TIMEOUT / 1000}s`);
+}
+
+async function cmdAgentStop() {
+  const { socketPath } = getAgentSettings();
+  const running = await pingAgent(socketPath);
+  if (!running) {
+    console.log('Agent is not running');
+    return;
+  }
+  await agentRequest(socketPath, 'stop', [], { timeoutMs: 5_000 });
+  for (let i = 0; i < 50 && fs.existsSync(socketPath); i++) await sleep(100);
+  console.log(`Agent stopped (pid ${running.pid})`);
+}
+
+async function cmdAgentStatus() {
+  const { socketPath } = getAgentSettings();
+  let status;
+  try {
+    status = await agentRequest(socketPath, 'status', [], { timeoutMs: 1_000 });
+  } catch (_) {
+    throw new Error(`Agent is not running (socket '${socketPath}')`);
+  }
+  const synced = status.syncedAt
+    ? `${status.secrets} (synced ${describeAge(Date.now() - Date.parse(status.syncedAt))} ago)`
+    : 'not synced yet';
+  console.log(`Agent running (pid ${status.pid})`);
+  console.log(`  Socket:    ${status.socket}`);
+  console.log(`  Uptime:    ${describeAge(Date.now() - Date.parse(status.startedAt))}`);
+  console.log(`  Requests:  ${status.requests}`);
+  console.log(`  Secrets:   ${synced}`);
+}
+
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+
+/**
+ * Show audit log entries, optionally only those touching keys that match
+ * --key (KEY or project/KEY, * wildcard) and newer than --since; or with
+ * --verify check the whole hash chain and fail if it is broken.
+ */
+async function cmdAudit(flags) {
+  const { file } = getAuditSettings();
+  if (!file) throw new Error('Audit logging is disabled (BWS_AUDIT_LOG=off)');
+  const entries = readAuditLog(file);
+
+  if (flags.verify) {
+    const result = verifyAuditLog(entries);
+    if (!result.ok) throw new Error(`Audit log '${file}' has been tampered with: entry ${result.line} ${result.error}`);
+    console.log(`Audit log intact: ${result.count} entries` + (result.lastHash ? ` (last hash ${result.lastHash})` : ''));
+    return;
+  }
+
+  const since   = flags.since ? parseSince(flags.since) : null;
+  const matches = (entry) => entry.keys.some(key =>
+    globMatch(flags.key, key) || (entry.project && globMatch(flags.key, `${entry.project}/${key}`))
+  );
+  const shown = entries.filter(e => (!since || Date.parse(e.time) >= since.getTime()) && (!flags.key || matches(e)));
+
+  if (flags.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  if (shown.length === 0) {
+    console.log('(no audit entries found)');
+    return;
+  }
+  for (const e of shown) {
+    const keys    = e.keys.join(',') || '-';
+    const outcome = (e.outcome === 'ok' || e.outcome === 'cancelled' ? e.outcome : `${e.outcome}: ${e.error ?? `failed ${e.failed.join(',')}`}`) +
+      (e.dryRun ? ' (dry run)' : '');
+    console.log(`${e.time}  ${e.op.padEnd(14)} ${keys}${e.project ? ` (${e.project})` : ''}  ${outcome}  pid ${e.pid} ${e.user}: ${e.command.join(' ')}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// MCP server
+// ---------------------------------------------------------------------------
+
+/**
+ * Serve the management operations as MCP tools on stdin/stdout until stdin
+ * closes. Values can only be read for keys matching --allow-read patterns or
+ * the comma-separated BWS_MCP_READ_ALLOW; with neither, get_secret is not
+ * offered at all.
+ */
+async function cmdMcp(flags) {
+  if (getDryRunMode()) throw new Error('--dry-run is not supported by mcp');
+  const readAllow = [
+    ...(flags.allowRead ?? []),
+    ...(process.env.BWS_MCP_READ_ALLOW ?? '').split(','),
+  ].map(p => p.trim()).filter(Boolean);
+
+  if (readAllow.length > 0) console.error(`MCP server: get_secret allowed for ${readAllow.join(', ')}`);
+  await serveMcp({
+    input:      process.stdin,
+    output:     process.stdout,
+    readAllow,
+    operations: {
+      listSecrets, resolveSecretKey, getSecretValue, setSecret, moveSecrets, deleteSecret,
+      listProjects, createProject, deleteProject,
+    },
+  });
 }
 
 export {
   fetchAllSecrets,
   resolveOrCreateProject,
+  createKeyResolver,
+  listSecrets,
+  resolveSecretKey,
+  getSecretValue,
+  setSecret,
+  generateSecret,
+  setSecretMeta,
+  rotateSecret,
+  rollbackSecret,
+  restoreBackup,
+  moveSecrets,
+  renameSecrets,
+  copySecrets,
+  promoteSecrets,
+  deleteSecret,
+  deleteSecrets,
+  listProjects,
+  createProject,
+  deleteProject,
+  applyManifest,
   cmdList,
   cmdGet,
   cmdSet,
+  cmdGenerate,
+  cmdMeta,
+  cmdExpiring,
+  cmdRotate,
+  cmdRollback,
   cmdMove,
+  cmdRename,
+  cmdCopy,
+  cmdPromote,
   cmdDelete,
+  cmdRun,
+  cmdExport,
+  cmdImport,
+  cmdRender,
   cmdProjects,
   cmdProjectsCreate,
   cmdProjectsDelete,
+  cmdPlan,
+  cmdApply,
+  cmdSnapshot,
+  cmdDiff,
+  cmdBackup,
+  cmdRestore,
+  cmdDoctor,
+  cmdSync,
+  cmdCacheClear,
+  cmdAgentStart,
+  cmdAgentStop,
+  cmdAgentStatus,
+  cmdAudit,
+  cmdMcp,
 };
@@ -0,0 +1,174 @@
+/**
+ * secrets-bws-doctor
+ *
+ * Responsibility: Hygiene checks over an organization's secrets and
+ * projects — the problems the other commands quietly work around, such as
+ * keys in several projects (a bare key resolves to the first), secrets in no
+ * project, empty values and keys that break the naming convention. Each
+ * rule has a default severity that a config file can change or turn off.
+ *
+ * Public Interface:
+ * secrets-bws-doctor
+ * ├── RULES: Record<string, { severity, description, options? }>
+ * ├── resolveRules(config?): ResolvedRule[]   (throws on invalid config)
+ * ├── loadDoctorConfig(file): object          (throws on an unreadable or invalid file)
+ * ├── runChecks({ secrets, projects }, rules): Finding[]
+ * └── formatFindings(findings): string
+ *
+ * Config: { "rules": { "<rule>": "error" | "warn" | "info" | "off"
+ *                                | { "severity"?, ...options } } }
+ * e.g. { "rules": { "empty-project": "off",
+ *                   "key-naming": { "severity": "error", "pattern": "^[A-Z][A-Z0-9_]*$" } } }
+ *
+ * Finding: { rule, severity: "error" | "warn" | "info", message, key?, project? }
+ * Findings are ordered errors first, then by rule order.
+ */
+
+import fs from 'node:fs';
+import { buildProjectIdMap } from './secrets-bws-helpers.js';
+
+const SEVERITIES = ['error', 'warn', 'info'];
+
+const RULES = {
+  'duplicate-project': { severity: 'error', description: 'Two or more projects have the same name' },
+  'empty-value':       { severity: 'error', description: 'A secret has an empty or blank value' },
+  'duplicate-key':     { severity: 'warn',  description: 'A key exists more than once (a bare key resolves to the first)' },
+  'unassigned':        { severity: 'warn',  description: 'A secret is not in any project' },
+  'key-naming':        { severity: 'warn',  description: 'A key does not match the naming convention', options: { pattern: '^[A-Z][A-Z0-9_]*$' } },
+  'empty-project':     { severity: 'info',  description: 'A project has no secrets' },
+};
+
+/**
+ * The enabled rules with their severity and options, from RULES overridden
+ * by config.rules.
+ * @returns {{ id: string, severity: string, options: object }[]}
+ */
+function resolveRules(config = {}) {
+  const overrides = config?.rules ?? {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) throw new Error('"rules" must be an object');
+  for (const id of Object.keys(overrides)) {
+    if (!Object.hasOwn(RULES, id)) throw new Error(`Unknown rule '${id}' (expected one of ${Object.keys(RULES).join(', ')})`);
+  }
+
+  const rules = [];
+  for (const [id, rule] of Object.entries(RULES)) {
+    const override = overrides[id] ?? {};
+    const { severity = rule.severity, ...options } = typeof override === 'string' ? { severity: override } : override;
+    if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity '${severity}' for rule '${id}' (expected error, warn, info or off)`);
+    }
+    for (const name of Object.keys(options)) {
+      if (!Object.hasOwn(rule.options ?? {}, name)) throw new Error(`Unknown option '${name}' for rule '${id}'`);
+    }
+    if (severity === 'off') continue;
+    rules.push({ id, severity, options: { ...rule.options, ...options } });
+  }
+
+  const naming = rules.find(r => r.id === 'key-naming');
+  if (naming) {
+    try {
+      new RegExp(naming.options.pattern);
+    } catch (err) {
+      throw new Error(`Invalid pattern for rule 'key-naming': ${err.message}`);
+    }
+  }
+  return rules;
+}
+
+/** Read a config file, checked with resolveRules. */
+function loadDoctorConfig(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read doctor config '${file}': ${err.message}`);
+  }
+  try {
+    const config = JSON.parse(text);
+    resolveRules(config);
+    return config;
+  } catch (err) {
+    throw new Error(`Invalid doctor config '${file}': ${err.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Checks — each returns findings without a severity: { message, key?, project? }
+// ---------------------------------------------------------------------------
+
+function where(project) {
+  return project ? ` in '${project}'` : '';
+}
+
+const CHECKS = {
+  'duplicate-project': ({ projects }) => {
+    const counts = new Map();
+    for (const p of projects) counts.set(p.name, (counts.get(p.name) ?? 0) + 1);
+    return [...counts].filter(([, n]) => n > 1).map(([name, n]) => ({
+      message: `Project name '${name}' is used by ${n} projects`,
+      project: name,
+    }));
+  },
+
+  'empty-value': ({ secrets, projectName }) => secrets
+    .filter(s => (s.value ?? '').trim() === '')
+    .map(s => ({ message: `Secret '${s.key}'${where(projectName(s))} has an empty value`, key: s.key, project: projectName(s) })),
+
+  'duplicate-key': ({ secrets, projectName }) => {
+    const byKey = new Map();
+    for (const s of secrets) byKey.set(s.key, [...(byKey.get(s.key) ?? []), projectName(s) ?? '(none)']);
+    return [...byKey].filter(([, places]) => places.length > 1).map(([key, places]) => ({
+      message: `Key '${key}' exists ${places.length} times: ${places.join(', ')}`,
+      key,
+    }));
+  },
+
+  'unassigned': ({ secrets, projectName }) => secrets
+    .filter(s => projectName(s) === null)
+    .map(s => ({ message: `Secret '${s.key}' is not in any project`, key: s.key, project: null })),
+
+  'key-naming': ({ secrets, projectName }, { pattern }) => {
+    const re = new RegExp(pattern);
+    return secrets
+      .filter(s => !re.test(s.key))
+      .map(s => ({ message: `Key '${s.key}'${where(projectName(s))} does not match ${pattern}`, key: s.key, project: projectName(s) }));
+  },
+
+  'empty-project': ({ secrets, projects }) => {
+    const used = new Set(secrets.map(s => s.projectId));
+    return projects
+      .filter(p => !used.has(p.id))
+      .map(p => ({ message: `Project '${p.name}' has no secrets`, project: p.name }));
+  },
+};
+
+/** Run the rules over fetchAllSecrets and projects().list() data. */
+function runChecks({ secrets, projects }, rules) {
+  const idMap       = buildProjectIdMap(projects);
+  const projectName = (s) => idMap[s.projectId] ?? null;
+  const ordered     = [...secrets].sort((a, b) =>
+    (projectName(a) ?? '').localeCompare(projectName(b) ?? '') || a.key.localeCompare(b.key)
+  );
+  const findings = rules.flatMap(rule =>
+    CHECKS[rule.id]({ secrets: ordered, projects, projectName }, rule.options)
+      .map(f => ({ rule: rule.id, severity: rule.severity, ...f }))
+  );
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/** One line per finding, then a count by severity. */
+function formatFindings(findings) {
+  const width = Math.max(0, ...findings.map(f => f.rule.length));
+  const lines = findings.map(f => `${f.severity.toUpperCase().padEnd(5)}  ${f.rule.padEnd(width)}  ${f.message}`);
+  const count = (severity) => findings.filter(f => f.severity === severity).length;
+  lines.push(`${findings.length} finding(s): ${count('error')} error(s), ${count('warn')} warning(s), ${count('info')} info`);
+  return lines.join('\n') + '\n';
+}
+
+export {
+  RULES,
+  resolveRules,
+  loadDoctorConfig,
+  runChecks,
+  formatFindings,
+};
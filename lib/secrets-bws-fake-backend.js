@@ -0,0 +1,207 @@
+/**
+ * secrets-bws-fake-backend
+ *
+ * Responsibility: Offline stand-in for the Bitwarden SDK client. Implements the
+ * subset of the SecretsClient / ProjectsClient surface used by secrets-bws,
+ * backed by either a local JSON file or process memory, so the CLI and wrapper
+ * can run end to end with no network.
+ *
+ * Public Interface:
+ * secrets-bws-fake-backend
+ * ├── createFakeClient(filePath?): FakeClient
+ * │   ├── secrets(): { list, sync, create, update, delete }
+ * │   └── projects(): { list, create, delete }
+ * └── resetMemoryStore(): void
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Shared by every memory-backed client in this process, mirroring a single org.
+let memoryStore = emptyStore();
+
+function emptyStore() {
+  return { lastChangedDate: null, projects: [], secrets: [] };
+}
+
+/** Discard all data held by the in-memory backend. Intended for tests. */
+function resetMemoryStore() {
+  memoryStore = emptyStore();
+}
+
+/**
+ * Build a load/save pair for the given file, or for process memory when no
+ * file is given. The file is re-read on every call so concurrent CLI processes
+ * see each other's writes; it is written atomically with 0600 permissions.
+ */
+function openStore(filePath) {
+  if (!filePath) {
+    return {
+      load: () => memoryStore,
+      save: (data) => { memoryStore = data; },
+    };
+  }
+  return {
+    load() {
+      let raw;
+      try {
+        raw = fs.readFileSync(filePath, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return emptyStore();
+        throw err;
+      }
+      let data;
+      try {
+        data = JSON.parse(raw);
+      } catch (err) {
+        throw new Error(`Fake backend file '${filePath}' is not valid JSON: ${err.message}`);
+      }
+      return { ...emptyStore(), ...data };
+    },
+    save(data) {
+      const tmp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+      fs.renameSync(tmp, filePath);
+    },
+  };
+}
+
+/**
+ * Create a client exposing the same secrets()/projects() methods as
+ * BitwardenClient. Responses match the SDK's shapes (SecretResponse,
+ * ProjectsResponse, SecretsSyncResponse, …) closely enough for every caller.
+ * @param {string} [filePath]  JSON file to persist to; omit for in-memory
+ */
+function createFakeClient(filePath) {
+  const store = openStore(filePath);
+
+  // Apply a mutation to a freshly loaded copy and persist it.
+  function mutate(fn) {
+    const data   = store.load();
+    const result = fn(data);
+    data.lastChangedDate = new Date().toISOString();
+    store.save(data);
+    return result;
+  }
+
+  function requireProjects(data, orgId, projectIds) {
+    for (const id of projectIds) {
+      if (!data.projects.some(p => p.id === id && p.organizationId === orgId)) {
+        throw new Error(`Project '${id}' not found`);
+      }
+    }
+  }
+
+  const secrets = {
+    async list(orgId) {
+      const data = store.load().secrets
+        .filter(s => s.organizationId === orgId)
+        .map(s => ({ id: s.id, key: s.key, organizationId: s.organizationId }));
+      return { data };
+    },
+
+    async sync(orgId, lastSyncedDate) {
+      const data = store.load();
+      // Inclusive, so a change in the same millisecond as the last sync is not lost
+      const hasChanges = !lastSyncedDate || !data.lastChangedDate ||
+        new Date(data.lastChangedDate) >= new Date(lastSyncedDate);
+      if (!hasChanges) return { hasChanges: false, secrets: null };
+      return {
+        hasChanges: true,
+        secrets: data.secrets.filter(s => s.organizationId === orgId).map(s => ({ ...s })),
+      };
+    },
+
+    async create(orgId, key, value, note, projectIds) {
+      return mutate(data => {
+        requireProjects(data, orgId, projectIds);
+        const now    = new Date().toISOString();
+        const secret = {
+          id:             crypto.randomUUID(),
+          organizationId: orgId,
+          projectId:      projectIds[0] ?? null,
+          key,
+          value,
+          note:           note ?? '',
+          creationDate:   now,
+          revisionDate:   now,
+        };
+        data.secrets.push(secret);
+        return { ...secret };
+      });
+    },
+
+    async update(orgId, id, key, value, note, projectIds) {
+      return mutate(data => {
+        const secret = data.secrets.find(s => s.id === id && s.organizationId === orgId);
+        if (!secret) throw new Error(`Secret '${id}' not found`);
+        requireProjects(data, orgId, projectIds);
+        Object.assign(secret, {
+          key,
+          value,
+          note:         note ?? '',
+          projectId:    projectIds[0] ?? null,
+          revisionDate: new Date().toISOString(),
+        });
+        return { ...secret };
+      });
+    },
+
+    async delete(ids) {
+      return mutate(data => {
+        const results = ids.map(id => {
+          const idx = data.secrets.findIndex(s => s.id === id);
+          if (idx === -1) return { id, error: 'Secret not found' };
+          data.secrets.splice(idx, 1);
+          return { id, error: null };
+        });
+        return { data: results };
+      });
+    },
+  };
+
+  const projects = {
+    async list(orgId) {
+      return { data: store.load().projects.filter(p => p.organizationId === orgId).map(p => ({ ...p })) };
+    },
+
+    async create(orgId, name) {
+      return mutate(data => {
+        const now     = new Date().toISOString();
+        const project = {
+          id:             crypto.randomUUID(),
+          organizationId: orgId,
+          name,
+          creationDate:   now,
+          revisionDate:   now,
+        };
+        data.projects.push(project);
+        return { ...project };
+      });
+    },
+
+    async delete(ids) {
+      return mutate(data => {
+        const results = ids.map(id => {
+          const idx = data.projects.findIndex(p => p.id === id);
+          if (idx === -1) return { id, error: 'Project not found' };
+          data.projects.splice(idx, 1);
+          // Like BWS, secrets in a deleted project survive but become unassigned
+          for (const s of data.secrets) {
+            if (s.projectId === id) s.projectId = null;
+          }
+          return { id, error: null };
+        });
+        return { data: results };
+      });
+    },
+  };
+
+  return {
+    secrets:  () => secrets,
+    projects: () => projects,
+  };
+}
+
+export { createFakeClient, resetMemoryStore };
@@ -0,0 +1,307 @@
+/**
+ * secrets-bws-formats
+ *
+ * Responsibility: Serializes and parses flat key → value secret maps in the
+ * dotenv, JSON, YAML and shell formats used by secrets-bws export/import.
+ * Pure functions — no I/O.
+ *
+ * Public Interface:
+ * secrets-bws-formats
+ * ├── FORMATS: string[]
+ * ├── formatFromPath(filePath: string): string | null
+ * ├── formatSecrets(entries: {key, value}[], format: string): string
+ * └── parseSecrets(text: string, format: string): {key, value}[]   (throws on invalid input)
+ */
+
+const FORMATS = ['dotenv', 'json', 'yaml', 'shell'];
+
+const DOTENV_KEY = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+const EXTENSIONS = {
+  '.env':  'dotenv',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml':  'yaml',
+  '.sh':   'shell',
+};
+
+/** Guess the format from a file name (`.env`, `*.env`, `.json`, `.yaml`/`.yml`, `.sh`). */
+function formatFromPath(filePath) {
+  const base = filePath.split(/[\\/]/).pop().toLowerCase();
+  if (base === '.env' || base.startsWith('.env.')) return 'dotenv';
+  const dot = base.lastIndexOf('.');
+  return dot === -1 ? null : EXTENSIONS[base.slice(dot)] ?? null;
+}
+
+function requireFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format '${format}' (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+function dotenvQuote(value) {
+  return '"' + value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r') + '"';
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+const SHELL_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Serialize entries in the given format. Every format round-trips through
+ * parseSecrets, including values with quotes, backslashes and newlines.
+ * Throws if a key cannot be represented (e.g. 'my-key' in shell format).
+ */
+function formatSecrets(entries, format) {
+  requireFormat(format);
+  const keyPattern = format === 'shell' ? SHELL_KEY : format === 'dotenv' ? DOTENV_KEY : null;
+  for (const { key } of entries) {
+    if (keyPattern && !keyPattern.test(key)) {
+      throw new Error(`Key '${key}' cannot be written in ${format} format`);
+    }
+  }
+  if (format === 'json') {
+    const obj = {};
+    for (const { key, value } of entries) obj[key] = value;
+    return JSON.stringify(obj, null, 2) + '\n';
+  }
+  const lines = entries.map(({ key, value }) => {
+    // JSON strings are valid YAML double-quoted scalars
+    if (format === 'yaml')  return `${DOTENV_KEY.test(key) ? key : JSON.stringify(key)}: ${JSON.stringify(value)}`;
+    if (format === 'shell') return `export ${key}=${shellQuote(value)}`;
+    return `${key}=${dotenvQuote(value)}`;
+  });
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function duplicateCheck(entries) {
+  const seen = new Set();
+  for (const { key } of entries) {
+    if (seen.has(key)) throw new Error(`Duplicate key '${key}'`);
+    seen.add(key);
+  }
+  return entries;
+}
+
+/**
+ * dotenv: KEY=value lines with optional `export ` prefix, # comments, bare
+ * values (trailing ` # comment` stripped), 'single-quoted' literals and
+ * "double-quoted" values with \n \r \t \" \\ escapes. Quoted values may span
+ * multiple lines.
+ */
+function parseDotenv(text) {
+  const entries = [];
+  let i = 0;
+  while (i < text.length) {
+    // Skip whitespace and blank lines
+    const ws = /^[ \t\r\n]*/.exec(text.slice(i))[0];
+    i += ws.length;
+    if (i >= text.length) break;
+    if (text[i] === '#') {
+      const nl = text.indexOf('\n', i);
+      i = nl === -1 ? text.length : nl + 1;
+      continue;
+    }
+
+    const lineNo = lineOf(text, i);
+    const head   = /^(?:export[ \t]+)?([^=\s]+)[ \t]*=[ \t]*/.exec(text.slice(i));
+    if (!head) throw new Error(`line ${lineNo}: expected KEY=value`);
+    const key = head[1];
+    if (!DOTENV_KEY.test(key)) throw new Error(`line ${lineNo}: invalid key '${key}'`);
+    i += head[0].length;
+
+    let value;
+    const quote = text[i];
+    if (quote === '"' || quote === "'") {
+      let j = i + 1;
+      value = '';
+      while (j < text.length && text[j] !== quote) {
+        if (quote === '"' && text[j] === '\\' && j + 1 < text.length) {
+          const next = text[j + 1];
+          value += { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' }[next] ?? `\\${next}`;
+          j += 2;
+        } else {
+          value += text[j++];
+        }
+      }
+      if (j >= text.length) throw new Error(`line ${lineNo}: unterminated ${quote} quote for '${key}'`);
+      i = j + 1;
+      // Only whitespace or a comment may follow the closing quote
+      const nl   = text.indexOf('\n', i);
+      const tail = text.slice(i, nl === -1 ? text.length : nl);
+      if (!/^[ \t\r]*(#.*)?$/.test(tail)) throw new Error(`line ${lineNo}: unexpected text after quoted value for '${key}'`);
+      i = nl === -1 ? text.length : nl + 1;
+    } else {
+      const nl = text.indexOf('\n', i);
+      value = text.slice(i, nl === -1 ? text.length : nl).replace(/\r$/, '');
+      value = value.replace(/[ \t]+#.*$/, '').trim();
+      i = nl === -1 ? text.length : nl + 1;
+    }
+    entries.push({ key, value });
+  }
+  return entries;
+}
+
+/**
+ * shell: `export KEY=word` / `KEY=word` lines as written by formatSecrets,
+ * where word may concatenate '…' literals, "…" strings (\\ \" \$ \` escapes)
+ * and unquoted text with backslash escapes. No expansion is performed.
+ */
+function parseShell(text) {
+  const entries = [];
+  let i = 0;
+  while (i < text.length) {
+    const ws = /^[ \t\r\n;]*/.exec(text.slice(i))[0];
+    i += ws.length;
+    if (i >= text.length) break;
+    if (text[i] === '#') {
+      const nl = text.indexOf('\n', i);
+      i = nl === -1 ? text.length : nl + 1;
+      continue;
+    }
+
+    const lineNo = lineOf(text, i);
+    const head   = /^(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_]*)=/.exec(text.slice(i));
+    if (!head) throw new Error(`line ${lineNo}: expected [export ]KEY=value`);
+    i += head[0].length;
+
+    let value = '';
+    while (i < text.length && !/[ \t\r\n;]/.test(text[i])) {
+      const c = text[i];
+      if (c === "'") {
+        const end = text.indexOf("'", i + 1);
+        if (end === -1) throw new Error(`line ${lineNo}: unterminated ' quote for '${head[1]}'`);
+        value += text.slice(i + 1, end);
+        i = end + 1;
+      } else if (c === '"') {
+        let j = i + 1;
+        while (j < text.length && text[j] !== '"') {
+          if (text[j] === '\\' && '\\"$`\n'.includes(text[j + 1])) {
+            if (text[j + 1] !== '\n') value += text[j + 1];
+            j += 2;
+          } else {
+            value += text[j++];
+          }
+        }
+        if (j >= text.length) throw new Error(`line ${lineNo}: unterminated " quote for '${head[1]}'`);
+        i = j + 1;
+      } else if (c === '\\' && i + 1 < text.length) {
+        if (text[i + 1] !== '\n') value += text[i + 1];
+        i += 2;
+      } else {
+        value += c;
+        i++;
+      }
+    }
+    entries.push({ key: head[1], value });
+  }
+  return entries;
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`invalid JSON: ${err.message}`);
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected a JSON object of KEY: "value" pairs');
+  }
+  return Object.entries(data).map(([key, value]) => {
+    if (typeof value !== 'string') throw new Error(`value of '${key}' must be a string`);
+    return { key, value };
+  });
+}
+
+function unquoteYamlDouble(raw, lineNo) {
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    throw new Error(`line ${lineNo}: unsupported double-quoted string`);
+  }
+}
+
+/**
+ * yaml: a flat mapping of scalar values — plain, 'single-quoted' ('' escape),
+ * "double-quoted" (JSON escapes) or literal block scalars (| / |- / |+).
+ * Nested mappings, sequences, anchors and folded scalars are rejected.
+ */
+function parseYaml(text) {
+  const lines   = text.replace(/\r\n/g, '\n').split('\n');
+  const entries = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line   = lines[i];
+    const lineNo = i + 1;
+    i++;
+    if (/^\s*(#.*)?$/.test(line) || line === '---' || line === '...') continue;
+    if (/^\s/.test(line)) throw new Error(`line ${lineNo}: nested values are not supported`);
+
+    const m = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s:#][^:]*?)\s*:(?:\s+(.*))?$/.exec(line);
+    if (!m) throw new Error(`line ${lineNo}: expected KEY: value`);
+    let key = m[1];
+    if (key.startsWith('"')) key = unquoteYamlDouble(key, lineNo);
+    else if (key.startsWith("'")) key = key.slice(1, -1).replace(/''/g, "'");
+    let raw = (m[2] ?? '').trim();
+
+    let value;
+    const block = /^\|([+-]?)\s*(#.*)?$/.exec(raw);
+    if (block) {
+      const body = [];
+      while (i < lines.length && (lines[i] === '' || /^\s/.test(lines[i]))) body.push(lines[i++]);
+      const indent = Math.min(...body.filter(l => l.trim() !== '').map(l => /^ */.exec(l)[0].length));
+      const content = body.map(l => l.slice(Number.isFinite(indent) ? indent : 0));
+      if (block[1] !== '+') while (content.length > 0 && content[content.length - 1] === '') content.pop();
+      value = content.join('\n');
+      if (block[1] !== '-' && content.length > 0) value += '\n';
+    } else if (raw.startsWith('"')) {
+      value = unquoteYamlDouble(raw.replace(/\s+#.*$/, ''), lineNo);
+    } else if (raw.startsWith("'")) {
+      const sm = /^'((?:[^']|'')*)'\s*(#.*)?$/.exec(raw);
+      if (!sm) throw new Error(`line ${lineNo}: unterminated ' quote for '${key}'`);
+      value = sm[1].replace(/''/g, "'");
+    } else if (raw === '' || /^[[{>&*!|]/.test(raw)) {
+      throw new Error(`line ${lineNo}: unsupported value for '${key}' (only string scalars are supported)`);
+    } else {
+      value = raw.replace(/\s+#.*$/, '');
+    }
+    entries.push({ key, value });
+  }
+  return entries;
+}
+
+/**
+ * Parse secrets from text in the given format. Throws with a line number
+ * (where applicable) on invalid input and on duplicate keys.
+ */
+function parseSecrets(text, format) {
+  requireFormat(format);
+  const parsers = { dotenv: parseDotenv, json: parseJson, yaml: parseYaml, shell: parseShell };
+  return duplicateCheck(parsers[format](text));
+}
+
+export {
+  FORMATS,
+  formatFromPath,
+  formatSecrets,
+  parseSecrets,
+};
@@ -0,0 +1,158 @@
+/**
+ * secrets-bws-generate
+ *
+ * Responsibility: Generates secret values with node's CSPRNG for
+ * `secrets-bws generate` — random strings from a character set, random bytes
+ * as base64 or hex, UUIDs and word passphrases. Every character or word is
+ * drawn uniformly (crypto.randomInt), never by reducing a random byte modulo
+ * the alphabet size.
+ *
+ * Public Interface:
+ * secrets-bws-generate
+ * ├── CHARSETS: string[]
+ * ├── GENERATE_FORMATS: string[]
+ * ├── generateValue(options?): string   (throws on invalid options)
+ * └── describeStrength(options?): string
+ *
+ * options: { length?, charset?, format? } — --charset and --format are
+ * alternatives. length counts characters for a charset (default 32), random
+ * bytes for base64/hex (default 32) and words for a passphrase (default 10);
+ * a uuid has no length.
+ */
+
+import crypto from 'node:crypto';
+
+const ALNUM   = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+// Printable ASCII punctuation except quotes, backslash and backtick, so values
+// survive being pasted into shell commands and config files
+const SYMBOLS = '!#$%&()*+,-./:;<=>?@[]^_{|}~';
+
+const ALPHABETS = {
+  alnum:   ALNUM,
+  symbols: ALNUM + SYMBOLS,
+  hex:     '0123456789abcdef',
+};
+
+const CHARSETS         = Object.keys(ALPHABETS);
+const GENERATE_FORMATS = ['base64', 'hex', 'uuid', 'passphrase'];
+const MAX_LENGTH       = 4096;
+
+const DEFAULT_LENGTH = {
+  charset:    32,
+  base64:     32,
+  hex:        32,
+  passphrase: 10,
+};
+
+// Passphrase words: short, common and unambiguous when read aloud
+const WORDS = `
+  able acid acre act actor adapt add admit adult agent agree ahead aim air alarm album alert
+  alien alley allow alpha amber angle animal ankle answer apple april apron arch arena arm army
+  arrow art ash aspen atlas atom attic audio aunt autumn avenue award axis baby bacon badge bag
+  baker ball bamboo banana band bank barn barrel basin basket bath beach beam bean bear beard
+  beast bed bee beef bell belt bench berry bike bird bishop black blade blank blaze blend blink
+  block bloom blue board boat body bolt bone bonus book boot border bottle bowl box brain branch
+  brass brave bread brick bride bridge brief bright broom brown brush bubble bucket buddy
+  buffalo bugle bunch burst bus butter button cabin cable cactus cake calm camel camera camp
+  canal candle candy canoe canvas canyon cape captain car card cargo carpet carrot cart castle
+  cat cattle cave cedar cellar cement chain chair chalk chart cheese cherry chess chest chief
+  child chimney chip choir cider cinema circle circus city civic clam clay clerk cliff climb
+  clock cloud clover clown club coach coast cobalt cocoa coconut coffee coin collar colt comet
+  copper coral corn cotton couch cousin cove cow crab crane crater cream creek crisp crow crown
+  cube cup curtain cycle daisy dance dawn deck deer delta denim depot desert desk dial diary
+  diesel dinner dish diver dock doctor dollar dolphin domain donkey door dove dragon drama
+  drawer dream dress drift drill drum duck dune dust eagle earth easel echo eclipse edge eel egg
+  elbow elder elm ember empire engine epic equal error estate exit fabric face factor fair
+  falcon family fan farm fawn feast feather fence ferry fiber field fig film finch finger fire
+  fish flag flame flash fleet flint float flock floor flour flute foam focus fog folk forest
+  fork fort fossil fox frame fresh frog frost fruit fudge fuel galaxy gallon game garage garden
+  garlic gate gazelle gear gem giant ginger giraffe glacier glass globe glove glue goat gold
+  golf goose gospel grain grape grass gravel gray green grid grill guitar gull habit hammer hand
+  harbor harp hat hawk hazel heart hedge helmet hen herb hero heron hill hive hobby honey hood
+  hook horn horse hotel house husky ice icon idea igloo index ink inlet insect iron island ivory
+  jacket jade jaguar jam jar jazz jeans jelly jet jewel jockey joke judge juice jungle junior
+  kayak kettle key kid kidney king kite kitten kiwi knee knife knot koala label ladder lake lamb
+  lamp lane lantern laser lava lawn leaf ledge lemon lens leopard letter lever lily lime linen
+  lion lizard llama lobster lock locket lodge logic loop lotus lunar lunch magnet maize mango
+  map maple marble market mask meadow medal melon menu mercy metal meteor milk mill mint mirror
+  mist moat model monk moon moose mosaic moss motor mouse mud mule muscle museum music nail
+  napkin navy nectar needle nest net nickel night noble noodle north nose note novel nurse nut
+  oak oasis oat ocean olive onion opera orange orbit orchid organ otter oven owl ox oyster
+  paddle page paint palace palm panda panel paper parade parcel park parrot pasta path peach
+  peanut pear pearl pebble pedal pelican pen pencil pepper piano pickle pie pier pig pillow
+  pilot pine pink pipe pirate pizza planet plaza plum pocket poem polar pond pony poppy porch
+  potato pottery powder prism pulse pump pupil puppy puzzle quail quartz queen quest quilt
+  rabbit radar radio raft rail rain ranch raven razor recipe reef relay ribbon rice ridge ring
+  river road robin robot rocket rose rover ruby rug ruler saddle sail salad salmon salt sand
+  satin sauce scarf school scout sea seal seed shadow shark sheep shelf shell ship shoe shore
+  shrimp silk silver sketch ski sky sled slope smoke snail snake snow soap socket sofa solar
+  soup spark spider spoon spring square squid stable star steam stone storm straw stream sugar
+  summit sun swan sweater syrup table tail tango taxi tea teapot tennis tent thistle thunder
+  ticket tiger timber toast tomato tooth torch tower tractor trail train tree tribe trophy truck
+  tulip tuna tunnel turtle twig umbrella uncle union unit urban valley vapor vase velvet violin
+  vision voice volcano wagon walnut walrus wave whale wheat wheel willow window winter wolf wool
+  yacht yard yarn yeast yellow yogurt zebra zero zinc zone
+`.trim().split(/\s+/);
+
+/** Validate options and fill in defaults: { kind, length }. */
+function resolveOptions({ length, charset, format } = {}) {
+  if (charset !== undefined && format !== undefined) throw new Error('Pass either --charset or --format, not both');
+  if (charset !== undefined && !CHARSETS.includes(charset)) {
+    throw new Error(`Unknown charset '${charset}' (expected ${CHARSETS.join(', ')})`);
+  }
+  if (format !== undefined && !GENERATE_FORMATS.includes(format)) {
+    throw new Error(`Unknown format '${format}' (expected ${GENERATE_FORMATS.join(', ')})`);
+  }
+  const kind = format ?? 'charset';
+  if (kind === 'uuid') {
+    if (length !== undefined) throw new Error('--length does not apply to --format uuid');
+    return { kind, length: null };
+  }
+  if (length === undefined) return { kind, length: DEFAULT_LENGTH[kind] };
+  const n = Number(length);
+  if (!/^\d+$/.test(String(length)) || n < 1 || n > MAX_LENGTH) {
+    throw new Error(`Invalid --length '${length}' (expected an integer from 1 to ${MAX_LENGTH})`);
+  }
+  return { kind, length: n };
+}
+
+function randomString(alphabet, length) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += alphabet[crypto.randomInt(alphabet.length)];
+  return out;
+}
+
+/** Generate a value; see the module header for the options. */
+function generateValue(options = {}) {
+  const { kind, length } = resolveOptions(options);
+  switch (kind) {
+    case 'base64':     return crypto.randomBytes(length).toString('base64');
+    case 'hex':        return crypto.randomBytes(length).toString('hex');
+    case 'uuid':       return crypto.randomUUID();
+    case 'passphrase': return Array.from({ length }, () => WORDS[crypto.randomInt(WORDS.length)]).join('-');
+    default:           return randomString(ALPHABETS[options.charset ?? 'alnum'], length);
+  }
+}
+
+/** A short description of what generateValue produces, e.g. "32 alnum characters (190 bits)". */
+function describeStrength(options = {}) {
+  const { kind, length } = resolveOptions(options);
+  const bits = (n, size) => Math.floor(n * Math.log2(size));
+  switch (kind) {
+    case 'base64':
+    case 'hex':        return `${length} random bytes as ${kind} (${length * 8} bits)`;
+    case 'uuid':       return 'a random UUID (122 bits)';
+    case 'passphrase': return `${length}-word passphrase (${bits(length, WORDS.length)} bits)`;
+    default: {
+      const charset = options.charset ?? 'alnum';
+      return `${length} ${charset} characters (${bits(length, ALPHABETS[charset].length)} bits)`;
+    }
+  }
+}
+
+export {
+  CHARSETS,
+  GENERATE_FORMATS,
+  generateValue,
+  describeStrength,
+};
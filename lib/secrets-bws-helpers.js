@@ -1,15 +1,24 @@
 /**
  * secrets-bws-helpers
  *
- * Responsibility: Provides pure utility functions for glob pattern matching
- * and index construction shared across all secrets-bws command modules.
+ * Responsibility: Provides pure utility functions for glob pattern matching,
+ * index construction and environment mapping shared across all secrets-bws
+ * command modules.
  *
  * Public Interface:
  * secrets-bws-helpers
  * ├── globMatch(pattern: string, str: string): boolean
+ * ├── substituteGlob(from: string, to: string, str: string): string | null   (throws on mismatched patterns)
  * ├── buildKeyIndex(listData: object[]): Record<string, object>
  * ├── buildProjectIndex(listData: object[]): Record<string, object>
- * └── buildProjectIdMap(listData: object[]): Record<string, string>
+ * ├── buildProjectIdMap(listData: object[]): Record<string, string>
+ * ├── parseKeyRef(ref: string, projectIndex): {project, key}
+ * ├── resolveSecretRef(secrets, ref, {projectIndex, projectIdMap, project?, strict?}): {key, project, secret, duplicates}
+ * ├── newSecretTarget(key: string, project?): {project, key}   (throws on invalid input)
+ * ├── parseEnvMap(entries: string[]): Record<string, string>   (throws on invalid input)
+ * ├── buildEnvVars(secrets: object[], {prefix?, map?}): {vars, skipped}   (throws on collisions)
+ * ├── parseSince(value: string, now?: number): Date   (throws on invalid input)
+ * └── parseDuration(value: string): number   (throws on invalid input)
  */
 
 /**
@@ -21,6 +30,24 @@ function globMatch(pattern, str) {
   return new RegExp(`^${escaped}$`, 'i').test(str);
 }
 
+/**
+ * Map a string matching the glob `from` to the glob `to`, each * in `to`
+ * taking the text its counterpart in `from` matched: "LMB_*" -> "LMBX_*"
+ * turns LMB_DB_URL into LMBX_DB_URL. Without wildcards `to` is returned as
+ * is. Returns null when the string does not match `from`.
+ */
+function substituteGlob(from, to, str) {
+  const wildcards = (pattern) => pattern.split('*').length - 1;
+  if (wildcards(to) !== wildcards(from) && wildcards(to) !== 0) {
+    throw new Error(`'${to}' must contain as many * as '${from}' (or none)`);
+  }
+  const escaped = from.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '(.*?)');
+  const match   = new RegExp(`^${escaped}$`, 'i').exec(str);
+  if (!match) return null;
+  let i = 0;
+  return to.replace(/\*/g, () => match[++i]);
+}
+
 /** Build a key → entry index from a secrets list response (first match wins). */
 function buildKeyIndex(listData) {
   const index = {};
@@ -46,9 +73,147 @@ function buildProjectIdMap(listData) {
   return map;
 }
 
+/**
+ * Split a key reference into project and key. "project/KEY" is qualified only
+ * when `project` names an existing project, so keys that themselves contain
+ * '/' still work as bare keys.
+ * @returns {{ project: string|null, key: string }}
+ */
+function parseKeyRef(ref, projectIndex) {
+  const slash = ref.indexOf('/');
+  if (slash > 0 && slash < ref.length - 1 && Object.hasOwn(projectIndex, ref.slice(0, slash))) {
+    return { project: ref.slice(0, slash), key: ref.slice(slash + 1) };
+  }
+  return { project: null, key: ref };
+}
+
+/**
+ * Resolve a key reference (bare or "project/KEY", optionally narrowed by a
+ * --project name) to a single secret.
+ *
+ * With a project the lookup is confined to it. A bare key found in several
+ * projects is ambiguous: in strict mode that throws, naming the candidate
+ * projects; otherwise the first match is returned and every match is listed
+ * in `duplicates` so the caller can warn.
+ * @returns {{ key: string, project: string|null, secret: object|undefined, duplicates: object[] }}
+ */
+function resolveSecretRef(secrets, ref, { projectIndex, projectIdMap, project = null, strict = false }) {
+  const parsed = parseKeyRef(ref, projectIndex);
+  if (parsed.project && project && parsed.project !== project) {
+    throw new Error(`'${ref}' names project '${parsed.project}' but --project is '${project}'`);
+  }
+  const projectName = parsed.project ?? project;
+  const key         = parsed.key;
+
+  if (projectName) {
+    const projectId = projectIndex[projectName]?.id;
+    const secret    = projectId ? secrets.find(s => s.key === key && s.projectId === projectId) : undefined;
+    return { key, project: projectName, secret, duplicates: [] };
+  }
+
+  const matches = secrets.filter(s => s.key === key);
+  if (matches.length > 1 && strict) {
+    const where = matches.map(s => projectIdMap[s.projectId] ?? '(none)').join(', ');
+    throw new Error(`Secret '${key}' is ambiguous — it exists in projects: ${where}. Use 'project/${key}' or --project`);
+  }
+  return { key, project: null, secret: matches[0], duplicates: matches.length > 1 ? matches : [] };
+}
+
+/**
+ * Where a write creates a secret that resolveSecretRef did not find. A '/'
+ * left in the key means "project/KEY" for a project that does not exist yet,
+ * so `set newproj/KEY` creates newproj rather than a literal 'newproj/KEY'
+ * outside any project. New keys never contain '/'.
+ * @returns {{ project: string|null, key: string }}
+ */
+function newSecretTarget(key, project = null) {
+  const parts = key.split('/');
+  if (parts.length === 1) return { project, key };
+  if (!project && parts.length === 2 && parts[0] && parts[1]) return { project: parts[0], key: parts[1] };
+  throw new Error(`Invalid key '${key}' — a new key cannot contain '/' (use 'project/KEY' or --project to choose its project)`);
+}
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Parse repeated KEY=VAR rename rules into a key → variable map.
+ * Throws on malformed entries, invalid variable names or a key mapped twice.
+ */
+function parseEnvMap(entries) {
+  const map = {};
+  for (const entry of entries) {
+    const eq = entry.indexOf('=');
+    if (eq <= 0 || eq === entry.length - 1) throw new Error(`Invalid --map '${entry}': expected KEY=VAR`);
+    const key = entry.slice(0, eq);
+    const name = entry.slice(eq + 1);
+    if (!ENV_NAME.test(name)) throw new Error(`Invalid --map '${entry}': '${name}' is not a valid environment variable name`);
+    if (key in map) throw new Error(`--map given twice for key '${key}'`);
+    map[key] = name;
+  }
+  return map;
+}
+
+/**
+ * Derive environment variables from secrets. A key listed in `map` uses the
+ * mapped name; otherwise a leading `prefix` is stripped. Keys whose resulting
+ * name is not a valid variable name are returned in `skipped`.
+ * Throws if two secrets would set the same variable.
+ * @returns {{ vars: Record<string, string>, skipped: string[] }}
+ */
+function buildEnvVars(secrets, { prefix = '', map = {} } = {}) {
+  const vars    = {};
+  const source  = {};
+  const skipped = [];
+  for (const s of secrets) {
+    let name = s.key;
+    if (s.key in map) name = map[s.key];
+    else if (prefix && s.key.startsWith(prefix)) name = s.key.slice(prefix.length);
+    if (!ENV_NAME.test(name)) {
+      skipped.push(s.key);
+      continue;
+    }
+    if (name in vars) {
+      throw new Error(`Secrets '${source[name]}' and '${s.key}' both map to environment variable '${name}'`);
+    }
+    vars[name]   = s.value;
+    source[name] = s.key;
+  }
+  return { vars, skipped };
+}
+
+const DURATION_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * Parse a point in time given as a date/time (anything Date.parse accepts,
+ * e.g. 2026-01-31 or 2026-01-31T12:00Z) or as an age relative to now: 30m,
+ * 12h, 7d.
+ */
+function parseSince(value, now = Date.now()) {
+  const relative = /^(\d+)([mhd])$/.exec(value ?? '');
+  if (relative) return new Date(now - Number(relative[1]) * DURATION_UNITS[relative[2]]);
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid time '${value}' (expected a date such as 2026-01-31, or an age such as 30m, 12h, 7d)`);
+  return new Date(time);
+}
+
+/** Parse a duration such as 30m, 12h or 30d into milliseconds. */
+function parseDuration(value) {
+  const match = /^(\d+)([mhd])$/.exec(value ?? '');
+  if (!match) throw new Error(`Invalid duration '${value}' (expected e.g. 30m, 12h, 30d)`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
 export {
   globMatch,
+  substituteGlob,
   buildKeyIndex,
   buildProjectIndex,
   buildProjectIdMap,
+  parseKeyRef,
+  resolveSecretRef,
+  newSecretTarget,
+  parseEnvMap,
+  buildEnvVars,
+  parseSince,
+  parseDuration,
 };
@@ -0,0 +1,340 @@
+/**
+ * secrets-bws-manifest
+ *
+ * Responsibility: Loads and validates desired-state manifests for
+ * `secrets-bws plan|apply` and computes the changes that bring the live
+ * organization in line with one. Manifests name projects, the keys (or globs)
+ * that belong to each, required keys and required notes — never values.
+ *
+ * Public Interface:
+ * secrets-bws-manifest
+ * ├── parseManifest(text: string, format: 'yaml'|'json'): Manifest   (throws on invalid input)
+ * ├── loadManifest(filePath: string): Manifest
+ * └── planManifest(manifest, secrets, projects, {prune?}): PlanChange[]
+ *
+ * Manifest file (YAML, or the same shape as JSON):
+ *   projects:
+ *     payments:
+ *       keys: [STRIPE_*, PAYMENT_DB_URL]    # keys or globs that belong here
+ *       required: [STRIPE_KEY]               # must exist in this project
+ *       notes:                               # note text each key must carry
+ *         STRIPE_KEY: Rotated quarterly
+ *     legacy: {}
+ * The YAML reader supports block mappings and sequences, [flow, sequences],
+ * {} and plain, 'single-' and "double-quoted" scalars; anchors, multi-line
+ * scalars and flow mappings are rejected.
+ *
+ * Notes are compared with and written to the free text of a secret's note
+ * only; its metadata header (tags, owner, expires, rotated — see
+ * secrets-bws-note) is kept.
+ */
+
+import fs from 'node:fs';
+import { globMatch, buildProjectIdMap } from './secrets-bws-helpers.js';
+import { parseNote, setNoteText } from './secrets-bws-note.js';
+
+const PROJECT_FIELDS = ['keys', 'required', 'notes'];
+
+// ---------------------------------------------------------------------------
+// YAML subset
+// ---------------------------------------------------------------------------
+
+/** Remove a trailing # comment that is outside quotes. */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function parseScalar(raw, lineNo) {
+  if (raw.startsWith('"')) {
+    try {
+      return JSON.parse(raw);
+    } catch (_) {
+      throw new Error(`line ${lineNo}: unsupported double-quoted string`);
+    }
+  }
+  if (raw.startsWith("'")) {
+    const m = /^'((?:[^']|'')*)'$/.exec(raw);
+    if (!m) throw new Error(`line ${lineNo}: unterminated ' quote`);
+    return m[1].replace(/''/g, "'");
+  }
+  if (/^[&!|>{[]/.test(raw)) throw new Error(`line ${lineNo}: unsupported value '${raw}'`);
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  if (raw === 'null' || raw === '~' || raw === '') return null;
+  return raw;
+}
+
+/** Split a flow sequence body on commas that are outside quotes. */
+function splitFlow(body) {
+  const items = [];
+  let quote   = null;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') current += ch + body[++i];
+      else {
+        if (ch === quote) quote = null;
+        current += ch;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote    = ch;
+      current += ch;
+    } else if (ch === ',') {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim() !== '') items.push(current.trim());
+  return items;
+}
+
+function parseInline(raw, lineNo) {
+  if (raw === '{}') return {};
+  if (raw.startsWith('[')) {
+    if (!raw.endsWith(']')) throw new Error(`line ${lineNo}: unterminated [ sequence`);
+    return splitFlow(raw.slice(1, -1)).map(item => parseScalar(item, lineNo));
+  }
+  if (raw.startsWith('{')) throw new Error(`line ${lineNo}: flow mappings are not supported (use an indented block)`);
+  return parseScalar(raw, lineNo);
+}
+
+/** Parse the block starting at lines[start] whose lines are indented by `indent`. */
+function parseBlock(lines, start, indent) {
+  const isItem = (line) => line.text === '-' || line.text.startsWith('- ');
+
+  if (isItem(lines[start])) {
+    const items = [];
+    let i = start;
+    while (i < lines.length && lines[i].indent === indent && isItem(lines[i])) {
+      const rest = lines[i].text.slice(1).trim();
+      if (rest !== '') {
+        if (/^[^'"[\]{}]*:(\s|$)/.test(rest)) throw new Error(`line ${lines[i].lineNo}: mappings inside sequences are not supported`);
+        items.push(parseInline(rest, lines[i].lineNo));
+        i++;
+      } else if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+        const [value, next] = parseBlock(lines, i + 1, lines[i + 1].indent);
+        items.push(value);
+        i = next;
+      } else {
+        items.push(null);
+        i++;
+      }
+    }
+    return [items, i];
+  }
+
+  const map = {};
+  let i = start;
+  while (i < lines.length && lines[i].indent === indent) {
+    const { text, lineNo } = lines[i];
+    if (isItem(lines[i])) throw new Error(`line ${lineNo}: unexpected sequence item`);
+    const m = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s:#'"][^:]*?)\s*:(?:\s+(.*))?$/.exec(text);
+    if (!m) throw new Error(`line ${lineNo}: expected KEY: value`);
+    const key = m[1].startsWith('"') || m[1].startsWith("'") ? parseScalar(m[1], lineNo) : m[1];
+    if (Object.hasOwn(map, key)) throw new Error(`line ${lineNo}: duplicate key '${key}'`);
+    const rest = (m[2] ?? '').trim();
+    i++;
+
+    if (rest !== '') {
+      map[key] = parseInline(rest, lineNo);
+    } else if (i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && isItem(lines[i])))) {
+      // A sequence may sit at its key's own indentation
+      [map[key], i] = parseBlock(lines, i, lines[i].indent);
+    } else {
+      map[key] = null;
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) throw new Error(`line ${lines[i].lineNo}: unexpected indentation`);
+  return [map, i];
+}
+
+function parseYamlDocument(text) {
+  const lines = [];
+  text.replace(/\r\n/g, '\n').split('\n').forEach((line, i) => {
+    const lineNo = i + 1;
+    if (line === '---' || line === '...') return;
+    const body = stripComment(line);
+    if (body.trim() === '') return;
+    const indent = /^[ \t]*/.exec(body)[0];
+    if (indent.includes('\t')) throw new Error(`line ${lineNo}: tabs are not allowed for indentation`);
+    lines.push({ indent: indent.length, text: body.trim(), lineNo });
+  });
+  if (lines.length === 0) return {};
+  if (lines[0].indent !== 0) throw new Error(`line ${lines[0].lineNo}: unexpected indentation`);
+  const [value, next] = parseBlock(lines, 0, 0);
+  if (next < lines.length) throw new Error(`line ${lines[next].lineNo}: unexpected content`);
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Manifest
+// ---------------------------------------------------------------------------
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function stringList(value, where) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v === '')) {
+    throw new Error(`${where} must be a list of key names or globs`);
+  }
+  return value;
+}
+
+/** Validate a decoded manifest and normalize it to { projects: [{ name, keys, required, notes }] }. */
+function manifestFromObject(doc) {
+  if (!isPlainObject(doc)) throw new Error('expected a mapping with a "projects" entry');
+  const unknown = Object.keys(doc).filter(k => k !== 'projects');
+  if (unknown.length > 0) throw new Error(`unknown top-level field(s): ${unknown.join(', ')}`);
+  if (!isPlainObject(doc.projects)) throw new Error('"projects" must be a mapping of project names');
+
+  const projects = Object.entries(doc.projects).map(([name, spec]) => {
+    const where = `projects.${name}`;
+    spec ??= {};
+    if (!isPlainObject(spec)) throw new Error(`${where} must be a mapping`);
+    const extra = Object.keys(spec).filter(k => !PROJECT_FIELDS.includes(k));
+    if (extra.length > 0) throw new Error(`${where}: unknown field(s): ${extra.join(', ')} (expected ${PROJECT_FIELDS.join(', ')})`);
+
+    const required = stringList(spec.required, `${where}.required`);
+    if (required.some(k => k.includes('*'))) throw new Error(`${where}.required must list exact key names, not globs`);
+    const notes = spec.notes ?? {};
+    if (!isPlainObject(notes) || Object.values(notes).some(v => typeof v !== 'string')) {
+      throw new Error(`${where}.notes must map key names to note text`);
+    }
+    return { name, keys: stringList(spec.keys, `${where}.keys`), required, notes };
+  });
+  return { projects };
+}
+
+/** Parse manifest text. Errors name the offending line (YAML) or field. */
+function parseManifest(text, format) {
+  let doc;
+  if (format === 'json') {
+    try {
+      doc = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`not valid JSON: ${err.message}`);
+    }
+  } else if (format === 'yaml') {
+    doc = parseYamlDocument(text);
+  } else {
+    throw new Error(`Unknown manifest format '${format}' (expected yaml or json)`);
+  }
+  return manifestFromObject(doc);
+}
+
+/**
+ * Read a manifest from disk (.json is JSON, anything else YAML). Errors are
+ * prefixed with the file path.
+ */
+function loadManifest(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read manifest '${filePath}': ${err.message}`);
+  }
+  try {
+    return parseManifest(text, filePath.toLowerCase().endsWith('.json') ? 'json' : 'yaml');
+  } catch (err) {
+    throw new Error(`Invalid manifest '${filePath}': ${err.message}`);
+  }
+}
+
+/**
+ * The changes that converge the live organization on the manifest, in the
+ * order they must be made: missing projects are created; every secret whose
+ * key belongs to a manifest project (its keys, globs and required keys) but
+ * sits elsewhere is moved to the first such project — a secret already in a
+ * project it belongs to stays put; required notes are set; with prune,
+ * projects not in the manifest are deleted. Required keys that exist nowhere
+ * are reported as "missing" (they need a value, which apply cannot supply).
+ *
+ * Changes use the shapes of secrets-bws-plan, plus { action: "missing", key,
+ * project }. move/update changes also carry the secret's `id`, and note
+ * updates the whole `note` to set (header included), for the executor.
+ *
+ * @param {{ projects: object[] }} manifest  From parseManifest/loadManifest
+ * @param {object[]} secrets   From fetchAllSecrets
+ * @param {object[]} projects  projects().list() data
+ * @param {{ prune?: boolean }} [options]
+ */
+function planManifest(manifest, secrets, projects, { prune = false } = {}) {
+  const idMap    = buildProjectIdMap(projects);
+  const existing = new Set(projects.map(p => p.name));
+  const changes  = [];
+
+  for (const p of manifest.projects) {
+    if (!existing.has(p.name)) changes.push({ action: 'create-project', project: p.name });
+  }
+
+  const belongs = (spec, key) => spec.required.includes(key) || spec.keys.some(pattern => globMatch(pattern, key));
+  const placed  = new Map(manifest.projects.map(p => [p.name, new Set()]));
+
+  for (const secret of secrets) {
+    const current = idMap[secret.projectId] ?? null;
+    const home    = manifest.projects.find(p => p.name === current && belongs(p, secret.key))
+      ?? manifest.projects.find(p => belongs(p, secret.key));
+    if (!home) continue;
+    placed.get(home.name).add(secret.key);
+
+    const moved   = home.name !== current;
+    const noteSet = Object.hasOwn(home.notes, secret.key) && home.notes[secret.key] !== parseNote(secret.note).text;
+    const note    = noteSet ? setNoteText(secret.note, home.notes[secret.key]) : secret.note ?? '';
+    if (moved && !noteSet) {
+      changes.push({ action: 'move', key: secret.key, from: current, to: home.name, id: secret.id });
+    } else if (noteSet) {
+      changes.push({
+        action:  'update',
+        key:     secret.key,
+        project: home.name,
+        changes: moved ? ['note', 'project'] : ['note'],
+        ...(moved && { from: current }),
+        id:      secret.id,
+        note,
+      });
+    }
+  }
+
+  for (const p of manifest.projects) {
+    for (const key of p.required) {
+      if (!placed.get(p.name).has(key)) changes.push({ action: 'missing', key, project: p.name });
+    }
+  }
+
+  if (prune) {
+    const managed = new Set(manifest.projects.map(p => p.name));
+    const moving  = new Set(changes.filter(c => c.action === 'move' || c.changes?.includes('project')).map(c => c.id));
+    for (const project of projects) {
+      if (managed.has(project.name)) continue;
+      changes.push({
+        action:     'delete-project',
+        project:    project.name,
+        unassigned: secrets.filter(s => s.projectId === project.id && !moving.has(s.id)).map(s => s.key),
+        id:         project.id,
+      });
+    }
+  }
+  return changes;
+}
+
+export {
+  parseManifest,
+  loadManifest,
+  planManifest,
+};
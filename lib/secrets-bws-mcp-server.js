@@ -0,0 +1,243 @@
+/**
+ * secrets-bws-mcp-server
+ *
+ * Responsibility: Model Context Protocol server (stdio transport) exposing
+ * secrets-bws management as tools — list, set, move, delete and project
+ * management — so agents get structured results instead of parsing CLI
+ * output. Raw secret values are never returned unless a read allowlist is
+ * configured, and then only for matching keys.
+ *
+ * Public Interface:
+ * secrets-bws-mcp-server
+ * ├── isReadAllowed(readAllow, key, project): boolean
+ * ├── createMcpHandler(options): { tools, handle(message): Promise<object|null> }
+ * └── serveMcp(options): Promise<void>   (resolves when input ends)
+ *
+ * Protocol: JSON-RPC 2.0, one message per line on stdin/stdout. Handles
+ * initialize, ping, tools/list and tools/call; notifications get no response.
+ * Tool failures are reported as results with isError (the protocol's
+ * convention), not as JSON-RPC errors.
+ */
+
+import fs from 'node:fs';
+import readline from 'node:readline';
+import { globMatch } from './secrets-bws-helpers.js';
+import { recordAudit } from './secrets-bws-audit.js';
+
+const { version }       = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const SERVER_INFO       = { name: 'secrets-bws', version };
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR      = -32700;
+const INVALID_REQUEST  = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS   = -32602;
+
+// ---------------------------------------------------------------------------
+// Tools
+// ---------------------------------------------------------------------------
+
+const KEY_PARAM     = { type: 'string', description: "Secret key, optionally as 'project/KEY'" };
+const PROJECT_PARAM = { type: 'string', description: 'Only look in this project' };
+
+function objectSchema(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+/**
+ * Tool definitions. `run` receives the tool arguments and the operations
+ * object and returns the structured result.
+ */
+const TOOLS = [
+  {
+    name:        'list_secrets',
+    description: 'List secret keys with their project assignments, tags, owner, expiry and note (never values).',
+    inputSchema: objectSchema({
+      project: { type: 'string', description: 'Only secrets in this project' },
+      tag:     { type: 'string', description: 'Only secrets with this tag' },
+      owner:   { type: 'string', description: 'Only secrets with this owner' },
+    }),
+    run: async (args, ops) => ({ secrets: await ops.listSecrets({ project: args.project, tag: args.tag, owner: args.owner }) }),
+  },
+  {
+    name:        'set_secret',
+    description: "Create or update a secret. 'project/KEY' updates or creates the secret in that project (creating the project if needed); with the project parameter a key that exists once in another project is updated and moved into it.",
+    inputSchema: objectSchema({
+      key:     KEY_PARAM,
+      value:   { type: 'string', description: 'Secret value' },
+      project: { type: 'string', description: 'Create or update the secret in this project' },
+      note:    { type: 'string', description: 'Note text (kept when omitted on update)' },
+    }, ['key', 'value']),
+    run: (args, ops) => ops.setSecret(args.key, args.value, { project: args.project, note: args.note }),
+  },
+  {
+    name:        'move_secrets',
+    description: "Move every secret whose key matches a pattern (* wildcard, optionally 'project/PATTERN') to a project, creating it if needed.",
+    inputSchema: objectSchema({
+      pattern: { type: 'string', description: "Key or pattern, optionally as 'project/PATTERN'" },
+      project: { type: 'string', description: 'Target project' },
+      from:    { type: 'string', description: 'Only move secrets currently in this project' },
+    }, ['pattern', 'project']),
+    run: (args, ops) => ops.moveSecrets(args.pattern, args.project, { from: args.from }),
+  },
+  {
+    name:        'delete_secret',
+    description: 'Delete one secret.',
+    inputSchema: objectSchema({ key: KEY_PARAM, project: PROJECT_PARAM }, ['key']),
+    run: (args, ops) => ops.deleteSecret(args.key, { project: args.project }),
+  },
+  {
+    name:        'list_projects',
+    description: 'List project names.',
+    inputSchema: objectSchema({}),
+    run: async (args, ops) => ({ projects: await ops.listProjects() }),
+  },
+  {
+    name:        'create_project',
+    description: 'Create a project.',
+    inputSchema: objectSchema({ name: { type: 'string', description: 'Project name' } }, ['name']),
+    run: (args, ops) => ops.createProject(args.name),
+  },
+  {
+    name:        'delete_project',
+    description: 'Delete a project. Its secrets are kept but become unassigned; their keys are returned.',
+    inputSchema: objectSchema({ name: { type: 'string', description: 'Project name' } }, ['name']),
+    run: (args, ops) => ops.deleteProject(args.name),
+  },
+];
+
+// Only offered when a read allowlist is configured
+const GET_SECRET_TOOL = {
+  name:        'get_secret',
+  description: 'Read the value of a secret. Only keys on the configured read allowlist can be read.',
+  inputSchema: objectSchema({ key: KEY_PARAM, project: PROJECT_PARAM }, ['key']),
+  // The name is checked before anything is read; a refusal is audited as a failed get
+  run: async (args, ops, readAllow) => {
+    const { key, project } = await ops.resolveSecretKey(args.key, { project: args.project });
+    if (!isReadAllowed(readAllow, key, project)) {
+      const message = `Reading '${args.key}' is not allowed — it does not match the MCP read allowlist`;
+      await recordAudit({ op: 'get', keys: [key], project, outcome: 'error', error: message });
+      throw new Error(message);
+    }
+    return ops.getSecretValue(project ? `${project}/${key}` : key);
+  },
+};
+
+/**
+ * True when a resolved secret matches a read allowlist pattern, tested
+ * against both KEY and project/KEY (so "prod/*" allows a whole project).
+ */
+function isReadAllowed(readAllow, key, project) {
+  const names = project ? [key, `${project}/${key}`] : [key];
+  return readAllow.some(pattern => names.some(name => globMatch(pattern, name)));
+}
+
+// ---------------------------------------------------------------------------
+// Protocol
+// ---------------------------------------------------------------------------
+
+function checkArguments(tool, args) {
+  const { properties, required } = tool.inputSchema;
+  for (const name of required) {
+    if (args[name] === undefined) throw new Error(`Missing required argument '${name}'`);
+  }
+  for (const [name, value] of Object.entries(args)) {
+    if (!Object.hasOwn(properties, name)) throw new Error(`Unknown argument '${name}'`);
+    if (typeof value !== 'string') throw new Error(`Argument '${name}' must be a string`);
+  }
+}
+
+/**
+ * Create a handler for decoded JSON-RPC messages.
+ *
+ * @param {{ operations: object, readAllow?: string[] }} options
+ *   operations — the data-returning operations of secrets-bws-commands
+ *   readAllow  — glob patterns of keys get_secret may read; empty disables it
+ */
+function createMcpHandler({ operations, readAllow = [] }) {
+  const tools  = readAllow.length > 0 ? [...TOOLS, GET_SECRET_TOOL] : TOOLS;
+  const byName = Object.fromEntries(tools.map(t => [t.name, t]));
+
+  async function callTool({ name, arguments: args = {} } = {}) {
+    const tool = Object.hasOwn(byName, name) ? byName[name] : null;
+    if (!tool) throw Object.assign(new Error(`Unknown tool '${name}'`), { code: INVALID_PARAMS });
+    try {
+      checkArguments(tool, args ?? {});
+      const result = await tool.run(args ?? {}, operations, readAllow);
+      return {
+        content:           [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result,
+      };
+    } catch (err) {
+      return { content: [{ type: 'text', text: err.message }], isError: true };
+    }
+  }
+
+  const methods = {
+    'initialize': (params = {}) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities:    { tools: {} },
+      serverInfo:      SERVER_INFO,
+    }),
+    'ping':       () => ({}),
+    'tools/list': () => ({
+      tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+    }),
+    'tools/call': callTool,
+  };
+
+  /** Returns the response to send, or null for notifications. */
+  async function handle(message) {
+    if (message?.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses to requests this server never sends are ignored
+      if (message?.result !== undefined || message?.error !== undefined) return null;
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+    const isNotification = message.id === undefined;
+    if (!Object.hasOwn(methods, message.method)) {
+      if (isNotification) return null;
+      return { jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+    }
+    try {
+      const result = await methods[message.method](message.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (err) {
+      if (isNotification) return null;
+      return { jsonrpc: '2.0', id: message.id, error: { code: err.code ?? INVALID_PARAMS, message: err.message } };
+    }
+  }
+
+  return { tools, handle };
+}
+
+/**
+ * Serve MCP over newline-delimited JSON until input ends. Requests are
+ * handled in arrival order; nothing but protocol messages is written to
+ * output.
+ *
+ * @param {{ input: NodeJS.ReadableStream, output: NodeJS.WritableStream, operations: object, readAllow?: string[] }} options
+ */
+async function serveMcp({ input, output, operations, readAllow = [] }) {
+  const { handle } = createMcpHandler({ operations, readAllow });
+  const lines      = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (line.trim() === '') continue;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (_) {
+      output.write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } }) + '\n');
+      continue;
+    }
+    const response = await handle(message);
+    if (response) output.write(JSON.stringify(response) + '\n');
+  }
+}
+
+export {
+  isReadAllowed,
+  createMcpHandler,
+  serveMcp,
+};
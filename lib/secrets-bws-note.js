@@ -0,0 +1,114 @@
+/**
+ * secrets-bws-note
+ *
+ * Responsibility: Reads and writes the metadata header secrets-bws keeps at
+ * the top of a secret's note — `name: value` lines closed by a `---` line —
+ * while preserving the free text below it exactly. Notes without a header
+ * are all free text, so notes written by hand or by other tools are never
+ * reinterpreted.
+ *
+ * Public Interface:
+ * secrets-bws-note
+ * ├── parseNote(note): { meta: Record<string, string>, text: string }
+ * ├── formatNote(meta, text): string
+ * ├── setNoteMeta(note, fields): string
+ * ├── setNoteText(note, text): string
+ * ├── readNoteFields(note): { tags: string[], owner: string|null, expires: string|null, text: string }
+ * ├── checkTag(tag): string          (throws on an invalid tag)
+ * └── parseExpiry(value): Date       (throws unless YYYY-MM-DD)
+ *
+ * Example note:
+ *   tags: db, payments
+ *   owner: team-payments
+ *   expires: 2027-01-01
+ *   rotated: 2026-10-19T08:30:00.000Z
+ *   ---
+ *   Primary database
+ */
+
+const META_LINE = /^([a-z][a-z0-9-]*): ?(.*)$/;
+const SEPARATOR = '---';
+const TAG       = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+const DATE      = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Split a note into its metadata header (if any) and free text. */
+function parseNote(note) {
+  const lines = (note ?? '').split('\n');
+  const end   = lines.indexOf(SEPARATOR);
+  if (end <= 0 || !lines.slice(0, end).every(line => META_LINE.test(line))) {
+    return { meta: {}, text: note ?? '' };
+  }
+  const meta = {};
+  for (const line of lines.slice(0, end)) {
+    const [, name, value] = META_LINE.exec(line);
+    meta[name] = value;
+  }
+  return { meta, text: lines.slice(end + 1).join('\n') };
+}
+
+/** Build a note from metadata and free text; no metadata means just the text. */
+function formatNote(meta, text) {
+  const entries = Object.entries(meta);
+  if (entries.length === 0) return text;
+  for (const [name, value] of entries) {
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) throw new Error(`Invalid note field name '${name}'`);
+    if (String(value).includes('\n'))    throw new Error(`Note field '${name}' must be a single line`);
+  }
+  return [...entries.map(([name, value]) => `${name}: ${value}`), SEPARATOR, text].join('\n');
+}
+
+/**
+ * Set (or, with null/undefined, remove) metadata fields in a note, keeping
+ * the other fields and the free text.
+ */
+function setNoteMeta(note, fields) {
+  const { meta, text } = parseNote(note);
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) delete meta[name];
+    else meta[name] = String(value);
+  }
+  return formatNote(meta, text);
+}
+
+/** Replace a note's free text, keeping its metadata header. */
+function setNoteText(note, text) {
+  return formatNote(parseNote(note).meta, text);
+}
+
+/**
+ * The structured fields of a note: `tags` (comma-separated in the header),
+ * `owner` and `expires`, and the free text.
+ */
+function readNoteFields(note) {
+  const { meta, text } = parseNote(note);
+  return {
+    tags:    (meta.tags ?? '').split(',').map(tag => tag.trim()).filter(Boolean),
+    owner:   meta.owner || null,
+    expires: meta.expires || null,
+    text,
+  };
+}
+
+function checkTag(tag) {
+  if (!TAG.test(tag)) throw new Error(`Invalid tag '${tag}' (letters, digits, _ . - only)`);
+  return tag;
+}
+
+/** The start (UTC midnight) of an expiry date given as YYYY-MM-DD. */
+function parseExpiry(value) {
+  const time = DATE.test(value ?? '') ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) {
+    throw new Error(`Invalid expiry date '${value}' (expected YYYY-MM-DD)`);
+  }
+  return new Date(time);
+}
+
+export {
+  parseNote,
+  formatNote,
+  setNoteMeta,
+  setNoteText,
+  readNoteFields,
+  checkTag,
+  parseExpiry,
+};
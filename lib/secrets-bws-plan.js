@@ -0,0 +1,168 @@
+/**
+ * secrets-bws-plan
+ *
+ * Responsibility: Dry-run support. Wraps a backend client so that reads go to
+ * the backend as usual while writes are recorded instead of performed, then
+ * turns the recorded writes into a plan — the secrets and projects that
+ * would be created, updated, moved or deleted — in human or JSON form.
+ *
+ * Public Interface:
+ * secrets-bws-plan
+ * ├── createDryRunClient(client): DryRunClient
+ * │   ├── secrets(): { list, sync, create, update, delete }
+ * │   ├── projects(): { list, create, delete }
+ * │   └── plan(orgId): Promise<PlanChange[]>
+ * ├── formatChange(change): string
+ * └── formatPlan(changes, title?): string
+ *
+ * PlanChange: { action: "create-project", project }
+ *           | { action: "create", key, project }
+ *           | { action: "update", key, project, changes: ("key"|"value"|"note"|"project")[], fromKey?, from? }
+ *           | { action: "move", key, from, to }
+ *           | { action: "delete", key, project }
+ *           | { action: "delete-project", project, unassigned: string[] }
+ *           | { action: "missing", key, project }   (manifests: a required key
+ *             that does not exist — not a change, reported alongside them)
+ * Values are compared to classify updates but never appear in a plan;
+ * updates that would change nothing are left out.
+ */
+
+import { buildProjectIdMap } from './secrets-bws-helpers.js';
+
+/**
+ * Wrap a client for a dry run. Projects "created" during the run are
+ * returned by projects().list() with placeholder ids, so later steps of the
+ * same command see them like they would after a real create.
+ */
+function createDryRunClient(client) {
+  const recorded = [];
+  const planned  = [];
+
+  const secrets = {
+    list: (...args) => client.secrets().list(...args),
+    sync: (...args) => client.secrets().sync(...args),
+    async create(orgId, key, value, note, projectIds) {
+      recorded.push({ type: 'secret.create', key, projectIds });
+      return { id: `planned-secret-${recorded.length}`, organizationId: orgId, key, projectId: projectIds[0] ?? null };
+    },
+    async update(orgId, id, key, value, note, projectIds) {
+      recorded.push({ type: 'secret.update', id, key, value, note, projectIds });
+      return { id, organizationId: orgId, key, projectId: projectIds[0] ?? null };
+    },
+    async delete(ids) {
+      recorded.push({ type: 'secret.delete', ids });
+      return { data: ids.map(id => ({ id, error: null })) };
+    },
+  };
+
+  const projects = {
+    async list(orgId) {
+      const list = await client.projects().list(orgId);
+      return { data: [...list.data, ...planned.filter(p => p.organizationId === orgId).map(p => ({ ...p }))] };
+    },
+    async create(orgId, name) {
+      const project = { id: `planned-project-${planned.length + 1}`, organizationId: orgId, name };
+      planned.push(project);
+      recorded.push({ type: 'project.create', name });
+      return { ...project };
+    },
+    async delete(ids) {
+      recorded.push({ type: 'project.delete', ids });
+      return { data: ids.map(id => ({ id, error: null })) };
+    },
+  };
+
+  /** The recorded writes, resolved against the current secrets and projects. */
+  async function plan(orgId) {
+    const current = (await client.secrets().sync(orgId)).secrets ?? [];
+    const byId    = new Map(current.map(s => [s.id, s]));
+    const names   = buildProjectIdMap((await projects.list(orgId)).data);
+    const name    = (id) => (id ? names[id] ?? null : null);
+    // Where each secret ends up, so a deleted project only lists the secrets still in it
+    const finalProject = new Map(current.map(s => [s.id, s.projectId ?? null]));
+    for (const change of recorded) {
+      if (change.type === 'secret.update') finalProject.set(change.id, change.projectIds[0] ?? null);
+      if (change.type === 'secret.delete') change.ids.forEach(id => finalProject.delete(id));
+    }
+
+    return recorded.flatMap(change => {
+      switch (change.type) {
+        case 'project.create':
+          return [{ action: 'create-project', project: change.name }];
+        case 'project.delete':
+          return change.ids.map(id => ({
+            action:     'delete-project',
+            project:    name(id),
+            unassigned: current.filter(s => finalProject.get(s.id) === id).map(s => s.key),
+          }));
+        case 'secret.create':
+          return [{ action: 'create', key: change.key, project: name(change.projectIds[0]) }];
+        case 'secret.delete':
+          return change.ids.map(id => ({ action: 'delete', key: byId.get(id)?.key ?? id, project: name(byId.get(id)?.projectId) }));
+        case 'secret.update': {
+          const before  = byId.get(change.id) ?? {};
+          const to      = change.projectIds[0] ?? null;
+          const changes = [];
+          if (before.key && change.key !== before.key)     changes.push('key');
+          if (change.value !== before.value)               changes.push('value');
+          if ((change.note ?? '') !== (before.note ?? '')) changes.push('note');
+          if (to !== (before.projectId ?? null))           changes.push('project');
+          // e.g. moving a secret into the project it is already in
+          if (changes.length === 0) return [];
+          if (changes.length === 1 && changes[0] === 'project') {
+            return [{ action: 'move', key: change.key, from: name(before.projectId), to: name(to) }];
+          }
+          return [{
+            action:  'update',
+            key:     change.key,
+            project: name(to),
+            changes,
+            ...(changes.includes('key') && { fromKey: before.key }),
+            ...(changes.includes('project') && { from: name(before.projectId) }),
+          }];
+        }
+        default:
+          return [];
+      }
+    });
+  }
+
+  return {
+    secrets:  () => secrets,
+    projects: () => projects,
+    plan,
+  };
+}
+
+/** One indented line describing a change. */
+function formatChange(c) {
+  const where = (project) => (project ? ` in '${project}'` : '');
+  switch (c.action) {
+    case 'create-project': return `  + project '${c.project}'`;
+    case 'delete-project': return `  - project '${c.project}'` +
+      (c.unassigned.length > 0 ? ` (${c.unassigned.length} secret(s) become unassigned: ${c.unassigned.join(', ')})` : '');
+    case 'create':         return `  + secret '${c.key}'${where(c.project)}`;
+    case 'delete':         return `  - secret '${c.key}'${where(c.project)}`;
+    case 'move':           return `  > secret '${c.key}' '${c.from ?? '(none)'}' -> '${c.to ?? '(none)'}'`;
+    case 'update':         return `  ~ secret '${c.key}'${where(c.project)} (${c.changes.join(', ')})` +
+      (c.changes.includes('key') ? `, renamed from '${c.fromKey}'` : '') +
+      (c.changes.includes('project') ? `, moved from '${c.from ?? '(none)'}'` : '');
+    case 'missing':        return `  ! secret '${c.key}'${where(c.project)} is required but missing`;
+    default:               return `  ? ${JSON.stringify(c)}`;
+  }
+}
+
+/** Human-readable plan, one line per change, under `title`. */
+function formatPlan(changes, title = 'Dry run — nothing was changed. Plan:') {
+  const missing = changes.filter(c => c.action === 'missing').length;
+  const count   = changes.length - missing;
+  const summary = (count === 0 ? 'No changes' : `${count} change(s)`) +
+    (missing > 0 ? `, ${missing} required secret(s) missing` : '');
+  return [title, ...changes.map(formatChange), summary].join('\n') + '\n';
+}
+
+export {
+  createDryRunClient,
+  formatChange,
+  formatPlan,
+};
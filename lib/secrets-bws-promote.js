@@ -0,0 +1,112 @@
+/**
+ * secrets-bws-promote
+ *
+ * Responsibility: Compares two projects that keep parallel key sets (e.g.
+ * myapp-staging and myapp-prod) for promotion: maps each source key to its
+ * target key and classifies it as missing, different or identical in the
+ * target, by value fingerprint so values never need to be shown.
+ *
+ * Public Interface:
+ * secrets-bws-promote
+ * ├── parseKeyMaps(specs): KeyMap[]   (throws on invalid input)
+ * ├── mapKey(maps, key): string
+ * └── planPromotion(secrets, { fromId, toId, maps?, keys? }): PromotionEntry[]
+ *
+ * KeyMap: { from, to } from "FROM=TO" (e.g. STAGING_*=PROD_*); each * in TO
+ * takes the text its counterpart in FROM matched. The first map a key
+ * matches applies; keys no map matches keep their name.
+ *
+ * PromotionEntry: { status: "missing" | "different" | "identical", key, targetKey, source, target }
+ *               | { status: "only-in-target", key: null, targetKey, source: null, target }
+ * source and target are the secrets themselves, for the copy; they are not
+ * meant for output.
+ */
+
+import crypto from 'node:crypto';
+import { globMatch, substituteGlob } from './secrets-bws-helpers.js';
+import { fingerprint } from './secrets-bws-snapshot.js';
+
+const STATUS_ORDER = ['missing', 'different', 'identical', 'only-in-target'];
+
+const wildcards = (pattern) => pattern.split('*').length - 1;
+
+/** Parse --map FROM=TO options. */
+function parseKeyMaps(specs = []) {
+  return specs.map(spec => {
+    const eq = spec.indexOf('=');
+    if (eq <= 0 || eq === spec.length - 1) {
+      throw new Error(`Invalid --map '${spec}' (expected FROM=TO, e.g. STAGING_*=PROD_*)`);
+    }
+    const from = spec.slice(0, eq);
+    const to   = spec.slice(eq + 1);
+    if (wildcards(from) !== wildcards(to)) {
+      throw new Error(`Invalid --map '${spec}' (both sides need the same number of *)`);
+    }
+    return { from, to };
+  });
+}
+
+/** The target key for a source key. */
+function mapKey(maps, key) {
+  for (const { from, to } of maps) {
+    const mapped = substituteGlob(from, to, key);
+    if (mapped !== null) return mapped;
+  }
+  return key;
+}
+
+/** The source key a target key would come from, or null when no map produces it. */
+function unmapKey(maps, key) {
+  for (const { from, to } of maps) {
+    const source = substituteGlob(to, from, key);
+    if (source !== null) return source;
+  }
+  return maps.some(m => globMatch(m.from, key)) ? null : key;
+}
+
+/**
+ * Pair the source project's secrets (narrowed by the `keys` glob on source
+ * keys) with the target project's by mapped key. Values are compared by
+ * fingerprint under a salt that only lives for this call. Target secrets no
+ * source key maps to are listed as only-in-target (with `keys`, only those
+ * whose unmapped key matches it). Throws when two source keys map to the
+ * same target key. A null toId means the target project does not exist
+ * yet: everything is missing.
+ */
+function planPromotion(secrets, { fromId, toId, maps = [], keys }) {
+  const salt    = crypto.randomBytes(16).toString('hex');
+  const sources = secrets.filter(s => s.projectId === fromId && (!keys || globMatch(keys, s.key)));
+  const targets = toId ? secrets.filter(s => s.projectId === toId) : [];
+
+  const entries = [];
+  const claimed = new Map();
+  for (const source of sources) {
+    const targetKey = mapKey(maps, source.key);
+    if (claimed.has(targetKey)) {
+      throw new Error(`'${claimed.get(targetKey)}' and '${source.key}' would both be promoted to '${targetKey}'`);
+    }
+    claimed.set(targetKey, source.key);
+    const target = targets.find(t => t.key === targetKey) ?? null;
+    const status = !target ? 'missing'
+      : fingerprint(salt, source.value) === fingerprint(salt, target.value) ? 'identical'
+      : 'different';
+    entries.push({ status, key: source.key, targetKey, source, target });
+  }
+  for (const target of targets) {
+    if (claimed.has(target.key)) continue;
+    if (keys) {
+      const sourceKey = unmapKey(maps, target.key);
+      if (sourceKey === null || !globMatch(keys, sourceKey)) continue;
+    }
+    entries.push({ status: 'only-in-target', key: null, targetKey: target.key, source: null, target });
+  }
+  return entries.sort((a, b) =>
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.targetKey.localeCompare(b.targetKey)
+  );
+}
+
+export {
+  parseKeyMaps,
+  mapKey,
+  planPromotion,
+};
@@ -0,0 +1,189 @@
+/**
+ * secrets-bws-redactor
+ *
+ * Responsibility: Streaming redaction of injected secret values from the
+ * wrapped server's output. Every value is replaced by ***KEY*** — including
+ * its JSON-escaped, URL-encoded and standalone base64 forms — even when an
+ * occurrence is split across chunk boundaries.
+ *
+ * Public Interface:
+ * secrets-bws-redactor
+ * ├── extractRedactArgs(wrapperArgs: string[]): {redact: {stderr, stdout}, rest}
+ * ├── redactionPatterns(secretValues: Record<string, string>): {patterns, skipped}
+ * ├── redactString(text: string, patterns): string
+ * └── createRedactor(patterns): Transform
+ */
+
+import { Transform } from 'node:stream';
+import { splitWrapperArgs } from './secrets-bws-wrapper-commands.js';
+
+// Shorter values would redact ordinary output (and could corrupt JSON-RPC
+// framing on stdout, e.g. a value of "true"), so they are left alone.
+const MIN_REDACT_LENGTH = 4;
+
+/**
+ * Split --redact (stderr) and --redact-stdout (stdout and stderr) out of the
+ * wrapper-side args. --secret groups are passed through untouched.
+ */
+function extractRedactArgs(wrapperArgs) {
+  const redact = { stderr: false, stdout: false };
+  const rest   = splitWrapperArgs(wrapperArgs, (arg) => {
+    if (arg === '--redact') {
+      redact.stderr = true;
+      return 1;
+    }
+    if (arg === '--redact-stdout') {
+      redact.stderr = true;
+      redact.stdout = true;
+      return 1;
+    }
+    return 0;
+  });
+  return { redact, rest };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Encoded forms of a value that commonly appear in logs and JSON output. */
+function valueVariants(value) {
+  const b64 = Buffer.from(value, 'utf8').toString('base64');
+  return new Set([
+    value,
+    JSON.stringify(value).slice(1, -1),
+    encodeURIComponent(value),
+    encodeURIComponent(value).replace(/%20/g, '+'),
+    b64,
+    b64.replace(/=+$/, ''),
+    Buffer.from(value, 'utf8').toString('base64url'),
+  ]);
+}
+
+/**
+ * Build the redaction pattern list for a key → value map. Patterns are kept
+ * as latin1 strings of their UTF-8 bytes so the stream can match on raw bytes
+ * without decoding (a multi-byte character may be split across chunks).
+ * Values shorter than MIN_REDACT_LENGTH are returned in `skipped`.
+ * @returns {{ patterns: { text: string, replacement: string }[], skipped: string[] }}
+ */
+function redactionPatterns(secretValues) {
+  const byText  = new Map();
+  const skipped = [];
+  for (const [key, value] of Object.entries(secretValues)) {
+    if (typeof value !== 'string' || value.length < MIN_REDACT_LENGTH) {
+      skipped.push(key);
+      continue;
+    }
+    // Restrict the marker to characters that are inert inside JSON strings
+    const replacement = `***${key.replace(/[^A-Za-z0-9_.-]/g, '_')}***`;
+    for (const variant of valueVariants(value)) {
+      const text = Buffer.from(variant, 'utf8').toString('latin1');
+      if (!byText.has(text)) byText.set(text, { text, replacement });
+    }
+  }
+  // Longest first, so a value wins over any shorter value it contains
+  const patterns = [...byText.values()].sort((a, b) => b.text.length - a.text.length);
+  return { patterns, skipped };
+}
+
+function compile(patterns) {
+  if (patterns.length === 0) return null;
+  const lookup = new Map(patterns.map(p => [p.text, p.replacement]));
+  return {
+    regex:   new RegExp(patterns.map(p => escapeRegExp(p.text)).join('|'), 'g'),
+    lookup,
+    maxLen:  patterns[0].text.length,
+  };
+}
+
+function replaceAll(text, compiled) {
+  if (!compiled) return text;
+  return text.replace(compiled.regex, match => compiled.lookup.get(match));
+}
+
+/**
+ * Redact a complete string (latin1 byte form, as produced by
+ * Buffer#toString('latin1')). Pure function.
+ */
+function redactString(text, patterns) {
+  return replaceAll(text, compile(patterns));
+}
+
+/**
+ * Length of the longest suffix of text that is a proper prefix of a pattern —
+ * the bytes that must be held back until the next chunk shows whether they
+ * complete a secret.
+ */
+function partialMatchLength(text, patterns, maxLen) {
+  const limit = Math.min(text.length, maxLen - 1);
+  for (let k = limit; k > 0; k--) {
+    const tail = text.slice(text.length - k);
+    if (patterns.some(p => p.text.length > k && p.text.startsWith(tail))) return k;
+  }
+  return 0;
+}
+
+/**
+ * Where the bytes to hold back start: full matches are found over the whole
+ * buffer first, so only a partial match after the last of them is held — a
+ * match is never split between what is written and what is held. A match
+ * that reaches the end of the buffer is held whole when it could still grow
+ * into a longer pattern.
+ */
+function holdStart(text, patterns, compiled) {
+  let lastStart = -1;
+  let lastEnd   = 0;
+  compiled.regex.lastIndex = 0;
+  for (const m of text.matchAll(compiled.regex)) {
+    lastStart = m.index;
+    lastEnd   = m.index + m[0].length;
+  }
+  if (lastStart !== -1 && lastEnd === text.length) {
+    const matched = text.slice(lastStart);
+    if (patterns.some(p => p.text.length > matched.length && p.text.startsWith(matched))) return lastStart;
+  }
+  return text.length - partialMatchLength(text.slice(lastEnd), patterns, compiled.maxLen);
+}
+
+/**
+ * Create a Transform that redacts the given patterns from a byte stream.
+ * Output is written through immediately except for a possible partial match
+ * at the end of a chunk, which is held until the next chunk or the end of the
+ * stream — never written through on its own, since the rest of the secret
+ * may still follow. Line-based protocols do not stall on it: a chunk that
+ * ends a line ends with a newline, which no held prefix does unless a secret
+ * itself spans lines.
+ * @param {{ text: string, replacement: string }[]} patterns  From redactionPatterns()
+ */
+function createRedactor(patterns) {
+  const compiled = compile(patterns);
+  let pending    = '';
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      const text = pending + chunk.toString('latin1');
+      if (!compiled) {
+        callback(null, chunk);
+        return;
+      }
+      const hold = holdStart(text, patterns, compiled);
+      pending    = text.slice(hold);
+      const out  = replaceAll(text.slice(0, hold), compiled);
+      if (out) this.push(Buffer.from(out, 'latin1'));
+      callback();
+    },
+    flush(callback) {
+      if (pending) this.push(Buffer.from(replaceAll(pending, compiled), 'latin1'));
+      pending = '';
+      callback();
+    },
+  });
+}
+
+export {
+  extractRedactArgs,
+  redactionPatterns,
+  redactString,
+  createRedactor,
+};
@@ -0,0 +1,156 @@
+/**
+ * secrets-bws-snapshot
+ *
+ * Responsibility: Point-in-time records of an organization — every project,
+ * and every secret's id, key, project, note and a salted fingerprint of its
+ * value — and the diff between two of them, for change review without
+ * revealing secret material.
+ *
+ * Public Interface:
+ * secrets-bws-snapshot
+ * ├── fingerprint(salt, value): string
+ * ├── createSnapshot({ orgId, secrets, projects, salt? }): Snapshot
+ * ├── parseSnapshot(text): Snapshot   (throws on invalid input)
+ * ├── diffSnapshots(before, after): { changes: DiffChange[], valuesCompared: boolean }
+ * └── formatDiff(changes, title): string
+ *
+ * Snapshot: { format: "secrets-bws-snapshot", version: 1, takenAt, organizationId,
+ *             salt, projects: string[], secrets: [{ id, key, project, note, fingerprint }] }
+ * A fingerprint is HMAC-SHA256(salt, value), so equal values only compare
+ * equal within snapshots that share a salt. The salt is stored in the
+ * snapshot: it defeats precomputed lookups, but a weak value can still be
+ * guessed offline, so snapshots are written readable by the owner only.
+ *
+ * DiffChange: { action: "project-added" | "project-removed", project }
+ *           | { action: "added" | "removed", key, project }
+ *           | { action: "moved", key, from, to }
+ *           | { action: "changed", key, project, changes: ("key"|"project"|"note"|"value")[], fromKey?, from? }
+ * Secrets are matched by id, so a moved or renamed secret is one change.
+ */
+
+import crypto from 'node:crypto';
+import { buildProjectIdMap } from './secrets-bws-helpers.js';
+
+const SNAPSHOT_FORMAT  = 'secrets-bws-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+function fingerprint(salt, value) {
+  return crypto.createHmac('sha256', Buffer.from(salt, 'hex')).update(value ?? '').digest('hex');
+}
+
+/**
+ * Build a snapshot from fetchAllSecrets and projects().list() data. A new
+ * random salt is used unless one is given (to compare with an earlier
+ * snapshot).
+ */
+function createSnapshot({ orgId, secrets, projects, salt = crypto.randomBytes(16).toString('hex') }) {
+  const idMap = buildProjectIdMap(projects);
+  return {
+    format:         SNAPSHOT_FORMAT,
+    version:        SNAPSHOT_VERSION,
+    takenAt:        new Date().toISOString(),
+    organizationId: orgId,
+    salt,
+    projects:       projects.map(p => p.name).sort(),
+    secrets:        secrets
+      .map(s => ({
+        id:          s.id,
+        key:         s.key,
+        project:     idMap[s.projectId] ?? null,
+        note:        s.note ?? '',
+        fingerprint: fingerprint(salt, s.value),
+      }))
+      .sort((a, b) => (a.project ?? '').localeCompare(b.project ?? '') || a.key.localeCompare(b.key)),
+  };
+}
+
+/** Parse and check a snapshot file's contents. */
+function parseSnapshot(text) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`not valid JSON: ${err.message}`);
+  }
+  if (snapshot?.format !== SNAPSHOT_FORMAT) throw new Error('not a secrets-bws snapshot');
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (typeof snapshot.salt !== 'string' || !Array.isArray(snapshot.projects) || !Array.isArray(snapshot.secrets)) {
+    throw new Error('snapshot is missing salt, projects or secrets');
+  }
+  return snapshot;
+}
+
+/**
+ * Changes from `before` to `after`: projects first, then secrets in the
+ * order of `after` (removed secrets last). Value changes are only detected
+ * when both snapshots share a salt — valuesCompared says whether they were.
+ */
+function diffSnapshots(before, after) {
+  const valuesCompared = before.salt === after.salt;
+  const changes        = [];
+
+  const projectsBefore = new Set(before.projects);
+  const projectsAfter  = new Set(after.projects);
+  for (const project of after.projects)  if (!projectsBefore.has(project)) changes.push({ action: 'project-added', project });
+  for (const project of before.projects) if (!projectsAfter.has(project))  changes.push({ action: 'project-removed', project });
+
+  const byId = new Map(before.secrets.map(s => [s.id, s]));
+  for (const now of after.secrets) {
+    const was = byId.get(now.id);
+    if (!was) {
+      changes.push({ action: 'added', key: now.key, project: now.project });
+      continue;
+    }
+    byId.delete(now.id);
+    const changed = [];
+    if (now.key !== was.key)                                   changed.push('key');
+    if (now.project !== was.project)                           changed.push('project');
+    if (now.note !== was.note)                                 changed.push('note');
+    if (valuesCompared && now.fingerprint !== was.fingerprint) changed.push('value');
+    if (changed.length === 0) continue;
+    if (changed.length === 1 && changed[0] === 'project') {
+      changes.push({ action: 'moved', key: now.key, from: was.project, to: now.project });
+    } else {
+      changes.push({
+        action:  'changed',
+        key:     now.key,
+        project: now.project,
+        changes: changed,
+        ...(changed.includes('key') && { fromKey: was.key }),
+        ...(changed.includes('project') && { from: was.project }),
+      });
+    }
+  }
+  for (const was of byId.values()) changes.push({ action: 'removed', key: was.key, project: was.project });
+  return { changes, valuesCompared };
+}
+
+/** Human-readable diff, one line per change, under `title`. */
+function formatDiff(changes, title) {
+  const where = (project) => (project ? ` in '${project}'` : '');
+  const lines = changes.map(c => {
+    switch (c.action) {
+      case 'project-added':   return `  + project '${c.project}'`;
+      case 'project-removed': return `  - project '${c.project}'`;
+      case 'added':           return `  + secret '${c.key}'${where(c.project)}`;
+      case 'removed':         return `  - secret '${c.key}'${where(c.project)}`;
+      case 'moved':           return `  > secret '${c.key}' '${c.from ?? '(none)'}' -> '${c.to ?? '(none)'}'`;
+      case 'changed':         return `  ~ secret '${c.key}'${where(c.project)} (${c.changes.join(', ')})` +
+        (c.changes.includes('key') ? `, renamed from '${c.fromKey}'` : '') +
+        (c.changes.includes('project') ? `, moved from '${c.from ?? '(none)'}'` : '');
+      default:                return `  ? ${JSON.stringify(c)}`;
+    }
+  });
+  const summary = changes.length === 0 ? 'No differences' : `${changes.length} difference(s)`;
+  return [title, ...lines, summary].join('\n') + '\n';
+}
+
+export {
+  fingerprint,
+  createSnapshot,
+  parseSnapshot,
+  diffSnapshots,
+  formatDiff,
+};
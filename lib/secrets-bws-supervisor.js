@@ -0,0 +1,277 @@
+/**
+ * secrets-bws-supervisor
+ *
+ * Responsibility: Runs the wrapped MCP server as a supervised child process —
+ * forwarding termination signals, escalating to SIGKILL after a grace period,
+ * and optionally restarting the server on crash with exponential backoff.
+ * Exit reasons and restarts are reported on stderr; stdout belongs to the child.
+ *
+ * Public Interface:
+ * secrets-bws-supervisor
+ * ├── extractSupervisorArgs(wrapperArgs: string[]): {options, rest}   (throws on invalid input)
+ * ├── restartDelay(restartCount: number, initialMs: number, maxMs?: number): number
+ * ├── describeExit(code: number|null, signal: string|null): string
+ * └── superviseServer(start, options): Promise<number>
+ */
+
+import { spawn } from 'node:child_process';
+import os from 'node:os';
+import { finished } from 'node:stream/promises';
+import { splitWrapperArgs } from './secrets-bws-wrapper-commands.js';
+
+const FORWARDED_SIGNALS    = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+const MAX_RESTART_DELAY_MS = 60_000;
+
+const DEFAULT_OPTIONS = {
+  gracePeriodMs:  10_000,
+  restart:        false,
+  maxRestarts:    10,
+  restartDelayMs: 1_000,
+};
+
+function parseSeconds(flag, value, { allowZero }) {
+  const n = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(n) || n < 0 || (!allowZero && n === 0)) {
+    throw new Error(`${flag} requires a ${allowZero ? 'non-negative' : 'positive'} number of seconds`);
+  }
+  return Math.round(n * 1000);
+}
+
+/**
+ * Split supervisor flags out of the wrapper-side args:
+ *   --grace-period SECONDS   wait before SIGKILL after forwarding a signal (default 10)
+ *   --restart                restart the server when it crashes
+ *   --max-restarts N         consecutive restarts before giving up (default 10)
+ *   --restart-delay SECONDS  initial backoff, doubled per restart up to 60s (default 1)
+ * --secret groups are passed through untouched (see splitWrapperArgs).
+ */
+function extractSupervisorArgs(wrapperArgs) {
+  const options = { ...DEFAULT_OPTIONS };
+  let restartTuned = null;
+  const rest = splitWrapperArgs(wrapperArgs, (arg, value) => {
+    if (arg === '--grace-period') {
+      options.gracePeriodMs = parseSeconds(arg, value, { allowZero: true });
+      return 2;
+    }
+    if (arg === '--restart') {
+      options.restart = true;
+      return 1;
+    }
+    if (arg === '--max-restarts') {
+      if (!/^\d+$/.test(value ?? '')) throw new Error('--max-restarts requires a non-negative integer');
+      options.maxRestarts = Number(value);
+      restartTuned = arg;
+      return 2;
+    }
+    if (arg === '--restart-delay') {
+      options.restartDelayMs = parseSeconds(arg, value, { allowZero: false });
+      restartTuned = arg;
+      return 2;
+    }
+    return 0;
+  });
+  if (restartTuned && !options.restart) throw new Error(`${restartTuned} requires --restart`);
+  return { options, rest };
+}
+
+/**
+ * Backoff before restart number restartCount + 1: initialMs doubled per
+ * previous restart, capped at maxMs.
+ */
+function restartDelay(restartCount, initialMs, maxMs = MAX_RESTART_DELAY_MS) {
+  return Math.min(initialMs * 2 ** restartCount, maxMs);
+}
+
+/** Human-readable exit reason for a child 'close' event. */
+function describeExit(code, signal) {
+  if (signal) return `was killed by signal ${signal}`;
+  return `exited with code ${code}`;
+}
+
+/** Shell convention for a process terminated by a signal: 128 + signal number. */
+function signalExitCode(signal) {
+  return 128 + (os.constants.signals[signal] ?? 0);
+}
+
+function seconds(ms) {
+  return `${Number((ms / 1000).toFixed(3))}s`;
+}
+
+/**
+ * Start the server and supervise it until it should no longer run.
+ *
+ * `start` is called before every launch (including restarts, so secrets are
+ * re-fetched each time) and resolves to the command, its environment, an
+ * optional cleanup run after that child exits, and optional stdout/stderr
+ * Transforms the child's output is piped through (otherwise it is inherited).
+ * A failure of the first start rejects; a failure of a restart counts as
+ * another crash.
+ *
+ * SIGINT/SIGTERM/SIGHUP received by the wrapper are forwarded to the child; if
+ * it has not exited after gracePeriodMs it is sent SIGKILL (a repeated signal
+ * escalates immediately). Resolves to the exit code the wrapper should use.
+ *
+ * @param {() => Promise<{ command: string[], env: object, cleanup?: () => void, stdout?: Transform, stderr?: Transform }>} start
+ * @param {object} [options]  See extractSupervisorArgs for fields and defaults;
+ *                            `label` names the child in stderr messages
+ * @returns {Promise<number>}
+ */
+function superviseServer(start, options = {}) {
+  const { gracePeriodMs, restart, maxRestarts, restartDelayMs, label = 'server' } = { ...DEFAULT_OPTIONS, ...options };
+  const Label = label[0].toUpperCase() + label.slice(1);
+
+  return new Promise((resolve, reject) => {
+    let child        = null;
+    let cleanup      = null;
+    let stopSignal   = null;
+    let killTimer    = null;
+    let restartTimer = null;
+    let restarts     = 0;
+    let startedAt    = 0;
+
+    function runCleanup() {
+      const fn = cleanup;
+      cleanup  = null;
+      if (fn) fn();
+    }
+
+    function settle(fn, value) {
+      for (const signal of FORWARDED_SIGNALS) process.removeListener(signal, onSignal);
+      process.removeListener('exit', runCleanup);
+      runCleanup();
+      fn(value);
+    }
+
+    function onSignal(signal) {
+      if (stopSignal) {
+        if (child) {
+          console.error(`Received ${signal} again — sending SIGKILL to ${label}`);
+          child.kill('SIGKILL');
+        }
+        return;
+      }
+      stopSignal = signal;
+      if (restartTimer) {
+        clearTimeout(restartTimer);
+        console.error(`Received ${signal} while waiting to restart — not restarting`);
+        settle(resolve, signalExitCode(signal));
+        return;
+      }
+      // No child yet: launch() sees stopSignal once start() resolves
+      if (!child) return;
+      console.error(`Received ${signal} — forwarding to ${label} (grace period ${seconds(gracePeriodMs)})`);
+      child.kill(signal);
+      killTimer = setTimeout(() => {
+        console.error(`WARN: ${Label} did not exit within ${seconds(gracePeriodMs)} of ${signal} — sending SIGKILL`);
+        child?.kill('SIGKILL');
+      }, gracePeriodMs);
+    }
+
+    function scheduleRestart(lastExitCode) {
+      if (!restart) {
+        settle(resolve, lastExitCode);
+        return;
+      }
+      if (restarts >= maxRestarts) {
+        console.error(`ERROR: Giving up after ${restarts} restart(s)`);
+        settle(resolve, lastExitCode);
+        return;
+      }
+      const delay = restartDelay(restarts, restartDelayMs);
+      restarts++;
+      console.error(`Restarting ${label} in ${seconds(delay)} (restart ${restarts} of ${maxRestarts})`);
+      restartTimer = setTimeout(() => {
+        restartTimer = null;
+        launch();
+      }, delay);
+    }
+
+    async function launch() {
+      const isFirst = startedAt === 0;
+      let prepared;
+      try {
+        prepared = await start();
+      } catch (err) {
+        if (isFirst) {
+          settle(reject, err);
+          return;
+        }
+        console.error(`ERROR: Failed to prepare restart: ${err.message}`);
+        if (stopSignal) settle(resolve, signalExitCode(stopSignal));
+        else scheduleRestart(1);
+        return;
+      }
+
+      cleanup = prepared.cleanup ?? null;
+      if (stopSignal) {
+        settle(resolve, signalExitCode(stopSignal));
+        return;
+      }
+
+      const [cmd, ...args] = prepared.command;
+      let spawnError = null;
+      startedAt = Date.now();
+      child = spawn(cmd, args, {
+        env:   prepared.env,
+        stdio: ['inherit', prepared.stdout ? 'pipe' : 'inherit', prepared.stderr ? 'pipe' : 'inherit'],
+        shell: false,
+      });
+
+      // Output filters must drain fully before the wrapper exits or restarts
+      const drained = [];
+      for (const [name, sink] of [['stdout', process.stdout], ['stderr', process.stderr]]) {
+        const filter = prepared[name];
+        if (!filter || !child[name]) continue;
+        child[name].pipe(filter).pipe(sink, { end: false });
+        drained.push(finished(filter).catch(() => {}));
+      }
+
+      child.on('error', err => {
+        if (child && child.pid === undefined) spawnError = err;
+      });
+
+      child.on('close', async (code, signal) => {
+        await Promise.all(drained);
+        clearTimeout(killTimer);
+        killTimer = null;
+        child     = null;
+        runCleanup();
+
+        if (spawnError) {
+          // A missing or non-executable command will not fix itself — never restart
+          console.error(`ERROR: Failed to launch '${cmd}':`, spawnError.message);
+          settle(resolve, 1);
+          return;
+        }
+
+        const exitCode = code ?? signalExitCode(signal);
+        if (stopSignal) {
+          console.error(`${Label} ${describeExit(code, signal)}`);
+          settle(resolve, exitCode);
+          return;
+        }
+        if (code === 0) {
+          settle(resolve, 0);
+          return;
+        }
+
+        console.error(`ERROR: ${Label} ${describeExit(code, signal)}`);
+        // A server that stayed up past the maximum backoff is considered healthy again
+        if (Date.now() - startedAt >= MAX_RESTART_DELAY_MS) restarts = 0;
+        scheduleRestart(exitCode);
+      });
+    }
+
+    for (const signal of FORWARDED_SIGNALS) process.on(signal, onSignal);
+    // Safety net: a process.exit() elsewhere still removes the current child's files
+    process.on('exit', runCleanup);
+    launch();
+  });
+}
+
+export {
+  extractSupervisorArgs,
+  restartDelay,
+  describeExit,
+  superviseServer,
+};
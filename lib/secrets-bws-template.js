@@ -0,0 +1,125 @@
+/**
+ * secrets-bws-template
+ *
+ * Responsibility: Parses and renders config-file templates with embedded
+ * secret placeholders for `secrets-bws render`. Pure functions — secret
+ * lookup is supplied by the caller.
+ *
+ * Public Interface:
+ * secrets-bws-template
+ * ├── parseTemplate(text: string): Placeholder[]   (throws on malformed placeholders)
+ * └── renderTemplate(text: string, lookup: (ref) => string|undefined): string   (throws on missing keys)
+ *
+ * Placeholder syntax:
+ *   {{ bws "KEY" }}
+ *   {{ bws "project/KEY" }}
+ *   {{ bws "KEY" | default "fallback" | base64 }}
+ * Filters: base64, json-escape, url-encode, default "<value>". Filters apply
+ * left to right; default supplies the value when the key is missing wherever
+ * it appears in the chain. Any {{ … }} not starting with `bws` is left as-is.
+ */
+
+const PLACEHOLDER = /\{\{\s*bws\b([^}]*(?:\}(?!\})[^}]*)*)\}\}/g;
+
+const FILTERS = {
+  'base64':      value => Buffer.from(value, 'utf8').toString('base64'),
+  'json-escape': value => JSON.stringify(value).slice(1, -1),
+  'url-encode':  value => encodeURIComponent(value),
+};
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/** A double-quoted string with JSON escapes (\" \\ \n \t \uXXXX ...). */
+function parseQuoted(quoted, where) {
+  try {
+    return JSON.parse(quoted);
+  } catch (_) {
+    throw new Error(`${where}: invalid quoted string ${quoted} (escapes follow JSON: \\" \\\\ \\n \\t \\uXXXX)`);
+  }
+}
+
+/**
+ * Tokenize the inside of a placeholder (after `bws`) into double-quoted
+ * strings, `|` and bare words.
+ */
+function tokenize(body, where) {
+  const tokens = [];
+  const re     = /\s*(?:("(?:[^"\\]|\\.)*")|(\|)|([A-Za-z][A-Za-z0-9-]*))/y;
+  let i = 0;
+  while (i < body.length) {
+    if (/^\s*$/.test(body.slice(i))) break;
+    re.lastIndex = i;
+    const m = re.exec(body);
+    if (!m) throw new Error(`${where}: unexpected '${body.slice(i).trim()}'`);
+    if (m[1]) tokens.push({ type: 'string', value: parseQuoted(m[1], where) });
+    else if (m[2]) tokens.push({ type: 'pipe' });
+    else tokens.push({ type: 'word', value: m[3] });
+    i = re.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Find every bws placeholder in the template.
+ * @returns {{ start: number, end: number, line: number, ref: string, filters: string[], fallback?: string }[]}
+ */
+function parseTemplate(text) {
+  const placeholders = [];
+  for (const m of text.matchAll(PLACEHOLDER)) {
+    const line   = lineOf(text, m.index);
+    const where  = `line ${line}`;
+    const tokens = tokenize(m[1], where);
+
+    const ref = tokens.shift();
+    if (!ref || ref.type !== 'string' || ref.value === '') {
+      throw new Error(`${where}: expected {{ bws "KEY" }} or {{ bws "project/KEY" }}`);
+    }
+
+    const placeholder = { start: m.index, end: m.index + m[0].length, line, ref: ref.value, filters: [] };
+    while (tokens.length > 0) {
+      if (tokens.shift().type !== 'pipe') throw new Error(`${where}: expected '|' before a filter`);
+      const name = tokens.shift();
+      if (!name || name.type !== 'word') throw new Error(`${where}: expected a filter name after '|'`);
+      if (name.value === 'default') {
+        const arg = tokens.shift();
+        if (!arg || arg.type !== 'string') throw new Error(`${where}: default requires a "quoted" value`);
+        if ('fallback' in placeholder) throw new Error(`${where}: default given twice`);
+        placeholder.fallback = arg.value;
+      } else if (Object.hasOwn(FILTERS, name.value)) {
+        placeholder.filters.push(name.value);
+      } else {
+        throw new Error(`${where}: unknown filter '${name.value}' (expected ${[...Object.keys(FILTERS), 'default'].join(', ')})`);
+      }
+    }
+    placeholders.push(placeholder);
+  }
+  return placeholders;
+}
+
+/**
+ * Render the template, resolving each placeholder's ref through lookup().
+ * Every missing key without a default is collected and reported in a single
+ * error so one run shows everything that needs fixing.
+ */
+function renderTemplate(text, lookup) {
+  const placeholders = parseTemplate(text);
+  const missing      = [];
+  let out  = '';
+  let last = 0;
+  for (const p of placeholders) {
+    let value = lookup(p.ref) ?? p.fallback;
+    if (value === undefined) {
+      missing.push(`'${p.ref}' (line ${p.line})`);
+      value = '';
+    }
+    for (const f of p.filters) value = FILTERS[f](value);
+    out += text.slice(last, p.start) + value;
+    last = p.end;
+  }
+  if (missing.length > 0) throw new Error(`Secrets not found: ${missing.join(', ')}`);
+  return out + text.slice(last);
+}
+
+export { parseTemplate, renderTemplate };
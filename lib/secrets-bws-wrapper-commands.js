@@ -1,27 +1,63 @@
 /**
  * secrets-bws-wrapper-commands
  *
- * Responsibility: Implements injection parsing, secret fetching, environment
- * preparation, and server launch logic for the bws-mcp-wrapper CLI.
+ * Responsibility: Implements injection parsing, secret fetching and environment
+ * preparation for the bws-mcp-wrapper CLI. Launching and supervising the server
+ * lives in secrets-bws-supervisor.
  *
  * Public Interface:
  * secrets-bws-wrapper-commands
+ * ├── splitWrapperArgs(wrapperArgs: string[], onArg): string[]
  * ├── parseInjections(wrapperArgs: string[]): Injection[]   (throws on invalid input)
- * ├── fetchSecretsForKeys(keys: string[]): Promise<Record<string, string>>
- * ├── buildChildEnvAndArgs(injections, secretValues, baseEnv): {env, extraArgs}
- * └── launchServer(serverCmd: string[], env: object): void
+ * ├── fetchSecretsForKeys(keys: string[], optionalKeys?: string[]): Promise<Record<string, string>>
+ * ├── writeSecretFiles(injections, secretValues): {dir, paths} | null
+ * ├── removeSecretFiles(dir: string): void
+ * └── buildChildEnvAndArgs(injections, secretValues, baseEnv, filePaths?): {env, extraArgs}
  */
 
-import { spawn } from 'node:child_process';
-import { buildKeyIndex } from './secrets-bws-helpers.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import { createClient, getOrgId } from './secrets-bws-client.js';
-import { fetchAllSecrets } from './secrets-bws-commands.js';
+import { fetchAllSecrets, createKeyResolver } from './secrets-bws-commands.js';
+import { audited } from './secrets-bws-audit.js';
+
+const MODE_FLAGS = { '--env': 'env', '--arg': 'arg', '--file': 'file' };
+
+/**
+ * Walk the wrapper-side args for one group of wrapper flags (config,
+ * supervisor, redaction). Each --secret KEY MODE TARGET group is passed
+ * through whole, so a target such as `--arg --restart` is never mistaken for
+ * a flag; every other arg goes to onArg(arg, next), which returns how many
+ * args it consumed — 0 keeps the arg for the next parser.
+ * @param {string[]} wrapperArgs
+ * @param {(arg: string, next: string|undefined) => number} onArg
+ * @returns {string[]} The args left over
+ */
+function splitWrapperArgs(wrapperArgs, onArg) {
+  const rest = [];
+  let i = 0;
+  while (i < wrapperArgs.length) {
+    const arg = wrapperArgs[i];
+    if (arg === '--secret') {
+      rest.push(...wrapperArgs.slice(i, i + 4));
+      i += 4;
+      continue;
+    }
+    const used = onArg(arg, wrapperArgs[i + 1]);
+    if (used === 0) rest.push(arg);
+    i += Math.max(used, 1);
+  }
+  return rest;
+}
 
 /**
  * Parse wrapper-side args into an array of injection descriptors.
  * Throws on invalid input so callers can handle the error rather than hard-exiting.
+ * Config-file injections (see secrets-bws-wrapper-config) may also carry
+ * `optional` and `default`; CLI injections never do.
  * @param {string[]} wrapperArgs
- * @returns {{ bwsKey: string, mode: 'env'|'arg', target: string }[]}
+ * @returns {{ bwsKey: string, mode: 'env'|'arg'|'file', target: string, optional?: boolean, default?: string }[]}
  */
 function parseInjections(wrapperArgs) {
   const injections = [];
@@ -32,60 +68,130 @@ function parseInjections(wrapperArgs) {
       const modeFlag = wrapperArgs[i + 2];
       const target   = wrapperArgs[i + 3];
       if (!bwsKey || !modeFlag || !target) {
-        throw new Error('--secret requires a key followed by --env <VAR> or --arg <FLAG>');
+        throw new Error('--secret requires a key followed by --env <VAR>, --arg <FLAG> or --file <VAR_OR_FLAG>');
       }
-      if (modeFlag !== '--env' && modeFlag !== '--arg') {
-        throw new Error(`Expected --env or --arg after --secret, got: ${modeFlag}`);
+      if (!(modeFlag in MODE_FLAGS)) {
+        throw new Error(`Expected --env, --arg or --file after --secret, got: ${modeFlag}`);
       }
-      injections.push({ bwsKey, mode: modeFlag === '--env' ? 'env' : 'arg', target });
+      injections.push({ bwsKey, mode: MODE_FLAGS[modeFlag], target });
       i += 4;
     } else {
       throw new Error(`Unexpected argument: ${wrapperArgs[i]}`);
     }
   }
   if (injections.length === 0) {
-    throw new Error('No --secret injections specified. At least one --secret KEY (--env VAR | --arg FLAG) is required.');
+    throw new Error('No --secret injections specified. At least one --secret KEY (--env VAR | --arg FLAG | --file VAR_OR_FLAG) is required.');
   }
   return injections;
 }
 
 /**
  * Fetch secret values for the given keys from BWS.
- * Reuses fetchAllSecrets (single sync() call) and buildKeyIndex to avoid duplication.
- * Throws if any requested key is not found.
+ * Reuses fetchAllSecrets (single sync() call) and createKeyResolver, so keys
+ * may be bare or project-qualified ("project/KEY") exactly as on the CLI.
+ * Results are keyed by the reference as given. Throws if any requested key is
+ * not found, unless it is listed in optionalKeys — missing optional keys are
+ * simply absent from the result.
  * @param {string[]} keys
+ * @param {string[]} [optionalKeys]
  * @returns {Promise<Record<string, string>>}
  */
-async function fetchSecretsForKeys(keys) {
-  const orgId  = getOrgId();
-  const client = await createClient();
+async function fetchSecretsForKeys(keys, optionalKeys = []) {
+  return audited('inject', { keys }, async () => {
+    const orgId  = getOrgId();
+    // With BWS_CACHE_TTL set, servers started within the TTL share one sync
+    const client = await createClient({ readCache: true });
 
-  // fetchAllSecrets uses sync() — a single API call returning key + value + projectId
-  const all   = await fetchAllSecrets(client, orgId);
-  const index = buildKeyIndex(all);
+    // fetchAllSecrets uses sync() — a single API call returning key + value + projectId
+    const all         = await fetchAllSecrets(client, orgId);
+    const { resolve } = await createKeyResolver(client, orgId, all);
 
-  for (const key of keys) {
-    if (!(key in index)) {
-      throw new Error(`Secret '${key}' not found in Bitwarden SM`);
+    const result = {};
+    for (const ref of keys) {
+      const found = resolve(ref, { action: 'injecting' });
+      if (found.secret) {
+        result[ref] = found.secret.value;
+      } else if (!optionalKeys.includes(ref)) {
+        const where = found.project ? `project '${found.project}'` : 'Bitwarden SM';
+        throw new Error(`Secret '${found.key}' not found in ${where}`);
+      }
     }
+    return result;
+  }, r => ({ keys: Object.keys(r) }));
+}
+
+/**
+ * Directory for secret files: a tmpfs (/dev/shm) when available so values
+ * never reach persistent storage, otherwise the OS temp directory.
+ */
+function secretFileBaseDir() {
+  try {
+    fs.accessSync('/dev/shm', fs.constants.W_OK);
+    if (fs.statSync('/dev/shm').isDirectory()) return '/dev/shm';
+  } catch (_) {}
+  return os.tmpdir();
+}
+
+/**
+ * Write the value of every file-mode injection to its own 0600 file inside a
+ * fresh 0700 directory. Each key is written once even if injected twice;
+ * keys whose cleaned-up file names collide get distinct, numbered names.
+ * Returns null when there are no file-mode injections with a value.
+ * The caller owns cleanup via removeSecretFiles(dir).
+ * @returns {{ dir: string, paths: Record<string, string> } | null}
+ */
+function writeSecretFiles(injections, secretValues) {
+  const fileInjections = injections.filter(inj =>
+    inj.mode === 'file' && (secretValues[inj.bwsKey] ?? inj.default) !== undefined);
+  if (fileInjections.length === 0) return null;
+
+  const dir   = fs.mkdtempSync(path.join(secretFileBaseDir(), 'bws-mcp-wrapper-'));
+  const paths = {};
+  const names = new Set();
+  try {
+    for (const inj of fileInjections) {
+      if (Object.hasOwn(paths, inj.bwsKey)) continue;
+      // Keys such as a/b and a_b clean up to the same name — number the later ones
+      const base = inj.bwsKey.replace(/[^A-Za-z0-9._-]/g, '_');
+      let name   = base;
+      for (let n = 2; names.has(name); n++) name = `${base}-${n}`;
+      names.add(name);
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, secretValues[inj.bwsKey] ?? inj.default, { mode: 0o600, flag: 'wx' });
+      paths[inj.bwsKey] = file;
+    }
+  } catch (err) {
+    removeSecretFiles(dir);
+    throw err;
   }
+  return { dir, paths };
+}
 
-  const result = {};
-  for (const key of keys) result[key] = index[key].value;
-  return result;
+/**
+ * Delete a directory created by writeSecretFiles. Synchronous so it can run in
+ * process 'exit' handlers; never throws.
+ */
+function removeSecretFiles(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch (_) {}
 }
 
 /**
  * Build the child process environment and extra CLI arguments from the injections.
+ * A missing value falls back to the injection's default; an injection with
+ * neither a value nor a default is skipped (only possible for optional keys).
+ * File-mode injections pass the path from filePaths instead of the value — as a
+ * CLI flag when the target starts with '-', otherwise as an env var.
  * Pure function — no side effects.
  * @returns {{ env: object, extraArgs: string[] }}
  */
-function buildChildEnvAndArgs(injections, secretValues, baseEnv) {
+function buildChildEnvAndArgs(injections, secretValues, baseEnv, filePaths = {}) {
   const env       = { ...baseEnv };
   const extraArgs = [];
-  for (const { bwsKey, mode, target } of injections) {
-    const value = secretValues[bwsKey];
-    if (mode === 'env') {
+  for (const injection of injections) {
+    const { bwsKey, mode, target } = injection;
+    const value = mode === 'file' ? filePaths[bwsKey] : secretValues[bwsKey] ?? injection.default;
+    if (value === undefined) continue;
+    if (mode === 'env' || (mode === 'file' && !target.startsWith('-'))) {
       env[target] = value;
     } else {
       extraArgs.push(target, value);
@@ -94,32 +200,11 @@ function buildChildEnvAndArgs(injections, secretValues, baseEnv) {
   return { env, extraArgs };
 }
 
-/**
- * Spawn the server process and forward its exit code to the parent process.
- * @param {string[]} serverCmd  Full command array: [executable, ...args]
- * @param {object}   env        Environment variables for the child process
- */
-function launchServer(serverCmd, env) {
-  const [cmd, ...args] = serverCmd;
-  const child = spawn(cmd, args, {
-    env,
-    stdio: 'inherit',
-    shell: false,
-  });
-
-  child.on('error', err => {
-    console.error(`ERROR: Failed to launch '${cmd}':`, err.message);
-    process.exit(1);
-  });
-
-  child.on('close', code => {
-    process.exit(code ?? 0);
-  });
-}
-
 export {
+  splitWrapperArgs,
   parseInjections,
   fetchSecretsForKeys,
+  writeSecretFiles,
+  removeSecretFiles,
   buildChildEnvAndArgs,
-  launchServer,
 };
@@ -0,0 +1,195 @@
+/**
+ * secrets-bws-wrapper-config
+ *
+ * Responsibility: Loads and validates declarative bws-mcp-wrapper config files
+ * and merges their injections with any --secret flags given on the command line.
+ *
+ * Public Interface:
+ * secrets-bws-wrapper-config
+ * ├── extractConfigArgs(wrapperArgs: string[]): {configPath, serverName, rest}
+ * ├── injectionsFromConfig(config: object, serverName?: string): Injection[]   (throws on invalid input)
+ * ├── loadWrapperConfig(filePath: string, serverName?: string): Injection[]
+ * └── mergeInjections(configInjections, cliInjections): Injection[]
+ *
+ * Config file shape (JSON):
+ * {
+ *   "defaults": { "optional": false },
+ *   "secrets":  [ { "key": "SHARED_KEY", "env": "SHARED_VAR" } ],
+ *   "servers":  {
+ *     "postgres": { "secrets": [ { "key": "DB_URL", "arg": "--connection-string" },
+ *                                { "key": "DB_ROLE", "env": "PGROLE", "default": "readonly" },
+ *                                { "key": "DB_CA_PEM", "file": "--ssl-ca" } ] }
+ *   }
+ * }
+ * Top-level secrets apply to every server; a server's own secrets are added
+ * when it is selected with --server. "file" takes the same targets as the
+ * CLI's --file mode: a flag when it starts with '-', otherwise an env var.
+ */
+
+import fs from 'node:fs';
+import { splitWrapperArgs } from './secrets-bws-wrapper-commands.js';
+
+const MODES        = ['env', 'arg', 'file'];
+const ENTRY_FIELDS = ['key', 'optional', 'default', ...MODES];
+
+/**
+ * Split --config FILE and --server NAME out of the wrapper-side args, leaving
+ * the remaining --secret flags for parseInjections. --secret groups are passed
+ * through untouched (see splitWrapperArgs).
+ * Throws when either flag is missing its value (or is followed by another
+ * flag instead) or is repeated.
+ */
+function extractConfigArgs(wrapperArgs) {
+  let configPath = null;
+  let serverName = null;
+  const rest     = splitWrapperArgs(wrapperArgs, (arg, value) => {
+    if (arg !== '--config' && arg !== '--server') return 0;
+    if (!value || value.startsWith('--')) throw new Error(`${arg} requires a value`);
+    if (arg === '--config') {
+      if (configPath !== null) throw new Error('--config may only be given once');
+      configPath = value;
+    } else {
+      if (serverName !== null) throw new Error('--server may only be given once');
+      serverName = value;
+    }
+    return 2;
+  });
+  if (serverName !== null && configPath === null) {
+    throw new Error('--server requires --config');
+  }
+  return { configPath, serverName, rest };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Validate one secrets[] entry and convert it to an injection descriptor. */
+function toInjection(entry, defaults, where) {
+  if (!isPlainObject(entry)) throw new Error(`${where}: must be an object`);
+  for (const field of Object.keys(entry)) {
+    if (!ENTRY_FIELDS.includes(field)) throw new Error(`${where}: unknown field '${field}'`);
+  }
+  if (typeof entry.key !== 'string' || entry.key === '') {
+    throw new Error(`${where}: "key" must be a non-empty string`);
+  }
+  const modes = MODES.filter(m => Object.hasOwn(entry, m));
+  if (modes.length !== 1) {
+    throw new Error(`${where}: must set exactly one of ${MODES.map(m => `"${m}"`).join(', ')}`);
+  }
+  const mode   = modes[0];
+  const target = entry[mode];
+  if (typeof target !== 'string' || target === '') {
+    throw new Error(`${where}: "${mode}" must be a non-empty string`);
+  }
+  const optional = entry.optional ?? defaults.optional ?? false;
+  if (typeof optional !== 'boolean') throw new Error(`${where}: "optional" must be a boolean`);
+  if (Object.hasOwn(entry, 'default') && typeof entry.default !== 'string') {
+    throw new Error(`${where}: "default" must be a string`);
+  }
+
+  const injection = { bwsKey: entry.key, mode, target };
+  if (optional) injection.optional = true;
+  if (Object.hasOwn(entry, 'default')) injection.default = entry.default;
+  return injection;
+}
+
+function secretsList(list, defaults, where) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`${where}: must be an array`);
+  return list.map((entry, i) => toInjection(entry, defaults, `${where}[${i}]`));
+}
+
+/**
+ * Validate a parsed config object and return its injections for the given
+ * server (or only the top-level secrets when no server is named).
+ * Pure function — throws with a path to the offending field on invalid input.
+ */
+function injectionsFromConfig(config, serverName) {
+  if (!isPlainObject(config)) throw new Error('config must be a JSON object');
+  for (const field of Object.keys(config)) {
+    if (!['defaults', 'secrets', 'servers'].includes(field)) {
+      throw new Error(`config: unknown field '${field}'`);
+    }
+  }
+
+  const defaults = config.defaults ?? {};
+  if (!isPlainObject(defaults)) throw new Error('defaults: must be an object');
+  for (const field of Object.keys(defaults)) {
+    if (field !== 'optional') throw new Error(`defaults: unknown field '${field}'`);
+  }
+  if (Object.hasOwn(defaults, 'optional') && typeof defaults.optional !== 'boolean') {
+    throw new Error('defaults.optional: must be a boolean');
+  }
+
+  const injections = secretsList(config.secrets, defaults, 'secrets');
+
+  const servers = config.servers ?? {};
+  if (!isPlainObject(servers)) throw new Error('servers: must be an object');
+
+  if (serverName) {
+    if (!Object.hasOwn(servers, serverName)) {
+      const known = Object.keys(servers);
+      throw new Error(`Server '${serverName}' not found in config` +
+        (known.length > 0 ? ` (available: ${known.join(', ')})` : ''));
+    }
+    const server = servers[serverName];
+    const where  = `servers.${serverName}`;
+    if (!isPlainObject(server)) throw new Error(`${where}: must be an object`);
+    for (const field of Object.keys(server)) {
+      if (field !== 'secrets') throw new Error(`${where}: unknown field '${field}'`);
+    }
+    injections.push(...secretsList(server.secrets, defaults, `${where}.secrets`));
+  } else if (Object.keys(servers).length > 0 && injections.length === 0) {
+    throw new Error(`Config defines servers but no top-level secrets; select one with --server (available: ${Object.keys(servers).join(', ')})`);
+  }
+
+  return injections;
+}
+
+/**
+ * Read a wrapper config file from disk and return its injections.
+ * Errors are prefixed with the file path.
+ */
+function loadWrapperConfig(filePath, serverName) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read wrapper config '${filePath}': ${err.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Wrapper config '${filePath}' is not valid JSON: ${err.message}`);
+  }
+  try {
+    return injectionsFromConfig(config, serverName);
+  } catch (err) {
+    throw new Error(`Invalid wrapper config '${filePath}': ${err.message}`);
+  }
+}
+
+/**
+ * Merge config injections with CLI --secret injections. A CLI injection
+ * replaces any config injection with the same mode and target, so one-off
+ * overrides need no config edit. Config order is preserved; new CLI
+ * injections are appended.
+ */
+function mergeInjections(configInjections, cliInjections) {
+  const merged = [...configInjections];
+  for (const inj of cliInjections) {
+    const idx = merged.findIndex(m => m.mode === inj.mode && m.target === inj.target);
+    if (idx === -1) merged.push(inj);
+    else merged[idx] = inj;
+  }
+  return merged;
+}
+
+export {
+  extractConfigArgs,
+  injectionsFromConfig,
+  loadWrapperConfig,
+  mergeInjections,
+};
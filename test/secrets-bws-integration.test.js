@@ -37,7 +37,8 @@ if (SKIP) {
 function run(cli, args) {
   return execFileSync(process.execPath, [cli, ...args], {
     encoding: 'utf8',
-    env: process.env,
+    // Keep test runs out of the real ~/.secrets-bws/audit.jsonl
+    env: { ...process.env, BWS_AUDIT_LOG: 'off' },
   }).trim();
 }
 
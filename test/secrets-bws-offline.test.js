@@ -0,0 +1,1077 @@
+/**
+ * Offline end-to-end tests for secrets-bws and secrets-bws-mcp-wrapper.
+ *
+ * Runs both CLIs against the file-backed fake backend (BWS_BACKEND=file), so
+ * no Bitwarden credentials or network access are needed. Each run uses a
+ * fresh store in a private temp directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawn, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SECRETS_CLI = join(__dirname, '..', 'bin', 'secrets-bws.js');
+const WRAPPER_CLI = join(__dirname, '..', 'bin', 'secrets-bws-mcp-wrapper.js');
+
+const TMP_DIR    = fs.mkdtempSync(join(os.tmpdir(), 'secrets-bws-offline-'));
+const STORE_FILE = join(TMP_DIR, 'store.json');
+
+const ENV = {
+  ...process.env,
+  BWS_BACKEND:             'file',
+  BWS_BACKEND_FILE:        STORE_FILE,
+  BWS_AUDIT_LOG:           join(TMP_DIR, 'audit.jsonl'),
+  HAL_BWS_ORGANIZATION_ID: '00000000-0000-0000-0000-000000000001',
+};
+delete ENV.HAL_BWS_ACCESS_TOKEN;
+
+// ---------------------------------------------------------------------------
+// CLI runner
+// ---------------------------------------------------------------------------
+function run(cli, args) {
+  return execFileSync(process.execPath, [cli, ...args], {
+    encoding: 'utf8',
+    env: ENV,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  }).trim();
+}
+
+function secrets(args) { return run(SECRETS_CLI, args); }
+function wrapper(args) { return run(WRAPPER_CLI, args); }
+
+// Like secrets() but never throws — returns status, stdout and stderr
+function secretsResult(args, extraEnv = {}) {
+  return spawnSync(process.execPath, [SECRETS_CLI, ...args], { encoding: 'utf8', env: { ...ENV, ...extraEnv } });
+}
+
+// Like wrapper() but never throws — returns status, stdout and stderr
+function wrapperResult(args, extraEnv = {}) {
+  return spawnSync(process.execPath, [WRAPPER_CLI, ...args], { encoding: 'utf8', env: { ...ENV, ...extraEnv } });
+}
+
+// Start the wrapper in the background, resolving once the child prints 'ready'
+function wrapperReady(args) {
+  const proc = spawn(process.execPath, [WRAPPER_CLI, ...args], { env: ENV });
+  let stderr = '';
+  proc.stderr.on('data', chunk => { stderr += chunk; });
+  const done = new Promise(res => proc.on('close', (status, signal) => res({ status, signal, stderr })));
+  const ready = new Promise(res => proc.stdout.on('data', chunk => {
+    if (String(chunk).includes('ready')) res();
+  }));
+  return { proc, ready, done };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+after(() => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+describe('secrets-bws offline', () => {
+  it('list reports an empty store', () => {
+    assert.equal(secrets(['list']), '(no secrets found)');
+  });
+
+  it('set creates a secret and auto-creates its project', () => {
+    const out = secrets(['set', 'LMB_DB_URL', 'postgres://db', '--project', 'lmb']);
+    assert.match(out, /Created secret 'LMB_DB_URL'/);
+    assert.equal(secrets(['projects']), 'lmb');
+  });
+
+  it('store file is private', () => {
+    if (process.platform === 'win32') return;
+    assert.equal(fs.statSync(STORE_FILE).mode & 0o777, 0o600);
+  });
+
+  it('get returns the exact value', () => {
+    assert.equal(secrets(['get', 'LMB_DB_URL']), 'postgres://db');
+  });
+
+  it('set updates and preserves the project', () => {
+    assert.match(secrets(['set', 'LMB_DB_URL', 'postgres://db2']), /Updated secret/);
+    const data = JSON.parse(secrets(['list', '--json']));
+    assert.deepEqual(data.map(s => [s.key, s.project]), [['LMB_DB_URL', 'lmb']]);
+  });
+
+  it('move reassigns matching secrets', () => {
+    secrets(['set', 'LMB_API_KEY', 'k1']);
+    const out = secrets(['move', 'LMB_*', 'metrics']);
+    assert.match(out, /Moved 2 of 2 secrets to 'metrics'/);
+    assert.match(secrets(['list', '--project', 'metrics']), /LMB_API_KEY/);
+  });
+
+  it('projects delete leaves secrets unassigned', () => {
+    secrets(['projects', 'delete', 'metrics']);
+    const data = JSON.parse(secrets(['list', '--json']));
+    assert.ok(data.every(s => s.project === null));
+  });
+
+  it('run injects a project with prefix stripping and renames', () => {
+    secrets(['set', 'APP_DB_URL', 'db-url', '--project', 'app']);
+    secrets(['set', 'APP_TOKEN', 'tok', '--project', 'app']);
+    const out = secrets([
+      'run', '--project', 'app', '--prefix', 'APP_', '--map', 'APP_TOKEN=API_TOKEN',
+      '--', process.execPath, '-e', 'process.stdout.write(`${process.env.DB_URL}|${process.env.API_TOKEN}|${process.env.APP_DB_URL}`)',
+    ]);
+    assert.equal(out, 'db-url|tok|undefined');
+  });
+
+  it('run propagates the exit code and passes child options through', () => {
+    const result = spawnSync(process.execPath, [
+      SECRETS_CLI, 'run', '--pattern', 'APP_*', process.execPath, '-e', 'process.exit(process.env.APP_TOKEN === "tok" ? 5 : 1)',
+    ], { encoding: 'utf8', env: ENV });
+    assert.equal(result.status, 5);
+    assert.match(result.stderr, /Command exited with code 5/);
+  });
+
+  it('export writes a private file that import reads back', () => {
+    const out = join(TMP_DIR, 'app.env');
+    secrets(['export', '--project', 'app', '--out', out]);
+    if (process.platform !== 'win32') assert.equal(fs.statSync(out).mode & 0o777, 0o600);
+    assert.equal(fs.readFileSync(out, 'utf8'), 'APP_DB_URL="db-url"\nAPP_TOKEN="tok"\n');
+  });
+
+  it('export prints json to stdout', () => {
+    assert.deepEqual(JSON.parse(secrets(['export', '--pattern', 'APP_*', '--format', 'json'])), {
+      APP_DB_URL: 'db-url',
+      APP_TOKEN:  'tok',
+    });
+  });
+
+  it('import dry-run reports without writing', () => {
+    const file = join(TMP_DIR, 'import.yaml');
+    fs.writeFileSync(file, 'APP_TOKEN: new-tok\nNEW_KEY: |\n  multi\n  line\n');
+    const out = secrets(['import', file, '--project', 'imported', '--on-conflict', 'overwrite', '--dry-run']);
+    assert.match(out, /\+ project 'imported'/);
+    assert.match(out, /\+ secret 'APP_TOKEN' in 'imported'/);
+    assert.match(out, /3 change\(s\)/);
+    assert.match(secrets(['--dry-run', 'import', file, '--on-conflict', 'overwrite']), /~ secret 'APP_TOKEN' in 'app' \(value\)/);
+    const last = JSON.parse(secrets(['audit', '--json'])).at(-1);
+    assert.deepEqual([last.op, last.dryRun, last.outcome], ['import', true, 'ok']);
+    assert.deepEqual(last.keys.sort(), ['APP_TOKEN', 'NEW_KEY']);
+    assert.throws(() => secrets(['get', 'NEW_KEY']), /not found/);
+  });
+
+  it('import creates, skips and overwrites', () => {
+    const file = join(TMP_DIR, 'import.yaml');
+    assert.match(secrets(['import', file]), /1 created, 0 updated, 1 skipped/);
+    assert.equal(secrets(['get', 'NEW_KEY']), 'multi\nline');
+    assert.match(secrets(['import', file, '--on-conflict', 'overwrite']), /0 created, 2 updated, 0 skipped/);
+    assert.equal(secrets(['get', 'APP_TOKEN']), 'new-tok');
+    assert.throws(() => secrets(['import', file, '--on-conflict', 'fail']), /Import aborted: 2 key\(s\) already exist/);
+    secrets(['delete', 'NEW_KEY']);
+  });
+
+  it('import --project only conflicts with keys in that project', () => {
+    const file = join(TMP_DIR, 'import-scoped.env');
+    fs.writeFileSync(file, 'APP_TOKEN=scoped-tok\n');
+    assert.match(secrets(['import', file, '--project', 'scoped', '--on-conflict', 'overwrite']), /1 created, 0 updated, 0 skipped/);
+    assert.equal(secrets(['get', 'scoped/APP_TOKEN']), 'scoped-tok');
+    assert.equal(secrets(['get', 'app/APP_TOKEN']), 'new-tok');
+    assert.match(secrets(['import', file, '--project', 'scoped']), /0 created, 0 updated, 1 skipped/);
+    secrets(['delete', 'scoped/APP_TOKEN']);
+    secrets(['projects', 'delete', 'scoped']);
+  });
+
+  it('render writes a private file from one sync', () => {
+    const tmpl = join(TMP_DIR, 'pgbouncer.ini.tmpl');
+    const out  = join(TMP_DIR, 'pgbouncer.ini');
+    fs.writeFileSync(tmpl, 'url={{ bws "app/APP_DB_URL" }}\nkey={{ bws "MISSING" | default "none" }}\n');
+    secrets(['render', tmpl, '-o', out]);
+    assert.equal(fs.readFileSync(out, 'utf8'), 'url=db-url\nkey=none\n');
+    if (process.platform !== 'win32') assert.equal(fs.statSync(out).mode & 0o777, 0o600);
+  });
+
+  it('render fails on a missing key without a default', () => {
+    const tmpl = join(TMP_DIR, 'bad.tmpl');
+    fs.writeFileSync(tmpl, 'x={{ bws "MISSING" }}');
+    assert.throws(() => secrets(['render', tmpl]), /Secrets not found: 'MISSING' \(line 1\)/);
+  });
+
+  it('delete removes the secret', () => {
+    assert.match(secrets(['delete', 'LMB_API_KEY']), /Deleted secret/);
+    assert.throws(() => secrets(['get', 'LMB_API_KEY']), /not found/);
+  });
+});
+
+describe('project-qualified keys', () => {
+  before(() => {
+    secrets(['set', 'DUP_KEY', 'stage-value', '--project', 'stage']);
+  });
+
+  it('set with a qualified key creates its project and a separate secret there', () => {
+    const result = secretsResult(['set', 'prod/DUP_KEY', 'prod-value']);
+    assert.match(result.stdout, /Created secret 'prod\/DUP_KEY'/);
+    assert.match(result.stderr, /Created project 'prod'/);
+    assert.equal(secrets(['get', 'stage/DUP_KEY']), 'stage-value');
+    assert.equal(secrets(['get', 'DUP_KEY', '--project', 'prod']), 'prod-value');
+  });
+
+  it('set with a qualified key updates only that project', () => {
+    assert.match(secrets(['set', 'prod/DUP_KEY', 'prod-2']), /Updated secret 'prod\/DUP_KEY'/);
+    assert.equal(secrets(['get', 'prod/DUP_KEY']), 'prod-2');
+    assert.equal(secrets(['get', 'stage/DUP_KEY']), 'stage-value');
+  });
+
+  it('a bare ambiguous key warns with the candidate projects', () => {
+    const result = secretsResult(['get', 'DUP_KEY']);
+    assert.equal(result.status, 0);
+    assert.match(result.stderr, /WARN: 2 secrets named 'DUP_KEY' found in projects stage, prod/);
+  });
+
+  it('strict mode rejects ambiguous bare keys', () => {
+    for (const result of [secretsResult(['--strict', 'get', 'DUP_KEY']), secretsResult(['delete', 'DUP_KEY'], { BWS_STRICT_KEYS: '1' })]) {
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /ERROR: Secret 'DUP_KEY' is ambiguous — it exists in projects: stage, prod/);
+    }
+    assert.equal(secrets(['--strict', 'get', 'prod/DUP_KEY']), 'prod-2');
+  });
+
+  it('rejects a qualified key that conflicts with --project', () => {
+    assert.throws(() => secrets(['get', 'stage/DUP_KEY', '--project', 'prod']), /names project 'stage' but --project is 'prod'/);
+    assert.throws(() => secrets(['get', 'DUP_KEY', '--project', 'nope']), /Project 'nope' not found/);
+  });
+
+  it('wrapper injects a project-qualified key', () => {
+    const out = wrapper([
+      '--secret', 'stage/DUP_KEY', '--env', 'V',
+      '--', process.execPath, '-e', 'process.stdout.write(process.env.V)',
+    ]);
+    assert.equal(out, 'stage-value');
+  });
+
+  it('a move that fails its checks creates no target project', () => {
+    assert.throws(() => secrets(['move', 'NO_SUCH_*', 'move-target']), /No secrets found matching 'NO_SUCH_\*'/);
+    assert.throws(() => secrets(['move', 'DUP_*', 'move-target', '--from', 'nope']), /Project 'nope' not found/);
+    assert.throws(() => secrets(['--strict', 'move', 'DUP_*', 'move-target']), /more than one project: DUP_KEY/);
+    assert.doesNotMatch(secrets(['projects']), /^move-target$/m);
+  });
+
+  it('move --from only moves secrets from that project', () => {
+    assert.match(secrets(['move', 'DUP_*', 'archive', '--from', 'stage']), /Moved 'DUP_KEY' -> 'archive'/);
+    assert.equal(secrets(['get', 'archive/DUP_KEY']), 'stage-value');
+    assert.equal(secrets(['get', 'prod/DUP_KEY']), 'prod-2');
+  });
+
+  it('delete with a qualified key removes only that secret', () => {
+    secrets(['delete', 'archive/DUP_KEY']);
+    assert.throws(() => secrets(['get', 'archive/DUP_KEY']), /Secret 'DUP_KEY' not found in project 'archive'/);
+    assert.equal(secrets(['get', 'DUP_KEY']), 'prod-2');
+    secrets(['delete', 'DUP_KEY']);
+  });
+
+  it('set --project moves a key that exists once elsewhere instead of duplicating it', () => {
+    secrets(['set', 'MOVE_KEY', 'v1', '--project', 'stage']);
+    assert.match(secrets(['set', 'MOVE_KEY', 'v2', '--project', 'prod']), /Updated secret 'MOVE_KEY' in 'prod' \(moved from 'stage'\)/);
+    assert.equal(secrets(['get', 'prod/MOVE_KEY']), 'v2');
+    assert.throws(() => secrets(['get', 'stage/MOVE_KEY']), /not found in project 'stage'/);
+
+    secrets(['set', 'stage/MOVE_KEY', 'v3']);
+    assert.throws(() => secrets(['set', 'MOVE_KEY', 'v4', '--project', 'archive']),
+      /Secret 'MOVE_KEY' is not in project 'archive' but exists in projects .*use 'move'/);
+    secrets(['delete', 'stage/MOVE_KEY']);
+    secrets(['delete', 'prod/MOVE_KEY']);
+  });
+
+  it('never creates a key that contains a slash', () => {
+    assert.throws(() => secrets(['set', 'a/b/SLASH_KEY', 'v']), /Invalid key 'a\/b\/SLASH_KEY' — a new key cannot contain '\/'/);
+    assert.throws(() => secrets(['set', 'team/SLASH_KEY', 'v', '--project', 'prod']), /a new key cannot contain '\/'/);
+    assert.doesNotMatch(secrets(['list']), /SLASH_KEY/);
+  });
+});
+
+describe('sync cache', () => {
+  const CACHE_ENV = { HAL_BWS_ACCESS_TOKEN: 'offline-test-token', BWS_CACHE_TTL: '300', TMPDIR: TMP_DIR };
+  const BROKEN    = { BWS_BACKEND_FILE: join(TMP_DIR, 'broken.json') };
+  const cacheFile = () => fs.readdirSync(TMP_DIR).find(f => f.startsWith('.secrets-bws-cache-'));
+
+  before(() => {
+    fs.writeFileSync(BROKEN.BWS_BACKEND_FILE, 'not json');
+    secrets(['set', 'CACHED_KEY', 'cached-value']);
+  });
+
+  it('writes an encrypted private cache on first read', () => {
+    assert.equal(secretsResult(['get', 'CACHED_KEY'], CACHE_ENV).stdout, 'cached-value');
+    const file = join(TMP_DIR, cacheFile());
+    if (process.platform !== 'win32') assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /cached-value|CACHED_KEY/);
+  });
+
+  it('serves reads within the TTL without touching the backend', () => {
+    const result = secretsResult(['get', 'CACHED_KEY'], { ...CACHE_ENV, ...BROKEN });
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, 'cached-value');
+  });
+
+  it('--no-cache always goes to the backend', () => {
+    const result = secretsResult(['--no-cache', 'get', 'CACHED_KEY'], { ...CACHE_ENV, ...BROKEN });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /not valid JSON/);
+  });
+
+  it('serves an expired cache on backend failure only in serve-stale mode', () => {
+    const expired = { ...CACHE_ENV, ...BROKEN, BWS_CACHE_TTL: '0.001' };
+    assert.equal(secretsResult(['get', 'CACHED_KEY'], expired).status, 1);
+    const result = secretsResult(['get', 'CACHED_KEY'], { ...expired, BWS_CACHE_SERVE_STALE: '1' });
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, 'cached-value');
+    assert.match(result.stderr, /WARN: Backend unavailable .* using cached secrets from \d+s ago/);
+  });
+
+  it('wrapper reads through the cache', () => {
+    const result = wrapperResult([
+      '--secret', 'CACHED_KEY', '--env', 'V', '--', process.execPath, '-e', 'process.stdout.write(process.env.V)',
+    ], { ...CACHE_ENV, ...BROKEN });
+    assert.equal(result.stdout, 'cached-value');
+  });
+
+  it('sync updates the local store and --full rebuilds it', () => {
+    const storeEnv = { ...CACHE_ENV, BWS_CACHE_TTL: '', BWS_LOCAL_STORE: '1' };
+    assert.match(secretsResult(['sync'], storeEnv).stdout, /Synced \d+ secret\(s\)/);
+    assert.match(secretsResult(['sync', '--full'], storeEnv).stdout, /\(full resync\)/);
+    const result = secretsResult(['sync'], ENV);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /sync requires the local store/);
+  });
+
+  it('writes invalidate the cache and cache clear removes it', () => {
+    assert.equal(secretsResult(['set', 'CACHED_KEY', 'new-value'], CACHE_ENV).status, 0);
+    assert.equal(cacheFile(), undefined);
+    assert.equal(secretsResult(['get', 'CACHED_KEY'], CACHE_ENV).stdout, 'new-value');
+    assert.match(secretsResult(['cache', 'clear'], CACHE_ENV).stdout, /Cleared secrets cache/);
+    assert.equal(cacheFile(), undefined);
+    secrets(['delete', 'CACHED_KEY']);
+  });
+});
+
+describe('secrets agent', { skip: process.platform === 'win32' }, () => {
+  const AGENT_ENV = { BWS_AGENT_SOCKET: join(TMP_DIR, 'agent', 'agent.sock') };
+  const BROKEN    = { ...AGENT_ENV, BWS_BACKEND_FILE: join(TMP_DIR, 'broken.json') };
+
+  before(() => {
+    fs.writeFileSync(BROKEN.BWS_BACKEND_FILE, 'not json');
+    secrets(['set', 'AGENT_KEY', 'agent-value']);
+  });
+
+  // Never leave a background agent behind, even when a test fails
+  after(() => secretsResult(['agent', 'stop'], AGENT_ENV));
+
+  it('starts in the background on a private socket', () => {
+    const result = secretsResult(['agent', 'start'], AGENT_ENV);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Agent started \(pid \d+\)/);
+    assert.equal(fs.statSync(AGENT_ENV.BWS_AGENT_SOCKET).mode & 0o777, 0o600);
+    assert.match(secretsResult(['agent', 'start'], AGENT_ENV).stderr, /already running/);
+  });
+
+  it('CLI and wrapper use the agent when it is running', () => {
+    assert.equal(secretsResult(['get', 'AGENT_KEY'], BROKEN).stdout, 'agent-value');
+    const out = wrapperResult([
+      '--secret', 'AGENT_KEY', '--env', 'V', '--', process.execPath, '-e', 'process.stdout.write(process.env.V)',
+    ], BROKEN);
+    assert.equal(out.stdout, 'agent-value');
+    assert.equal(secretsResult(['--no-agent', 'get', 'AGENT_KEY'], BROKEN).status, 1);
+  });
+
+  it('status reports the agent', () => {
+    const out = secretsResult(['agent', 'status'], AGENT_ENV).stdout;
+    assert.match(out, /Agent running/);
+    assert.match(out, /Secrets: +\d+ \(synced/);
+  });
+
+  it('stops and falls back to direct access', () => {
+    assert.match(secretsResult(['agent', 'stop'], AGENT_ENV).stdout, /Agent stopped/);
+    assert.equal(fs.existsSync(AGENT_ENV.BWS_AGENT_SOCKET), false);
+    assert.match(secretsResult(['agent', 'status'], AGENT_ENV).stderr, /Agent is not running/);
+    assert.equal(secretsResult(['get', 'AGENT_KEY'], AGENT_ENV).stdout, 'agent-value');
+    secrets(['delete', 'AGENT_KEY']);
+  });
+});
+
+describe('secrets-bws mcp', () => {
+  // Send one JSON-RPC request per line and return the responses by id
+  function mcp(requests, args = []) {
+    const input  = requests.map((r, i) => JSON.stringify({ jsonrpc: '2.0', id: i + 1, ...r }) + '\n').join('');
+    const result = spawnSync(process.execPath, [SECRETS_CLI, 'mcp', ...args], { encoding: 'utf8', env: ENV, input, timeout: 30_000 });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout.trim().split('\n').map(line => JSON.parse(line));
+  }
+  const tool = (name, args = {}) => ({ method: 'tools/call', params: { name, arguments: args } });
+
+  it('manages secrets through tools with structured results', () => {
+    const [init, set, list, move, del] = mcp([
+      { method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test' } } },
+      tool('set_secret', { key: 'MCP_KEY', value: 'mcp-value', project: 'mcp' }),
+      tool('list_secrets', { project: 'mcp' }),
+      tool('move_secrets', { pattern: 'MCP_*', project: 'mcp-archive' }),
+      tool('delete_secret', { key: 'mcp-archive/MCP_KEY' }),
+    ]);
+    assert.equal(init.result.serverInfo.name, 'secrets-bws');
+    assert.deepEqual(set.result.structuredContent, { action: 'created', key: 'MCP_KEY', project: 'mcp', createdProject: 'mcp' });
+    assert.deepEqual(list.result.structuredContent.secrets.map(s => [s.key, s.project]), [['MCP_KEY', 'mcp']]);
+    assert.deepEqual(move.result.structuredContent, {
+      project: 'mcp-archive', moved: [{ key: 'MCP_KEY', from: 'mcp' }], failed: [], duplicates: [], createdProject: 'mcp-archive',
+    });
+    assert.deepEqual(del.result.structuredContent, { key: 'MCP_KEY', project: 'mcp-archive' });
+  });
+
+  it('never exposes values without an allowlist', () => {
+    secrets(['set', 'MCP_READ', 'readable', '--project', 'mcp']);
+    const [list, get] = mcp([{ method: 'tools/list' }, tool('get_secret', { key: 'MCP_READ' })]);
+    assert.equal(list.result.tools.some(t => t.name === 'get_secret'), false);
+    assert.match(get.error.message, /Unknown tool 'get_secret'/);
+  });
+
+  it('reads values only for allowlisted keys', () => {
+    secrets(['set', 'MCP_HIDDEN', 'hidden', '--project', 'mcp']);
+    const [allowed, denied] = mcp(
+      [tool('get_secret', { key: 'MCP_READ' }), tool('get_secret', { key: 'MCP_HIDDEN' })],
+      ['--allow-read', 'mcp/MCP_READ'],
+    );
+    assert.deepEqual(allowed.result.structuredContent, { key: 'MCP_READ', project: 'mcp', value: 'readable' });
+    assert.equal(denied.result.isError, true);
+    assert.doesNotMatch(JSON.stringify(denied), /hidden"/);
+  });
+
+  it('manages projects', () => {
+    const [created, projects, deleted] = mcp([
+      tool('create_project', { name: 'mcp-empty' }),
+      tool('list_projects'),
+      tool('delete_project', { name: 'mcp' }),
+    ]);
+    assert.equal(created.result.structuredContent.name, 'mcp-empty');
+    assert.ok(projects.result.structuredContent.projects.includes('mcp-empty'));
+    assert.deepEqual(deleted.result.structuredContent.unassigned.sort(), ['MCP_HIDDEN', 'MCP_READ']);
+    secrets(['delete', 'MCP_HIDDEN']);
+    secrets(['delete', 'MCP_READ']);
+  });
+});
+
+describe('pattern delete', () => {
+  before(() => {
+    for (const key of ['RETIRED_A', 'RETIRED_B']) secrets(['set', key, 'v', '--project', 'retired']);
+    secrets(['set', 'RETIRED_KEEP', 'v']);
+  });
+
+  it('refuses without a terminal or --yes and deletes nothing', () => {
+    const result = secretsResult(['delete', 'RETIRED_*', '--project', 'retired']);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Secrets matching 'RETIRED_\*':\n  RETIRED_A  retired\n  RETIRED_B  retired/);
+    assert.match(result.stderr, /Refusing to delete 2 secret\(s\) without confirmation — pass --yes/);
+    assert.equal(secrets(['get', 'RETIRED_A']), 'v');
+  });
+
+  it('deletes every match with --yes', () => {
+    const out = secrets(['delete', 'retired/RETIRED_*', '--yes']);
+    assert.match(out, /Deleted secret 'RETIRED_A'\nDeleted secret 'RETIRED_B'\n\nDeleted 2 of 2 secrets/);
+    assert.throws(() => secrets(['get', 'RETIRED_A']), /not found/);
+    assert.equal(secrets(['get', 'RETIRED_KEEP']), 'v');
+    secrets(['delete', 'RETIRED_KEEP']);
+  });
+});
+
+describe('rename and copy', () => {
+  before(() => {
+    secrets(['set', 'REN_A', 'a', '--project', 'ren', '--note', 'first']);
+    secrets(['set', 'REN_B', 'b']);
+  });
+
+  it('previews a pattern rename without changing anything', () => {
+    assert.equal(secrets(['--dry-run', 'rename', 'REN_*', 'RENX_*']), [
+      'Dry run — nothing was changed. Plan:',
+      "  ~ secret 'RENX_A' in 'ren' (key), renamed from 'REN_A'",
+      "  ~ secret 'RENX_B' (key), renamed from 'REN_B'",
+      '2 change(s)',
+    ].join('\n'));
+    assert.equal(secrets(['get', 'REN_A']), 'a');
+  });
+
+  it('renames matching secrets keeping value, note and project', () => {
+    const out = secrets(['rename', 'REN_*', 'RENX_*']);
+    assert.match(out, /Renamed 'REN_A' -> 'RENX_A' in 'ren'/);
+    assert.match(out, /Renamed 2 of 2 secrets/);
+    const a = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')).secrets.find(s => s.key === 'RENX_A');
+    assert.equal(a.note, 'first');
+    assert.equal(secrets(['get', 'ren/RENX_A']), 'a');
+    assert.equal(secrets(['get', 'RENX_B']), 'b');
+    assert.throws(() => secrets(['get', 'REN_B']), /not found/);
+  });
+
+  it('copies into another project and refuses to overwrite without --force', () => {
+    assert.match(secrets(['copy', 'ren/RENX_A', 'COPY_A', '--to-project', 'ren-copy']), /Copied 'RENX_A' -> 'COPY_A' in 'ren-copy'/);
+    assert.equal(secrets(['get', 'ren-copy/COPY_A']), 'a');
+    assert.equal(secrets(['get', 'ren/RENX_A']), 'a');
+
+    const clash = secretsResult(['copy', 'RENX_B', 'COPY_A', '--to-project', 'ren-copy']);
+    assert.equal(clash.status, 1);
+    assert.match(clash.stderr, /already exist: COPY_A in 'ren-copy' — pass --force/);
+    secrets(['copy', 'RENX_B', 'COPY_A', '--to-project', 'ren-copy', '--force']);
+    assert.equal(secrets(['get', 'ren-copy/COPY_A']), 'b');
+  });
+
+  it('rename --force replaces the existing secret', () => {
+    secrets(['set', 'RENX_C', 'c', '--project', 'ren']);
+    assert.equal(secretsResult(['rename', 'ren/RENX_C', 'RENX_A']).status, 1);
+    secrets(['rename', 'ren/RENX_C', 'RENX_A', '--force']);
+    assert.equal(secrets(['get', 'ren/RENX_A']), 'c');
+    assert.throws(() => secrets(['get', 'RENX_C']), /not found/);
+    secrets(['delete', 'ren/RENX_A']);
+    secrets(['delete', 'RENX_B']);
+    secrets(['delete', 'ren-copy/COPY_A']);
+    secrets(['projects', 'delete', 'ren']);
+    secrets(['projects', 'delete', 'ren-copy']);
+  });
+});
+
+describe('promote', () => {
+  before(() => {
+    secrets(['set', 'STAGING_DB', 'same', '--project', 'promo-staging']);
+    secrets(['set', 'STAGING_API', 'new-api', '--project', 'promo-staging']);
+    secrets(['set', 'STAGING_NEW', 'fresh', '--project', 'promo-staging', '--note', 'added in staging']);
+    secrets(['set', 'PROD_DB', 'same', '--project', 'promo-prod']);
+    secrets(['set', 'PROD_API', 'old-api', '--project', 'promo-prod', '--note', 'prod note']);
+  });
+
+  const args = ['promote', '--from', 'promo-staging', '--to', 'promo-prod', '--map', 'STAGING_*=PROD_*'];
+
+  it('shows the comparison without values and refuses to copy unconfirmed', () => {
+    const result = secretsResult(args);
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, [
+      "'promo-staging' -> 'promo-prod':",
+      '  missing         STAGING_NEW -> PROD_NEW',
+      '  different       STAGING_API -> PROD_API',
+      '  identical       STAGING_DB  -> PROD_DB',
+      "1 missing, 1 different, 1 identical, 0 only in 'promo-prod'",
+      '',
+    ].join('\n'));
+    assert.doesNotMatch(result.stdout, /same|new-api|fresh/);
+    assert.match(result.stderr, /Refusing to promote 2 secret\(s\) without confirmation — pass --yes/);
+    assert.equal(secrets(['get', 'promo-prod/PROD_API']), 'old-api');
+  });
+
+  it('copies missing and different values with --yes, keeping target notes', () => {
+    const out = secrets([...args, '--yes']);
+    assert.match(out, /Copied 'STAGING_NEW' -> 'PROD_NEW' in 'promo-prod'/);
+    assert.match(out, /Copied 2 of 2 secrets/);
+    assert.equal(secrets(['get', 'promo-prod/PROD_API']), 'new-api');
+    assert.equal(secrets(['get', 'promo-prod/PROD_NEW']), 'fresh');
+    const notes = Object.fromEntries(JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')).secrets.map(s => [s.key, s.note]));
+    assert.equal(notes.PROD_API, 'prod note');
+    assert.equal(notes.PROD_NEW, 'added in staging');
+
+    assert.match(secrets(args), /Nothing to promote — 'promo-prod' already has every value/);
+    for (const key of ['STAGING_DB', 'STAGING_API', 'STAGING_NEW']) secrets(['delete', `promo-staging/${key}`]);
+    for (const key of ['PROD_DB', 'PROD_API', 'PROD_NEW']) secrets(['delete', `promo-prod/${key}`]);
+    secrets(['projects', 'delete', 'promo-staging']);
+    secrets(['projects', 'delete', 'promo-prod']);
+  });
+});
+
+describe('doctor', () => {
+  const config = join(TMP_DIR, 'doctor.json');
+
+  it('prints findings and fails on errors', () => {
+    secrets(['set', 'DOC_EMPTY', '', '--project', 'doc']);
+    const result = secretsResult(['doctor']);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /^ERROR  empty-value +Secret 'DOC_EMPTY' in 'doc' has an empty value$/m);
+    assert.match(result.stderr, /ERROR: doctor found \d+ error\(s\)/);
+  });
+
+  it('follows the config file and prints JSON', () => {
+    fs.writeFileSync(config, JSON.stringify({ rules: { 'empty-value': 'warn' } }));
+    const { findings } = JSON.parse(secrets(['doctor', '--config', config, '--json']));
+    assert.deepEqual(findings.find(f => f.key === 'DOC_EMPTY'), {
+      rule: 'empty-value', severity: 'warn', message: "Secret 'DOC_EMPTY' in 'doc' has an empty value", key: 'DOC_EMPTY', project: 'doc',
+    });
+    assert.match(secrets(['doctor', '--config', config, '--list-rules']), /^empty-value +warn /m);
+
+    fs.writeFileSync(config, JSON.stringify({ rules: { 'no-such-rule': 'off' } }));
+    assert.match(secretsResult(['doctor', '--config', config]).stderr, /Invalid doctor config '.*doctor\.json': Unknown rule 'no-such-rule'/);
+    secrets(['delete', 'doc/DOC_EMPTY']);
+    secrets(['projects', 'delete', 'doc']);
+  });
+});
+
+describe('note metadata', () => {
+  const inTenDays = new Date(Date.now() + 10 * 86_400_000).toISOString().slice(0, 10);
+
+  before(() => {
+    secrets(['set', 'META_DB', 'db', '--project', 'meta', '--note', 'Primary database']);
+    secrets(['set', 'META_OLD', 'old', '--project', 'meta']);
+    secrets(['set', 'META_LATER', 'later', '--project', 'meta']);
+  });
+
+  it('meta set adds tags, owner and expiry above the existing note', () => {
+    assert.equal(secrets(['meta', 'set', 'meta/META_DB', '--tag', 'db', '--tag', 'payments', '--owner', 'team-x', '--expires', inTenDays]),
+      `Updated metadata of 'META_DB' in 'meta': tags db, payments; owner team-x; expires ${inTenDays}`);
+    secrets(['meta', 'set', 'META_OLD', '--expires', '2000-01-01', '--owner', 'team-y']);
+    secrets(['meta', 'set', 'META_LATER', '--expires', '2999-01-01']);
+
+    // set --note replaces the free text only
+    secrets(['set', 'META_DB', 'db2', '--note', 'Primary database (v2)']);
+    const note = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')).secrets.find(s => s.key === 'META_DB').note;
+    assert.equal(note, `tags: db, payments\nowner: team-x\nexpires: ${inTenDays}\n---\nPrimary database (v2)`);
+  });
+
+  it('list filters by tag and owner and shows the note columns', () => {
+    const data = JSON.parse(secrets(['list', '--tag', 'db', '--json']));
+    assert.deepEqual(data.map(({ id, ...s }) => s), [{
+      key: 'META_DB', project: 'meta', tags: ['db', 'payments'], owner: 'team-x', expires: inTenDays, note: 'Primary database (v2)',
+    }]);
+    assert.deepEqual(JSON.parse(secrets(['list', '--owner', 'team-y', '--json'])).map(s => s.key), ['META_OLD']);
+    assert.match(secrets(['list', '--project', 'meta']),
+      new RegExp(`^META_DB +meta +db,payments +team-x +${inTenDays} +Primary database \\(v2\\)$`, 'm'));
+  });
+
+  it('expiring reports passed and upcoming expiry dates', () => {
+    const out = secrets(['expiring', '--within', '30d']);
+    assert.match(out, /^2000-01-01  META_OLD +meta +team-y +expired$/m);
+    assert.match(out, new RegExp(`^${inTenDays}  META_DB +meta +team-x +in (9|10) day\\(s\\)$`, 'm'));
+    assert.doesNotMatch(out, /META_LATER/);
+    assert.deepEqual(JSON.parse(secrets(['expiring', '--within', '1d', '--json'])).map(d => [d.key, d.expired]), [['META_OLD', true]]);
+    for (const key of ['META_DB', 'META_OLD', 'META_LATER']) secrets(['delete', `meta/${key}`]);
+    secrets(['projects', 'delete', 'meta']);
+  });
+});
+
+describe('dry run', () => {
+  before(() => {
+    secrets(['set', 'DRY_A', 'a', '--project', 'dry']);
+    secrets(['set', 'DRY_B', 'b']);
+  });
+
+  it('prints the plan for set, including implicit project creation, and writes nothing', () => {
+    const out = secrets(['--dry-run', 'set', 'DRY_C', 'c', '--project', 'dry-new']);
+    assert.equal(out, [
+      'Dry run — nothing was changed. Plan:',
+      "  + project 'dry-new'",
+      "  + secret 'DRY_C' in 'dry-new'",
+      '2 change(s)',
+    ].join('\n'));
+    assert.throws(() => secrets(['get', 'DRY_C']), /not found/);
+    assert.doesNotMatch(secrets(['projects']), /dry-new/);
+  });
+
+  it('prints move and delete plans as JSON', () => {
+    const move = JSON.parse(secrets(['--dry-run', '--json', 'move', 'DRY_*', 'dry']));
+    assert.deepEqual(move, { dryRun: true, changes: [{ action: 'move', key: 'DRY_B', from: null, to: 'dry' }] });
+    const del = JSON.parse(secrets(['--dry-run', '--json', 'delete', 'DRY_*']));
+    assert.deepEqual(del.changes.map(c => [c.action, c.key, c.project]), [['delete', 'DRY_A', 'dry'], ['delete', 'DRY_B', null]]);
+    assert.equal(secrets(['get', 'DRY_B']), 'b');
+  });
+
+  it('previews project deletion and marks dry runs in the audit log', () => {
+    const out = secrets(['--dry-run', 'projects', 'delete', 'dry']);
+    assert.match(out, /- project 'dry' \(1 secret\(s\) become unassigned: DRY_A\)/);
+    assert.match(secrets(['projects']), /^dry$/m);
+    const last = JSON.parse(secrets(['audit', '--json'])).at(-1);
+    assert.equal(last.op, 'project-delete');
+    assert.equal(last.dryRun, true);
+    secrets(['delete', 'DRY_A']);
+    secrets(['delete', 'DRY_B']);
+  });
+});
+
+describe('generate', () => {
+  it('stores a generated value without printing it', () => {
+    const out = secrets(['generate', 'GEN_PASSWORD', '--project', 'gen', '--length', '24']);
+    assert.equal(out, "Created secret 'GEN_PASSWORD' in 'gen' with a generated value: 24 alnum characters (142 bits)");
+    assert.match(secrets(['get', 'GEN_PASSWORD']), /^[A-Za-z0-9]{24}$/);
+  });
+
+  it('prints the value only with --show, and keeps an existing secret with --if-missing', () => {
+    const before = secrets(['get', 'GEN_PASSWORD']);
+    assert.match(secrets(['generate', 'gen/GEN_PASSWORD', '--if-missing']), /already exists in 'gen' — left unchanged/);
+    assert.equal(secrets(['get', 'GEN_PASSWORD']), before);
+
+    const result = secretsResult(['generate', 'GEN_PASSWORD', '--format', 'hex', '--length', '8', '--show']);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^[0-9a-f]{16}$/);
+    assert.match(result.stderr, /Updated secret 'GEN_PASSWORD' in 'gen' with a generated value: 8 random bytes as hex/);
+    assert.equal(secrets(['get', 'GEN_PASSWORD']), result.stdout);
+    assert.doesNotMatch(fs.readFileSync(ENV.BWS_AUDIT_LOG, 'utf8'), new RegExp(result.stdout));
+    secrets(['delete', 'GEN_PASSWORD']);
+    secrets(['projects', 'delete', 'gen']);
+  });
+
+  it('rejects invalid options', () => {
+    const result = secretsResult(['generate', 'GEN_X', '--charset', 'emoji']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /ERROR: Unknown charset 'emoji'/);
+  });
+});
+
+describe('rotate and rollback', () => {
+  const rotate = (args, input) =>
+    spawnSync(process.execPath, [SECRETS_CLI, 'rotate', ...args], { encoding: 'utf8', env: ENV, input });
+
+  before(() => { secrets(['set', 'ROT_KEY', 'first', '--project', 'rot', '--note', 'Main DB']); });
+
+  it('keeps the previous value in KEY__PREVIOUS and records the rotation in the note', () => {
+    const result = rotate(['ROT_KEY', '--value-from-stdin'], 'second\n');
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout.trim(), "Rotated secret 'ROT_KEY' in 'rot' — previous value kept in 'ROT_KEY__PREVIOUS'");
+    assert.equal(secrets(['get', 'ROT_KEY']), 'second');
+    assert.equal(secrets(['get', 'rot/ROT_KEY__PREVIOUS']), 'first');
+
+    const note = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')).secrets.find(s => s.key === 'ROT_KEY').note;
+    assert.match(note, /^rotated: \d{4}-\d\d-\d\dT[\d:.]+Z\n---\nMain DB$/);
+  });
+
+  it('rolls back by swapping with the previous value', () => {
+    assert.match(secrets(['rollback', 'rot/ROT_KEY']), /Rolled back secret 'ROT_KEY' in 'rot' to its previous value/);
+    assert.equal(secrets(['get', 'ROT_KEY']), 'first');
+    assert.equal(secrets(['get', 'ROT_KEY__PREVIOUS']), 'second');
+  });
+
+  it('generates the new value and refuses ambiguous or pointless requests', () => {
+    const generated = rotate(['ROT_KEY', '--generate', '--format', 'hex', '--length', '4', '--show']);
+    assert.equal(generated.status, 0, generated.stderr);
+    assert.match(generated.stdout, /^[0-9a-f]{8}$/);
+    assert.equal(secrets(['get', 'ROT_KEY__PREVIOUS']), 'first');
+
+    assert.match(rotate(['ROT_KEY']).stderr, /requires exactly one of --value-from-stdin or --generate/);
+    assert.match(rotate(['ROT_KEY', '--value-from-stdin'], generated.stdout).stderr, /same as the current one/);
+    assert.match(rotate(['ROT_KEY__PREVIOUS', '--generate']).stderr, /holds a previous value — use 'ROT_KEY' instead/);
+    secrets(['set', 'ROT_NEW', 'v']);
+    assert.match(secretsResult(['rollback', 'ROT_NEW']).stderr, /No previous value of 'ROT_NEW' to roll back to \('ROT_NEW__PREVIOUS' not found\)/);
+
+    for (const key of ['ROT_KEY', 'ROT_KEY__PREVIOUS', 'ROT_NEW']) secrets(['delete', key]);
+    secrets(['projects', 'delete', 'rot']);
+  });
+});
+
+describe('snapshot and diff', () => {
+  const snapA = join(TMP_DIR, 'snap-a.json');
+  const snapB = join(TMP_DIR, 'snap-b.json');
+
+  it('diffs a snapshot against live without revealing values', () => {
+    secrets(['set', 'SNAP_A', 'snap-value-1', '--project', 'snap']);
+    secrets(['set', 'SNAP_B', 'b']);
+    secrets(['snapshot', '--out', snapA]);
+    assert.equal(fs.statSync(snapA).mode & 0o777, 0o600);
+    assert.doesNotMatch(fs.readFileSync(snapA, 'utf8'), /snap-value-1/);
+
+    secrets(['set', 'SNAP_A', 'snap-value-2']);
+    secrets(['move', 'SNAP_B', 'snap']);
+    const out = secrets(['diff', snapA]);
+    assert.match(out, /^Changes from '.*snap-a\.json' \(.*\) to live:$/m);
+    assert.match(out, /  ~ secret 'SNAP_A' in 'snap' \(value\)\n  > secret 'SNAP_B' '\(none\)' -> 'snap'\n/);
+  });
+
+  it('compares two snapshots, values only when they share a salt', () => {
+    secrets(['snapshot', '--out', snapB]);
+    const unsalted = secretsResult(['diff', snapA, snapB, '--json']);
+    assert.match(unsalted.stderr, /use different salts — value changes are not shown/);
+    assert.equal(JSON.parse(unsalted.stdout).valuesCompared, false);
+
+    secrets(['snapshot', '--salt-from', snapA, '--out', snapB]);
+    const diff = JSON.parse(secrets(['diff', snapA, snapB, '--json']));
+    assert.equal(diff.valuesCompared, true);
+    assert.deepEqual(diff.changes.filter(c => c.key?.startsWith('SNAP_')).map(c => c.action), ['changed', 'moved']);
+
+    assert.match(secretsResult(['diff', STORE_FILE]).stderr, /Invalid snapshot '.*': not a secrets-bws snapshot/);
+    secrets(['delete', 'SNAP_A']);
+    secrets(['delete', 'SNAP_B']);
+    secrets(['projects', 'delete', 'snap']);
+  });
+});
+
+describe('backup and restore', () => {
+  const backupFile = join(TMP_DIR, 'org.bak');
+  const withPassphrase = { BWS_BACKUP_PASSPHRASE: 'offline-test-passphrase' };
+
+  before(() => {
+    secrets(['set', 'BAK_A', 'backup-value-a', '--project', 'bak', '--note', 'kept']);
+    secrets(['set', 'BAK_B', 'b', '--project', 'bak']);
+  });
+
+  it('writes an encrypted 0600 file and needs a passphrase', () => {
+    const missing = secretsResult(['backup', '--out', backupFile]);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /No backup passphrase — set BWS_BACKUP_PASSPHRASE/);
+
+    const result = secretsResult(['backup', '--out', backupFile], withPassphrase);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Backed up \d+ secret\(s\) in \d+ project\(s\)/);
+    assert.equal(fs.statSync(backupFile).mode & 0o777, 0o600);
+    assert.doesNotMatch(fs.readFileSync(backupFile, 'utf8'), /backup-value-a|BAK_A/);
+  });
+
+  it('restores deleted secrets and projects, skipping ones that differ', () => {
+    secrets(['delete', 'BAK_A']);
+    secrets(['set', 'BAK_B', 'changed']);
+    secrets(['projects', 'delete', 'bak']);
+    secrets(['set', 'bak/BAK_B', 'changed-too']);
+
+    const dry = secretsResult(['restore', backupFile, '--only', 'bak/*', '--dry-run'], withPassphrase);
+    assert.match(dry.stdout, /\+ secret 'BAK_A' in 'bak'/);
+    assert.throws(() => secrets(['get', 'bak/BAK_A']), /not found/);
+
+    const result = secretsResult(['restore', backupFile, '--only', 'BAK_*'], withPassphrase);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Restored secret 'BAK_A' in 'bak'/);
+    assert.match(result.stdout, /Skipped secret 'BAK_B' in 'bak' \(differs from the backup — use --on-conflict overwrite\)/);
+    assert.equal(secrets(['get', 'bak/BAK_A']), 'backup-value-a');
+
+    secretsResult(['restore', backupFile, '--only', 'bak/BAK_B', '--on-conflict', 'overwrite'], withPassphrase);
+    assert.equal(secrets(['get', 'bak/BAK_B']), 'b');
+
+    const wrong = secretsResult(['restore', backupFile], { BWS_BACKUP_PASSPHRASE: 'not-the-passphrase' });
+    assert.match(wrong.stderr, /Cannot restore '.*org\.bak': wrong passphrase/);
+
+    for (const key of ['bak/BAK_A', 'bak/BAK_B', 'BAK_B']) secrets(['delete', key]);
+    secrets(['projects', 'delete', 'bak']);
+  });
+});
+
+describe('manifest plan and apply', () => {
+  const manifest = join(TMP_DIR, 'manifest.yaml');
+  before(() => {
+    secrets(['set', 'MAN_API_KEY', 'a']);
+    secrets(['set', 'MAN_DB_URL', 'b', '--project', 'man-old']);
+    fs.writeFileSync(manifest, [
+      'projects:',
+      '  man-api:',
+      '    keys: [MAN_API_*, MAN_DB_URL]',
+      '    required: [MAN_API_TOKEN]',
+      '    notes:',
+      '      MAN_DB_URL: Primary database',
+      '',
+    ].join('\n'));
+  });
+
+  it('plans the changes without making them', () => {
+    assert.equal(secrets(['plan', manifest]), [
+      `Plan for '${manifest}':`,
+      "  + project 'man-api'",
+      "  > secret 'MAN_API_KEY' '(none)' -> 'man-api'",
+      "  ~ secret 'MAN_DB_URL' in 'man-api' (note, project), moved from 'man-old'",
+      "  ! secret 'MAN_API_TOKEN' in 'man-api' is required but missing",
+      '3 change(s), 1 required secret(s) missing',
+    ].join('\n'));
+    assert.doesNotMatch(secrets(['projects']), /man-api/);
+  });
+
+  it('applies, then fails until required secrets exist', () => {
+    const result = secretsResult(['apply', manifest]);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Applied 3 change\(s\)/);
+    assert.match(result.stderr, /1 required secret\(s\) missing: man-api\/MAN_API_TOKEN — create them with secrets-bws set/);
+    assert.match(secrets(['list', '--project', 'man-api']), /MAN_API_KEY +man-api\nMAN_DB_URL +man-api/);
+    assert.equal(secrets(['get', 'MAN_DB_URL']), 'b');
+
+    secrets(['set', 'man-api/MAN_API_TOKEN', 't']);
+    assert.match(secrets(['apply', manifest]), /is already applied/);
+    assert.equal(JSON.parse(secrets(['plan', manifest, '--json'])).changes.length, 0);
+  });
+
+  it('compares and sets only the free text of notes, keeping their metadata', () => {
+    secrets(['meta', 'set', 'man-api/MAN_DB_URL', '--tag', 'db', '--owner', 'team-x']);
+    assert.match(secrets(['apply', manifest]), /is already applied/);
+
+    const replica = join(TMP_DIR, 'manifest-replica.yaml');
+    fs.writeFileSync(replica, fs.readFileSync(manifest, 'utf8').replace('Primary database', 'Replica database'));
+    assert.match(secrets(['apply', replica]), /Applied 1 change\(s\)/);
+    const note = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')).secrets.find(s => s.key === 'MAN_DB_URL').note;
+    assert.equal(note, 'tags: db\nowner: team-x\n---\nReplica database');
+  });
+
+  it('previews pruning unmanaged projects', () => {
+    const plan = JSON.parse(secrets(['--dry-run', '--json', 'apply', manifest, '--prune'])).changes;
+    assert.deepEqual(plan.find(c => c.project === 'man-old'), { action: 'delete-project', project: 'man-old', unassigned: [] });
+    assert.match(secrets(['projects']), /^man-old$/m);
+    for (const key of ['MAN_API_KEY', 'MAN_DB_URL', 'MAN_API_TOKEN']) secrets(['delete', key]);
+    for (const name of ['man-api', 'man-old']) secrets(['projects', 'delete', name]);
+  });
+
+  it('reports manifest errors with the file and line', () => {
+    const bad = join(TMP_DIR, 'bad-manifest.yaml');
+    fs.writeFileSync(bad, 'projects:\n  api:\n    keys: [A\n');
+    const result = secretsResult(['plan', bad]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Invalid manifest '.*bad-manifest\.yaml': line 3: unterminated \[ sequence/);
+  });
+});
+
+describe('audit log', () => {
+  const auditEntries = () => JSON.parse(secrets(['audit', '--json']));
+
+  it('records operations with key names but never values', () => {
+    secrets(['set', 'AUDIT_KEY', 'audit-secret-value', '--project', 'audited']);
+    secrets(['get', 'audited/AUDIT_KEY']);
+    assert.equal(secretsResult(['get', 'AUDIT_MISSING']).status, 1);
+    wrapper(['--secret', 'AUDIT_KEY', '--env', 'V', '--', process.execPath, '-e', '']);
+
+    const entries = auditEntries().filter(e => e.keys.includes('AUDIT_KEY') || e.keys.includes('AUDIT_MISSING'));
+    assert.deepEqual(entries.map(e => [e.op, e.outcome, e.project]), [
+      ['set', 'ok', 'audited'], ['get', 'ok', 'audited'], ['get', 'error', null], ['inject', 'ok', null],
+    ]);
+    assert.deepEqual(entries[0].command, ['secrets-bws.js', 'set', 'AUDIT_KEY', '***', '--project', 'audited']);
+    assert.equal(entries[2].error, "Secret 'AUDIT_MISSING' not found");
+    assert.equal(typeof entries[0].pid, 'number');
+    assert.doesNotMatch(fs.readFileSync(ENV.BWS_AUDIT_LOG, 'utf8'), /audit-secret-value/);
+    assert.equal(fs.statSync(ENV.BWS_AUDIT_LOG).mode & 0o777, 0o600);
+  });
+
+  it('filters by key and time', () => {
+    const out = secrets(['audit', '--key', 'audited/AUDIT_*']);
+    assert.match(out, /set +AUDIT_KEY \(audited\)  ok/);
+    assert.doesNotMatch(out, /AUDIT_MISSING/);
+    assert.equal(JSON.parse(secrets(['audit', '--json', '--since', '2999-01-01'])).length, 0);
+    assert.ok(JSON.parse(secrets(['audit', '--json', '--since', '1h'])).length > 0);
+    assert.throws(() => secrets(['audit', '--since', 'yesterday-ish']), /Invalid time 'yesterday-ish'/);
+  });
+
+  it('--verify detects a modified entry', () => {
+    assert.match(secrets(['audit', '--verify']), /Audit log intact: \d+ entries \(last hash [0-9a-f]{64}\)/);
+    const original = fs.readFileSync(ENV.BWS_AUDIT_LOG, 'utf8');
+    try {
+      fs.writeFileSync(ENV.BWS_AUDIT_LOG, original.replace('"op":"get"', '"op":"set"'));
+      const result = secretsResult(['audit', '--verify']);
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /has been tampered with: entry \d+ its content does not match its hash/);
+    } finally {
+      fs.writeFileSync(ENV.BWS_AUDIT_LOG, original);
+      secrets(['delete', 'AUDIT_KEY']);
+    }
+  });
+});
+
+describe('secrets-bws-mcp-wrapper offline', () => {
+  before(() => {
+    secrets(['set', 'WRAPPER_KEY', 'wrapper-value']);
+  });
+
+  it('injects secret as environment variable', () => {
+    const out = wrapper([
+      '--secret', 'WRAPPER_KEY', '--env', 'INJECTED_VAR',
+      '--', process.execPath, '-e', 'process.stdout.write(process.env.INJECTED_VAR)',
+    ]);
+    assert.equal(out, 'wrapper-value');
+  });
+
+  it('injects secrets declared in a config file', () => {
+    const configFile = join(TMP_DIR, 'wrapper.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      servers: { demo: { secrets: [
+        { key: 'WRAPPER_KEY', env: 'INJECTED_VAR' },
+        { key: 'MISSING', env: 'FALLBACK_VAR', default: 'dflt' },
+      ] } },
+    }));
+    const out = wrapper([
+      '--config', configFile, '--server', 'demo',
+      '--', process.execPath, '-e', 'process.stdout.write(process.env.INJECTED_VAR + "|" + process.env.FALLBACK_VAR)',
+    ]);
+    assert.equal(out, 'wrapper-value|dflt');
+  });
+
+  it('injects secret as a private file and removes it on exit', () => {
+    const out = wrapper([
+      '--secret', 'WRAPPER_KEY', '--file', 'SECRET_FILE',
+      '--', process.execPath, '-e',
+      'const fs=require("fs"); const p=process.env.SECRET_FILE; ' +
+      'process.stdout.write(JSON.stringify({ p, v: fs.readFileSync(p, "utf8"), m: fs.statSync(p).mode & 0o777 }))',
+    ]);
+    const { p, v, m } = JSON.parse(out);
+    assert.equal(v, 'wrapper-value');
+    if (process.platform !== 'win32') assert.equal(m, 0o600);
+    assert.equal(fs.existsSync(p), false);
+  });
+
+  it('exits with error when secret does not exist', () => {
+    assert.throws(
+      () => wrapper(['--secret', 'MISSING', '--env', 'X', '--', process.execPath, '-e', '']),
+      /not found/i
+    );
+  });
+
+  it('forwards the child exit code', () => {
+    const result = wrapperResult(['--secret', 'WRAPPER_KEY', '--env', 'X', '--', process.execPath, '-e', 'process.exit(7)']);
+    assert.equal(result.status, 7);
+    assert.match(result.stderr, /Server exited with code 7/);
+  });
+
+  it('restarts a crashed server with backoff', () => {
+    const marker = join(TMP_DIR, 'crashed-once');
+    const result = wrapperResult([
+      '--restart', '--restart-delay', '0.05',
+      '--secret', 'WRAPPER_KEY', '--env', 'X',
+      '--', process.execPath, '-e',
+      `const fs=require("fs"); if (fs.existsSync(${JSON.stringify(marker)})) process.exit(0); fs.writeFileSync(${JSON.stringify(marker)}, ""); process.exit(3)`,
+    ]);
+    assert.equal(result.status, 0);
+    assert.match(result.stderr, /Restarting server in 0\.05s \(restart 1 of 10\)/);
+  });
+
+  it('gives up after --max-restarts', () => {
+    const result = wrapperResult([
+      '--restart', '--max-restarts', '2', '--restart-delay', '0.01',
+      '--secret', 'WRAPPER_KEY', '--env', 'X',
+      '--', process.execPath, '-e', 'process.exit(4)',
+    ]);
+    assert.equal(result.status, 4);
+    assert.match(result.stderr, /Giving up after 2 restart\(s\)/);
+  });
+
+  it('forwards SIGTERM to the server', { skip: process.platform === 'win32' }, async () => {
+    const { proc, ready, done } = wrapperReady([
+      '--secret', 'WRAPPER_KEY', '--env', 'X',
+      '--', process.execPath, '-e',
+      'process.on("SIGTERM", () => process.exit(42)); console.log("ready"); setInterval(() => {}, 1000)',
+    ]);
+    await ready;
+    proc.kill('SIGTERM');
+    const { status, stderr } = await done;
+    assert.equal(status, 42);
+    assert.match(stderr, /Received SIGTERM — forwarding to server/);
+  });
+
+  it('sends SIGKILL after the grace period', { skip: process.platform === 'win32' }, async () => {
+    const { proc, ready, done } = wrapperReady([
+      '--grace-period', '0.2',
+      '--secret', 'WRAPPER_KEY', '--env', 'X',
+      '--', process.execPath, '-e',
+      'process.on("SIGTERM", () => {}); console.log("ready"); setInterval(() => {}, 1000)',
+    ]);
+    await ready;
+    proc.kill('SIGTERM');
+    const { status, stderr } = await done;
+    assert.equal(status, 137);
+    assert.match(stderr, /did not exit within 0\.2s of SIGTERM — sending SIGKILL/);
+  });
+
+  it('fails without restarting when the command cannot be launched', () => {
+    const result = wrapperResult(['--restart', '--secret', 'WRAPPER_KEY', '--env', 'X', '--', join(TMP_DIR, 'no-such-command')]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Failed to launch/);
+    assert.doesNotMatch(result.stderr, /Restarting/);
+  });
+
+  it('redacts injected values from stderr with --redact', () => {
+    const result = wrapperResult([
+      '--redact', '--secret', 'WRAPPER_KEY', '--env', 'X',
+      '--', process.execPath, '-e',
+      'console.error("boom: " + process.env.X); console.log(process.env.X)',
+    ]);
+    assert.equal(result.status, 0);
+    assert.match(result.stderr, /boom: \*\*\*WRAPPER_KEY\*\*\*/);
+    assert.equal(result.stdout.trim(), 'wrapper-value');
+  });
+
+  it('redacts stdout JSON-RPC lines with --redact-stdout', () => {
+    const result = wrapperResult([
+      '--redact-stdout', '--secret', 'WRAPPER_KEY', '--env', 'X',
+      '--', process.execPath, '-e',
+      'console.log(JSON.stringify({ jsonrpc: "2.0", id: 1, result: process.env.X }))',
+    ]);
+    assert.deepEqual(JSON.parse(result.stdout), { jsonrpc: '2.0', id: 1, result: '***WRAPPER_KEY***' });
+  });
+});
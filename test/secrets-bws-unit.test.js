@@ -1,14 +1,102 @@
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
 
 import {
   globMatch,
+  substituteGlob,
   buildKeyIndex,
   buildProjectIndex,
   buildProjectIdMap,
+  parseKeyRef,
+  resolveSecretRef,
+  newSecretTarget,
+  parseEnvMap,
+  buildEnvVars,
+  parseSince,
+  parseDuration,
 } from '../lib/secrets-bws-helpers.js';
 
-import { parseInjections } from '../lib/secrets-bws-wrapper-commands.js';
+import {
+  splitWrapperArgs,
+  parseInjections,
+  buildChildEnvAndArgs,
+  writeSecretFiles,
+  removeSecretFiles,
+} from '../lib/secrets-bws-wrapper-commands.js';
+
+import {
+  extractSupervisorArgs,
+  restartDelay,
+  describeExit,
+} from '../lib/secrets-bws-supervisor.js';
+
+import {
+  extractRedactArgs,
+  redactionPatterns,
+  redactString,
+  createRedactor,
+} from '../lib/secrets-bws-redactor.js';
+
+import {
+  formatFromPath,
+  formatSecrets,
+  parseSecrets,
+} from '../lib/secrets-bws-formats.js';
+
+import { parseTemplate, renderTemplate } from '../lib/secrets-bws-template.js';
+
+import {
+  deriveCacheKey,
+  encryptCache,
+  decryptCache,
+  syncSnapshot,
+  createCachedClient,
+} from '../lib/secrets-bws-cache.js';
+
+import { createFakeClient, resetMemoryStore } from '../lib/secrets-bws-fake-backend.js';
+
+import {
+  agentRequest,
+  createAgentClient,
+  connectAgent,
+  startAgentServer,
+} from '../lib/secrets-bws-agent.js';
+
+import { createMcpHandler, isReadAllowed } from '../lib/secrets-bws-mcp-server.js';
+
+import { deleteSecrets } from '../lib/secrets-bws-commands.js';
+
+import { createDryRunClient, formatPlan } from '../lib/secrets-bws-plan.js';
+
+import { parseManifest, planManifest } from '../lib/secrets-bws-manifest.js';
+
+import { generateValue, describeStrength } from '../lib/secrets-bws-generate.js';
+
+import { parseNote, formatNote, setNoteMeta, setNoteText, readNoteFields, checkTag, parseExpiry } from '../lib/secrets-bws-note.js';
+
+import { fingerprint, createSnapshot, parseSnapshot, diffSnapshots, formatDiff } from '../lib/secrets-bws-snapshot.js';
+
+import { createBackupPayload, encryptBackup, decryptBackup, planRestore } from '../lib/secrets-bws-backup.js';
+
+import { parseKeyMaps, mapKey, planPromotion } from '../lib/secrets-bws-promote.js';
+
+import { resolveRules, runChecks, formatFindings } from '../lib/secrets-bws-doctor.js';
+
+import {
+  appendAuditEntry,
+  readAuditLog,
+  verifyAuditLog,
+  auditCommandLine,
+} from '../lib/secrets-bws-audit.js';
+
+import {
+  extractConfigArgs,
+  injectionsFromConfig,
+  mergeInjections,
+} from '../lib/secrets-bws-wrapper-config.js';
 
 // ---------------------------------------------------------------------------
 // globMatch
@@ -58,6 +146,30 @@ describe('globMatch', () => {
   });
 });
 
+describe('substituteGlob', () => {
+  it('carries each * over to the target pattern', () => {
+    assert.equal(substituteGlob('LMB_*', 'LMBX_*', 'LMB_DB_URL'), 'LMBX_DB_URL');
+    assert.equal(substituteGlob('*_URL_*', 'URL_*_*', 'DB_URL_2'), 'URL_DB_2');
+  });
+
+  it('matches case-insensitively and keeps the captured text as is', () => {
+    assert.equal(substituteGlob('lmb_*', 'NEW_*', 'LMB_Key'), 'NEW_Key');
+  });
+
+  it('returns null when the key does not match', () => {
+    assert.equal(substituteGlob('LMB_*', 'LMBX_*', 'STRAT_DB_URL'), null);
+  });
+
+  it('uses a target without * as the literal new key', () => {
+    assert.equal(substituteGlob('OLD_KEY', 'NEW_KEY', 'OLD_KEY'), 'NEW_KEY');
+    assert.equal(substituteGlob('OLD_*', 'NEW_KEY', 'OLD_X'), 'NEW_KEY');
+  });
+
+  it('rejects a target with a different number of *', () => {
+    assert.throws(() => substituteGlob('A_*', 'B_*_*', 'A_X'), /as many \*/);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // buildKeyIndex
 // ---------------------------------------------------------------------------
@@ -142,9 +254,130 @@ describe('buildProjectIdMap', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// parseKeyRef / resolveSecretRef
+// ---------------------------------------------------------------------------
+describe('parseKeyRef', () => {
+  const projectIndex = { prod: { id: 'p1', name: 'prod' } };
+
+  it('splits project/KEY when the prefix is a project', () => {
+    assert.deepEqual(parseKeyRef('prod/DB_URL', projectIndex), { project: 'prod', key: 'DB_URL' });
+  });
+
+  it('treats other slashes as part of a bare key', () => {
+    assert.deepEqual(parseKeyRef('team/DB_URL', projectIndex), { project: null, key: 'team/DB_URL' });
+    assert.deepEqual(parseKeyRef('constructor/KEY', projectIndex), { project: null, key: 'constructor/KEY' });
+    assert.deepEqual(parseKeyRef('toString/KEY', projectIndex), { project: null, key: 'toString/KEY' });
+    assert.deepEqual(parseKeyRef('prod/', projectIndex), { project: null, key: 'prod/' });
+    assert.deepEqual(parseKeyRef('DB_URL', projectIndex), { project: null, key: 'DB_URL' });
+  });
+});
+
+describe('resolveSecretRef', () => {
+  const projectIndex = { stage: { id: 'p1' }, prod: { id: 'p2' } };
+  const projectIdMap = { p1: 'stage', p2: 'prod' };
+  const secrets = [
+    { id: 's1', key: 'DB_URL', projectId: 'p1' },
+    { id: 's2', key: 'DB_URL', projectId: 'p2' },
+    { id: 's3', key: 'TOKEN',  projectId: null },
+  ];
+  const resolve = (ref, opts = {}) => resolveSecretRef(secrets, ref, { projectIndex, projectIdMap, ...opts });
+
+  it('resolves a qualified key or --project within that project', () => {
+    assert.equal(resolve('prod/DB_URL').secret.id, 's2');
+    assert.equal(resolve('DB_URL', { project: 'stage' }).secret.id, 's1');
+    assert.equal(resolve('TOKEN', { project: 'stage' }).secret, undefined);
+    assert.equal(resolve('DB_URL', { project: 'missing' }).secret, undefined);
+  });
+
+  it('returns the first match and the duplicates for an ambiguous bare key', () => {
+    const found = resolve('DB_URL');
+    assert.equal(found.secret.id, 's1');
+    assert.deepEqual(found.duplicates.map(s => s.id), ['s1', 's2']);
+    assert.deepEqual(resolve('TOKEN').duplicates, []);
+  });
+
+  it('throws on an ambiguous bare key in strict mode', () => {
+    assert.throws(() => resolve('DB_URL', { strict: true }), /'DB_URL' is ambiguous — it exists in projects: stage, prod/);
+    assert.equal(resolve('TOKEN', { strict: true }).secret.id, 's3');
+  });
+
+  it('throws when the qualified project and --project disagree', () => {
+    assert.throws(() => resolve('prod/DB_URL', { project: 'stage' }), /names project 'prod' but --project is 'stage'/);
+    assert.equal(resolve('prod/DB_URL', { project: 'prod' }).secret.id, 's2');
+  });
+});
+
+describe('newSecretTarget', () => {
+  it('keeps a plain key and its project', () => {
+    assert.deepEqual(newSecretTarget('DB_URL'), { project: null, key: 'DB_URL' });
+    assert.deepEqual(newSecretTarget('DB_URL', 'prod'), { project: 'prod', key: 'DB_URL' });
+  });
+
+  it('reads a slash as a project to create', () => {
+    assert.deepEqual(newSecretTarget('newproj/DB_URL'), { project: 'newproj', key: 'DB_URL' });
+  });
+
+  it('rejects any other slash in a new key', () => {
+    for (const [key, project] of [['a/b/C', null], ['team/DB_URL', 'prod'], ['/DB_URL', null], ['team/', null]]) {
+      assert.throws(() => newSecretTarget(key, project), /a new key cannot contain '\/'/);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseEnvMap / buildEnvVars
+// ---------------------------------------------------------------------------
+describe('parseEnvMap', () => {
+  it('parses KEY=VAR entries', () => {
+    assert.deepEqual(parseEnvMap(['LMB_DB_URL=DATABASE_URL', 'a.b=AB']), { LMB_DB_URL: 'DATABASE_URL', 'a.b': 'AB' });
+  });
+
+  it('throws on malformed entries and invalid names', () => {
+    assert.throws(() => parseEnvMap(['NOEQUALS']), /expected KEY=VAR/);
+    assert.throws(() => parseEnvMap(['K=']), /expected KEY=VAR/);
+    assert.throws(() => parseEnvMap(['K=1BAD']), /not a valid environment variable name/);
+    assert.throws(() => parseEnvMap(['K=A', 'K=B']), /--map given twice for key 'K'/);
+  });
+});
+
+describe('buildEnvVars', () => {
+  const secrets = [
+    { key: 'LMB_DB_URL', value: 'db' },
+    { key: 'LMB_API_KEY', value: 'api' },
+    { key: 'OTHER', value: 'o' },
+    { key: 'bad-key', value: 'x' },
+  ];
+
+  it('uses keys as names, strips prefix and applies map', () => {
+    const { vars, skipped } = buildEnvVars(secrets, { prefix: 'LMB_', map: { LMB_API_KEY: 'OPENAI_KEY' } });
+    assert.deepEqual(vars, { DB_URL: 'db', OPENAI_KEY: 'api', OTHER: 'o' });
+    assert.deepEqual(skipped, ['bad-key']);
+  });
+
+  it('throws when two secrets map to the same variable', () => {
+    assert.throws(
+      () => buildEnvVars(secrets, { prefix: 'LMB_', map: { OTHER: 'DB_URL' } }),
+      /'LMB_DB_URL' and 'OTHER' both map to environment variable 'DB_URL'/
+    );
+  });
+});
+
 // ---------------------------------------------------------------------------
 // parseInjections
 // ---------------------------------------------------------------------------
+describe('splitWrapperArgs', () => {
+  it('passes --secret groups through and lets the callback consume other args', () => {
+    const seen = [];
+    const rest = splitWrapperArgs(['--secret', 'K', '--arg', '--flag', '--flag', 'v', '--other'], (arg, next) => {
+      seen.push(arg);
+      return arg === '--flag' ? (next ? 2 : 1) : 0;
+    });
+    assert.deepEqual(seen, ['--flag', '--other']);
+    assert.deepEqual(rest, ['--secret', 'K', '--arg', '--flag', '--other']);
+  });
+});
+
 describe('parseInjections', () => {
   it('parses single --env injection correctly', () => {
     const result = parseInjections(['--secret', 'MY_KEY', '--env', 'MY_VAR']);
@@ -174,10 +407,15 @@ describe('parseInjections', () => {
     );
   });
 
-  it('throws when mode flag is neither --env nor --arg', () => {
+  it('parses --file injection', () => {
+    const result = parseInjections(['--secret', 'SA_JSON', '--file', 'GOOGLE_APPLICATION_CREDENTIALS']);
+    assert.deepEqual(result, [{ bwsKey: 'SA_JSON', mode: 'file', target: 'GOOGLE_APPLICATION_CREDENTIALS' }]);
+  });
+
+  it('throws when mode flag is neither --env, --arg nor --file', () => {
     assert.throws(
       () => parseInjections(['--secret', 'KEY', '--bad', 'target']),
-      /Expected --env or --arg/
+      /Expected --env, --arg or --file/
     );
   });
 
@@ -202,3 +440,1357 @@ describe('parseInjections', () => {
     );
   });
 });
+
+// ---------------------------------------------------------------------------
+// buildChildEnvAndArgs
+// ---------------------------------------------------------------------------
+describe('buildChildEnvAndArgs', () => {
+  it('injects env and arg values', () => {
+    const { env, extraArgs } = buildChildEnvAndArgs(
+      [{ bwsKey: 'A', mode: 'env', target: 'VAR_A' }, { bwsKey: 'B', mode: 'arg', target: '--b' }],
+      { A: 'a-value', B: 'b-value' },
+      { PATH: '/bin' }
+    );
+    assert.deepEqual(env, { PATH: '/bin', VAR_A: 'a-value' });
+    assert.deepEqual(extraArgs, ['--b', 'b-value']);
+  });
+
+  it('passes file paths as env var or flag depending on the target', () => {
+    const { env, extraArgs } = buildChildEnvAndArgs(
+      [{ bwsKey: 'PEM', mode: 'file', target: 'CA_FILE' }, { bwsKey: 'PEM', mode: 'file', target: '--ca' }],
+      { PEM: 'pem-data' },
+      {},
+      { PEM: '/dev/shm/x/PEM' }
+    );
+    assert.deepEqual(env, { CA_FILE: '/dev/shm/x/PEM' });
+    assert.deepEqual(extraArgs, ['--ca', '/dev/shm/x/PEM']);
+  });
+
+  it('falls back to the default and skips optional keys with no value', () => {
+    const { env, extraArgs } = buildChildEnvAndArgs(
+      [
+        { bwsKey: 'A', mode: 'env', target: 'VAR_A', default: 'fallback' },
+        { bwsKey: 'B', mode: 'arg', target: '--b', optional: true },
+      ],
+      {},
+      {}
+    );
+    assert.deepEqual(env, { VAR_A: 'fallback' });
+    assert.deepEqual(extraArgs, []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// writeSecretFiles / removeSecretFiles
+// ---------------------------------------------------------------------------
+describe('writeSecretFiles', () => {
+  it('returns null when there are no file injections', () => {
+    assert.equal(writeSecretFiles([{ bwsKey: 'A', mode: 'env', target: 'A' }], { A: 'x' }), null);
+  });
+
+  it('writes each key once to a private file and removes it', () => {
+    const result = writeSecretFiles(
+      [{ bwsKey: 'PEM', mode: 'file', target: 'A' }, { bwsKey: 'PEM', mode: 'file', target: '--b' }],
+      { PEM: 'pem-data' }
+    );
+    try {
+      assert.deepEqual(Object.keys(result.paths), ['PEM']);
+      assert.equal(fs.readFileSync(result.paths.PEM, 'utf8'), 'pem-data');
+      if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(result.paths.PEM).mode & 0o777, 0o600);
+        assert.equal(fs.statSync(result.dir).mode & 0o777, 0o700);
+      }
+    } finally {
+      removeSecretFiles(result.dir);
+    }
+    assert.equal(fs.existsSync(result.dir), false);
+  });
+
+  it('gives keys whose file names would collide distinct files', () => {
+    const result = writeSecretFiles(
+      [{ bwsKey: 'a/b', mode: 'file', target: 'A' }, { bwsKey: 'a_b', mode: 'file', target: 'B' }],
+      { 'a/b': 'slash', a_b: 'underscore' }
+    );
+    try {
+      assert.notEqual(result.paths['a/b'], result.paths.a_b);
+      assert.equal(fs.readFileSync(result.paths['a/b'], 'utf8'), 'slash');
+      assert.equal(fs.readFileSync(result.paths.a_b, 'utf8'), 'underscore');
+    } finally {
+      removeSecretFiles(result.dir);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// wrapper config
+// ---------------------------------------------------------------------------
+describe('extractConfigArgs', () => {
+  it('separates --config and --server from --secret flags', () => {
+    const result = extractConfigArgs(['--config', 'w.json', '--secret', 'K', '--env', 'V', '--server', 'pg']);
+    assert.deepEqual(result, { configPath: 'w.json', serverName: 'pg', rest: ['--secret', 'K', '--env', 'V'] });
+  });
+
+  it('returns null config when not given', () => {
+    assert.deepEqual(extractConfigArgs(['--secret', 'K', '--env', 'V']).configPath, null);
+  });
+
+  it('throws when --config has no value', () => {
+    assert.throws(() => extractConfigArgs(['--config']), /--config requires a value/);
+  });
+
+  it('throws when --config or --server is followed by another flag', () => {
+    assert.throws(() => extractConfigArgs(['--config', '--secret', 'K', '--env', 'V']), /--config requires a value/);
+    assert.throws(() => extractConfigArgs(['--config', 'w.json', '--server', '--restart']), /--server requires a value/);
+  });
+
+  it('passes --secret groups through untouched', () => {
+    const result = extractConfigArgs(['--secret', 'K', '--arg', '--config']);
+    assert.deepEqual(result.rest, ['--secret', 'K', '--arg', '--config']);
+    assert.equal(result.configPath, null);
+  });
+
+  it('throws when --server is given without --config', () => {
+    assert.throws(() => extractConfigArgs(['--server', 'pg']), /--server requires --config/);
+  });
+});
+
+describe('injectionsFromConfig', () => {
+  const config = {
+    defaults: { optional: false },
+    secrets:  [{ key: 'SHARED', env: 'SHARED_VAR' }],
+    servers:  {
+      pg: { secrets: [
+        { key: 'DB_URL', arg: '--connection-string' },
+        { key: 'DB_ROLE', env: 'PGROLE', default: 'readonly' },
+        { key: 'DB_DEBUG', env: 'PGDEBUG', optional: true },
+      ] },
+    },
+  };
+
+  it('returns top-level secrets when no server is selected', () => {
+    assert.deepEqual(injectionsFromConfig(config), [{ bwsKey: 'SHARED', mode: 'env', target: 'SHARED_VAR' }]);
+  });
+
+  it('adds the selected server secrets with optional and default', () => {
+    assert.deepEqual(injectionsFromConfig(config, 'pg'), [
+      { bwsKey: 'SHARED', mode: 'env', target: 'SHARED_VAR' },
+      { bwsKey: 'DB_URL', mode: 'arg', target: '--connection-string' },
+      { bwsKey: 'DB_ROLE', mode: 'env', target: 'PGROLE', default: 'readonly' },
+      { bwsKey: 'DB_DEBUG', mode: 'env', target: 'PGDEBUG', optional: true },
+    ]);
+  });
+
+  it('applies defaults.optional to every entry', () => {
+    const result = injectionsFromConfig({ defaults: { optional: true }, secrets: [{ key: 'K', env: 'V' }] });
+    assert.equal(result[0].optional, true);
+  });
+
+  it('throws on unknown server and lists available ones', () => {
+    assert.throws(() => injectionsFromConfig(config, 'nope'), /Server 'nope' not found in config \(available: pg\)/);
+    assert.throws(() => injectionsFromConfig(config, 'toString'), /Server 'toString' not found in config/);
+  });
+
+  it('throws when an entry sets both env and arg', () => {
+    assert.throws(
+      () => injectionsFromConfig({ secrets: [{ key: 'K', env: 'V', arg: '--f' }] }),
+      /secrets\[0\]: must set exactly one of/
+    );
+  });
+
+  it('throws on unknown fields with their path', () => {
+    assert.throws(
+      () => injectionsFromConfig({ servers: { pg: { secrets: [{ key: 'K', env: 'V', tpyo: 1 }] } } }, 'pg'),
+      /servers\.pg\.secrets\[0\]: unknown field 'tpyo'/
+    );
+  });
+
+  it('throws when servers exist but none is selected and no shared secrets exist', () => {
+    assert.throws(() => injectionsFromConfig({ servers: { pg: {} } }), /select one with --server/);
+  });
+});
+
+describe('mergeInjections', () => {
+  it('CLI injection overrides config injection with the same target', () => {
+    const merged = mergeInjections(
+      [{ bwsKey: 'A', mode: 'env', target: 'VAR' }, { bwsKey: 'B', mode: 'env', target: 'OTHER' }],
+      [{ bwsKey: 'C', mode: 'env', target: 'VAR' }, { bwsKey: 'D', mode: 'arg', target: '--d' }]
+    );
+    assert.deepEqual(merged, [
+      { bwsKey: 'C', mode: 'env', target: 'VAR' },
+      { bwsKey: 'B', mode: 'env', target: 'OTHER' },
+      { bwsKey: 'D', mode: 'arg', target: '--d' },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// supervisor
+// ---------------------------------------------------------------------------
+describe('extractSupervisorArgs', () => {
+  it('returns defaults and leaves other args alone', () => {
+    const { options, rest } = extractSupervisorArgs(['--secret', 'K', '--env', 'V']);
+    assert.deepEqual(options, { gracePeriodMs: 10000, restart: false, maxRestarts: 10, restartDelayMs: 1000 });
+    assert.deepEqual(rest, ['--secret', 'K', '--env', 'V']);
+  });
+
+  it('parses all supervisor flags', () => {
+    const { options, rest } = extractSupervisorArgs([
+      '--grace-period', '2.5', '--restart', '--max-restarts', '3', '--restart-delay', '0.5', '--config', 'w.json',
+    ]);
+    assert.deepEqual(options, { gracePeriodMs: 2500, restart: true, maxRestarts: 3, restartDelayMs: 500 });
+    assert.deepEqual(rest, ['--config', 'w.json']);
+  });
+
+  it('does not mistake a --secret target for a flag', () => {
+    const { options, rest } = extractSupervisorArgs(['--secret', 'K', '--arg', '--restart']);
+    assert.equal(options.restart, false);
+    assert.deepEqual(rest, ['--secret', 'K', '--arg', '--restart']);
+  });
+
+  it('throws on invalid numbers', () => {
+    assert.throws(() => extractSupervisorArgs(['--grace-period', 'soon']), /--grace-period requires a non-negative number/);
+    assert.throws(() => extractSupervisorArgs(['--restart', '--max-restarts', '-1']), /--max-restarts requires a non-negative integer/);
+    assert.throws(() => extractSupervisorArgs(['--restart', '--restart-delay', '0']), /--restart-delay requires a positive number/);
+  });
+
+  it('throws when restart tuning is given without --restart', () => {
+    assert.throws(() => extractSupervisorArgs(['--max-restarts', '3']), /--max-restarts requires --restart/);
+  });
+});
+
+describe('restartDelay', () => {
+  it('doubles per restart and caps at the maximum', () => {
+    assert.deepEqual([0, 1, 2, 3].map(n => restartDelay(n, 1000)), [1000, 2000, 4000, 8000]);
+    assert.equal(restartDelay(20, 1000), 60000);
+    assert.equal(restartDelay(5, 1000, 10000), 10000);
+  });
+});
+
+describe('describeExit', () => {
+  it('describes exit codes and signals', () => {
+    assert.equal(describeExit(3, null), 'exited with code 3');
+    assert.equal(describeExit(null, 'SIGSEGV'), 'was killed by signal SIGSEGV');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// redactor
+// ---------------------------------------------------------------------------
+// Feed chunks through a redactor and collect its output as a UTF-8 string
+async function pipeChunks(redactor, chunks) {
+  const out = [];
+  redactor.on('data', chunk => out.push(chunk));
+  for (const chunk of chunks) redactor.write(chunk);
+  redactor.end();
+  await new Promise(resolve => redactor.on('end', resolve));
+  return Buffer.concat(out).toString('utf8');
+}
+
+describe('extractRedactArgs', () => {
+  it('parses --redact and --redact-stdout', () => {
+    assert.deepEqual(extractRedactArgs(['--redact', '--secret', 'K', '--env', 'V']), {
+      redact: { stderr: true, stdout: false },
+      rest:   ['--secret', 'K', '--env', 'V'],
+    });
+    assert.deepEqual(extractRedactArgs(['--redact-stdout']).redact, { stderr: true, stdout: true });
+  });
+});
+
+describe('redactString', () => {
+  const { patterns, skipped } = redactionPatterns({ DB_PASS: 's3cr3t pass/"x"', PIN: '123' });
+  const redact = text => redactString(Buffer.from(text).toString('latin1'), patterns);
+
+  it('skips values that are too short', () => {
+    assert.deepEqual(skipped, ['PIN']);
+  });
+
+  it('replaces the raw value', () => {
+    assert.equal(redact('password=s3cr3t pass/"x"!'), 'password=***DB_PASS***!');
+  });
+
+  it('replaces JSON-escaped, URL-encoded and base64 forms', () => {
+    const value = 's3cr3t pass/"x"';
+    assert.equal(redact(JSON.stringify({ p: value })), '{"p":"***DB_PASS***"}');
+    assert.equal(redact(`?p=${encodeURIComponent(value)}`), '?p=***DB_PASS***');
+    assert.equal(redact(`Basic ${Buffer.from(value).toString('base64')}`), 'Basic ***DB_PASS***');
+  });
+
+  it('prefers the longest value when one contains another', () => {
+    const { patterns: p } = redactionPatterns({ SHORT: 'abcd', LONG: 'abcdefgh' });
+    assert.equal(redactString('abcdefgh abcd', p), '***LONG*** ***SHORT***');
+  });
+});
+
+describe('createRedactor', () => {
+  const { patterns } = redactionPatterns({ TOKEN: 'tok-ünïcode-123' });
+
+  it('redacts a value split across every byte boundary', async () => {
+    const bytes  = Buffer.from('before tok-ünïcode-123 after\n');
+    const chunks = [...bytes].map(b => Buffer.from([b]));
+    assert.equal(await pipeChunks(createRedactor(patterns), chunks), 'before ***TOKEN*** after\n');
+  });
+
+  it('passes through text that only looks like a prefix', async () => {
+    const out = await pipeChunks(createRedactor(patterns), [Buffer.from('tok-'), Buffer.from('other\n')]);
+    assert.equal(out, 'tok-other\n');
+  });
+
+  it('holds a partial match until more output or the end, never writing it through on a timer', async () => {
+    const redactor = createRedactor(patterns);
+    const out = [];
+    redactor.on('data', chunk => out.push(chunk));
+    redactor.write(Buffer.from('{"id":1} tok-'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(Buffer.concat(out).toString(), '{"id":1} ');
+    redactor.write(Buffer.from('ünïcode-123\n{"id":2} tok-'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(Buffer.concat(out).toString(), '{"id":1} ***TOKEN***\n{"id":2} ');
+    redactor.end();
+    await new Promise(resolve => redactor.on('end', resolve));
+    assert.equal(Buffer.concat(out).toString(), '{"id":1} ***TOKEN***\n{"id":2} tok-');
+  });
+
+  it('redacts a full match at a chunk end that also starts a pattern', async () => {
+    const cases = [
+      [{ K: 'abab' }, ['token abab', ' rest\n'], 'token ***K*** rest\n'],
+      [{ K: 'xyzxyz12xyz' }, ['token xyzxyz12xyz', ' rest\n'], 'token ***K*** rest\n'],
+      [{ A: 'abcd', C: 'cdXY' }, ['xx abcd', ' yy\n'], 'xx ***A*** yy\n'],
+    ];
+    for (const [values, chunks, expected] of cases) {
+      const { patterns: p } = redactionPatterns(values);
+      assert.equal(await pipeChunks(createRedactor(p), chunks.map(c => Buffer.from(c))), expected);
+    }
+  });
+
+  it('holds a full match that may still grow into a longer value', async () => {
+    const { patterns: p } = redactionPatterns({ SHORT: 'abcd', LONG: 'abcdefgh' });
+    assert.equal(await pipeChunks(createRedactor(p), [Buffer.from('x abcd'), Buffer.from('efgh\n')]), 'x ***LONG***\n');
+  });
+
+  it('passes data through unchanged with no patterns', async () => {
+    assert.equal(await pipeChunks(createRedactor([]), [Buffer.from('plain')]), 'plain');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// formats
+// ---------------------------------------------------------------------------
+describe('formatSecrets / parseSecrets', () => {
+  const entries = [
+    { key: 'DB_URL', value: 'postgres://u:p@h/db?x=1#frag' },
+    { key: 'QUOTES', value: `it's "quoted" \\ back$lash` },
+    { key: 'PEM', value: '-----BEGIN KEY-----\nabc\ndef\n-----END KEY-----\n' },
+    { key: 'EMPTY', value: '' },
+  ];
+
+  for (const format of ['dotenv', 'json', 'yaml', 'shell']) {
+    it(`round-trips ${format}`, () => {
+      assert.deepEqual(parseSecrets(formatSecrets(entries, format), format), entries);
+    });
+  }
+
+  it('rejects keys the format cannot represent', () => {
+    assert.throws(() => formatSecrets([{ key: 'my-key', value: 'v' }], 'shell'), /cannot be written in shell format/);
+  });
+
+  it('parses hand-written dotenv with comments, export and multi-line quotes', () => {
+    const text = [
+      '# comment',
+      'export A=plain value # trailing comment',
+      "B='single $literal'",
+      'C="line1',
+      'line2\\nline3"',
+      '',
+      'D=',
+    ].join('\n');
+    assert.deepEqual(parseSecrets(text, 'dotenv'), [
+      { key: 'A', value: 'plain value' },
+      { key: 'B', value: 'single $literal' },
+      { key: 'C', value: 'line1\nline2\nline3' },
+      { key: 'D', value: '' },
+    ]);
+  });
+
+  it('reports the line of an unterminated dotenv quote', () => {
+    assert.throws(() => parseSecrets('A=1\nB="open', 'dotenv'), /line 2: unterminated " quote for 'B'/);
+  });
+
+  it('parses yaml plain, quoted and literal block scalars', () => {
+    const text = [
+      '---',
+      'A: plain # comment',
+      "B: 'it''s'",
+      'C: "tab\\there"',
+      'PEM: |',
+      '  line1',
+      '  line2',
+      'D: |-',
+      '  no newline',
+    ].join('\n');
+    assert.deepEqual(parseSecrets(text, 'yaml'), [
+      { key: 'A', value: 'plain' },
+      { key: 'B', value: "it's" },
+      { key: 'C', value: 'tab\there' },
+      { key: 'PEM', value: 'line1\nline2\n' },
+      { key: 'D', value: 'no newline' },
+    ]);
+  });
+
+  it('rejects nested yaml', () => {
+    assert.throws(() => parseSecrets('A:\n  B: c', 'yaml'), /line 1: unsupported value for 'A'/);
+  });
+
+  it('rejects duplicate keys and non-string json values', () => {
+    assert.throws(() => parseSecrets('A=1\nA=2', 'dotenv'), /Duplicate key 'A'/);
+    assert.throws(() => parseSecrets('{"A": 1}', 'json'), /value of 'A' must be a string/);
+  });
+
+  it('infers the format from the file name', () => {
+    assert.equal(formatFromPath('.env'), 'dotenv');
+    assert.equal(formatFromPath('config/.env.production'), 'dotenv');
+    assert.equal(formatFromPath('secrets.yml'), 'yaml');
+    assert.equal(formatFromPath('secrets.json'), 'json');
+    assert.equal(formatFromPath('export.sh'), 'shell');
+    assert.equal(formatFromPath('secrets.txt'), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// template
+// ---------------------------------------------------------------------------
+describe('renderTemplate', () => {
+  const values = { DB_PASS: 'p@ss w/"q"', 'prod/DB_PASS': 'prod-pass' };
+  const lookup = ref => values[ref];
+
+  it('substitutes bare and project-qualified keys', () => {
+    assert.equal(
+      renderTemplate('a={{ bws "DB_PASS" }}\nb={{bws "prod/DB_PASS"}}', lookup),
+      'a=p@ss w/"q"\nb=prod-pass'
+    );
+  });
+
+  it('applies filters left to right', () => {
+    assert.equal(renderTemplate('{{ bws "DB_PASS" | json-escape }}', lookup), 'p@ss w/\\"q\\"');
+    assert.equal(renderTemplate('{{ bws "DB_PASS" | url-encode }}', lookup), 'p%40ss%20w%2F%22q%22');
+    assert.equal(
+      renderTemplate('{{ bws "prod/DB_PASS" | base64 | url-encode }}', lookup),
+      encodeURIComponent(Buffer.from('prod-pass').toString('base64'))
+    );
+  });
+
+  it('uses the default when the key is missing', () => {
+    assert.equal(renderTemplate('{{ bws "NOPE" | default "x y" | base64 }}', lookup), Buffer.from('x y').toString('base64'));
+  });
+
+  it('reports every missing key with its line', () => {
+    assert.throws(
+      () => renderTemplate('{{ bws "A" }}\n{{ bws "B" }}', lookup),
+      /Secrets not found: 'A' \(line 1\), 'B' \(line 2\)/
+    );
+  });
+
+  it('leaves other template syntax untouched', () => {
+    assert.equal(renderTemplate('{{ .Values.x }} {{bwsx}}', lookup), '{{ .Values.x }} {{bwsx}}');
+  });
+
+  it('rejects malformed placeholders', () => {
+    assert.throws(() => parseTemplate('{{ bws KEY }}'), /line 1: expected \{\{ bws "KEY" \}\}/);
+    assert.throws(() => parseTemplate('\n{{ bws "K" | rot13 }}'), /line 2: unknown filter 'rot13'/);
+    assert.throws(() => parseTemplate('{{ bws "K" | default }}'), /default requires a "quoted" value/);
+    assert.throws(() => parseTemplate('a\n\n{{ bws "K\\q" }}'), /line 3: invalid quoted string "K\\q"/);
+    assert.throws(() => parseTemplate('{{ bws "K" | constructor }}'), /unknown filter 'constructor'/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// sync cache
+// ---------------------------------------------------------------------------
+describe('encryptCache / decryptCache', () => {
+  const key = deriveCacheKey('token-a');
+
+  it('round-trips without exposing the payload', () => {
+    const text = encryptCache({ secrets: [{ key: 'K', value: 'plain-secret' }] }, key);
+    assert.doesNotMatch(text, /plain-secret/);
+    assert.deepEqual(decryptCache(text, key), { secrets: [{ key: 'K', value: 'plain-secret' }] });
+  });
+
+  it('rejects another token and tampered content', () => {
+    const text = encryptCache({ a: 1 }, key);
+    assert.throws(() => decryptCache(text, deriveCacheKey('token-b')));
+    const envelope = JSON.parse(text);
+    envelope.data  = Buffer.from('{"a":2}').toString('base64');
+    assert.throws(() => decryptCache(JSON.stringify(envelope), key));
+  });
+});
+
+describe('syncSnapshot', () => {
+  it('sets the next sync cursor back from the local clock by a margin', async () => {
+    const since  = [];
+    const client = {
+      secrets:  () => ({ sync: async (_org, date) => { since.push(date); return { hasChanges: true, secrets: [] }; } }),
+      projects: () => ({ list: async () => ({ data: [] }) }),
+    };
+    const started = Date.now();
+    const first   = await syncSnapshot(client, 'org-1');
+    assert.equal(since[0], undefined);
+    assert.ok(Date.parse(first.lastSyncedDate) <= started - 60_000);
+    await syncSnapshot(client, 'org-1', first);
+    assert.equal(since[1].toISOString(), first.lastSyncedDate);
+  });
+});
+
+describe('createCachedClient', () => {
+  const ORG = 'org-1';
+  let dir;
+  let connects;
+
+  function cached(options = {}) {
+    const connect = async () => { connects++; return createFakeClient(); };
+    return createCachedClient(connect, { file: `${dir}/cache`, key: deriveCacheKey('t'), ttlMs: 60_000, readCache: true, ...options });
+  }
+
+  async function seed() {
+    resetMemoryStore();
+    await createFakeClient().secrets().create(ORG, 'K', 'v1', '', []);
+  }
+
+  it('serves a fresh cache without connecting', async () => {
+    dir      = fs.mkdtempSync(`${os.tmpdir()}/bws-cache-test-`);
+    connects = 0;
+    await seed();
+    assert.equal((await cached().secrets().sync(ORG)).secrets[0].value, 'v1');
+    assert.equal(connects, 1);
+    resetMemoryStore();
+    const client = cached();
+    assert.equal((await client.secrets().sync(ORG)).secrets[0].value, 'v1');
+    assert.deepEqual((await client.projects().list(ORG)).data, []);
+    assert.equal(connects, 1);
+  });
+
+  it('re-syncs after the TTL and when not reading the cache', async () => {
+    await seed();
+    await createFakeClient().secrets().create(ORG, 'K2', 'v2', '', []);
+    assert.equal((await cached({ ttlMs: 0 }).secrets().sync(ORG)).secrets.length, 2);
+    resetMemoryStore();
+    assert.equal((await cached({ readCache: false }).secrets().sync(ORG)).secrets.length, 0);
+  });
+
+  it('serves stale data on backend failure only when allowed', async () => {
+    await seed();
+    await cached({ ttlMs: 0 }).secrets().sync(ORG);
+    const failing = (options) => createCachedClient(async () => { throw new Error('offline'); },
+      { file: `${dir}/cache`, key: deriveCacheKey('t'), ttlMs: 0, readCache: true, ...options });
+    await assert.rejects(failing().secrets().sync(ORG), /offline/);
+    const errors = [];
+    const orig   = console.error;
+    console.error = (msg) => errors.push(msg);
+    try {
+      assert.equal((await failing({ serveStale: true }).secrets().sync(ORG)).secrets[0].value, 'v1');
+    } finally {
+      console.error = orig;
+    }
+    assert.match(errors[0], /WARN: Backend unavailable \(offline\)/);
+  });
+
+  it('revalidates with an incremental sync and picks up deletions', async (t) => {
+    await seed();
+    // The sync cursor lags the clock by a margin — let the seed fall behind it
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 10 * 60_000 });
+    const calls   = [];
+    const spy     = async () => {
+      const real = createFakeClient();
+      return {
+        secrets: () => ({
+          ...real.secrets(),
+          sync: async (orgId, since) => {
+            const result = await real.secrets().sync(orgId, since);
+            calls.push({ since: since ?? null, downloaded: result.secrets?.length ?? 0 });
+            return result;
+          },
+        }),
+        projects: () => real.projects(),
+      };
+    };
+    const client = (options) => createCachedClient(spy,
+      { file: `${dir}/cache`, key: deriveCacheKey('t'), ttlMs: 0, readCache: true, ...options });
+
+    fs.rmSync(`${dir}/cache`, { force: true });
+    assert.equal((await client().secrets().sync(ORG)).secrets.length, 1);
+    assert.equal((await client().secrets().sync(ORG)).secrets[0].value, 'v1');
+    assert.equal(calls[0].since, null);
+    assert.ok(calls[1].since instanceof Date);
+    assert.equal(calls[1].downloaded, 0);
+
+    const [secret] = (await createFakeClient().secrets().sync(ORG)).secrets;
+    await createFakeClient().secrets().delete([secret.id]);
+    assert.deepEqual((await client({ readCache: false }).secrets().sync(ORG)).secrets, []);
+  });
+
+  it('clears the cache on every mutation', async () => {
+    const client = cached();
+    await client.secrets().sync(ORG);
+    assert.ok(fs.existsSync(`${dir}/cache`));
+    await client.projects().create(ORG, 'p');
+    assert.equal(fs.existsSync(`${dir}/cache`), false);
+    assert.deepEqual((await client.projects().list(ORG)).data.map(p => p.name), ['p']);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// agent
+// ---------------------------------------------------------------------------
+describe('secrets agent', { skip: process.platform === 'win32' }, () => {
+  const ORG = 'org-1';
+  let dir;
+  let socketPath;
+  let stopped;
+  let connects = 0;
+
+  it('serves the client surface from one connection', async () => {
+    resetMemoryStore();
+    dir        = fs.mkdtempSync(`${os.tmpdir()}/bws-agent-test-`);
+    socketPath = `${dir}/agent.sock`;
+    ({ stopped } = await startAgentServer(socketPath, {
+      connect: async () => { connects++; return createFakeClient(); },
+      ttlMs:   60_000,
+    }));
+    assert.equal(fs.statSync(socketPath).mode & 0o777, 0o600);
+
+    const client  = await connectAgent(socketPath);
+    const project = await client.projects().create(ORG, 'p');
+    await client.secrets().create(ORG, 'K', 'v1', '', [project.id]);
+    const synced  = await client.secrets().sync(ORG);
+    assert.deepEqual(synced.secrets.map(x => [x.key, x.value, x.projectId]), [['K', 'v1', project.id]]);
+    assert.deepEqual((await client.projects().list(ORG)).data.map(p => p.name), ['p']);
+    assert.equal(connects, 1);
+  });
+
+  it('serves reads from its snapshot and drops it on writes', async () => {
+    const client = await connectAgent(socketPath);
+    resetMemoryStore();
+    assert.equal((await client.secrets().sync(ORG)).secrets.length, 1);
+    await client.secrets().create(ORG, 'K2', 'v2', '', []);
+    assert.deepEqual((await client.secrets().sync(ORG)).secrets.map(x => x.key), ['K2']);
+    const status = await agentRequest(socketPath, 'status');
+    assert.equal(status.pid, process.pid);
+    assert.equal(status.secrets, 1);
+  });
+
+  it('reports backend errors and unknown ops', async () => {
+    const client = await connectAgent(socketPath);
+    await assert.rejects(client.secrets().update(ORG, 'missing', 'K', 'v', '', []), /Secret 'missing' not found/);
+    await assert.rejects(agentRequest(socketPath, 'nope'), /Unknown agent op 'nope'/);
+  });
+
+  it('refuses a request line over the size limit', async () => {
+    await assert.rejects(agentRequest(socketPath, 'secrets.create', [ORG, 'BIG', 'x'.repeat(2 * 1024 * 1024), '', []]),
+      /Request too large/);
+    assert.equal((await agentRequest(socketPath, 'ping')).pid, process.pid);
+  });
+
+  it('gives up on an agent that does not answer', async () => {
+    const silentPath = `${dir}/silent.sock`;
+    const silent     = net.createServer(() => {});
+    await new Promise(resolve => silent.listen(silentPath, resolve));
+    try {
+      const client = createAgentClient(silentPath, { timeoutMs: 50 });
+      await assert.rejects(client.secrets().sync(ORG), /did not respond within 50ms .* --no-agent/);
+    } finally {
+      silent.close();
+    }
+  });
+
+  it('stops on request and removes its socket', async () => {
+    await agentRequest(socketPath, 'stop');
+    await stopped;
+    assert.equal(fs.existsSync(socketPath), false);
+    assert.equal(await connectAgent(socketPath), null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// MCP server
+// ---------------------------------------------------------------------------
+describe('MCP server', () => {
+  let auditDir;
+  before(() => {
+    auditDir = fs.mkdtempSync(`${os.tmpdir()}/bws-mcp-audit-`);
+    process.env.BWS_AUDIT_LOG = `${auditDir}/audit.jsonl`;
+  });
+  after(() => {
+    delete process.env.BWS_AUDIT_LOG;
+    fs.rmSync(auditDir, { recursive: true, force: true });
+  });
+
+  const operations = {
+    listSecrets:      async () => [{ key: 'A', project: 'p', id: '1' }],
+    resolveSecretKey: async (key) => ({ key: key.replace(/^.*\//, ''), project: 'p' }),
+    getSecretValue:   async (key) => ({ key: key.replace(/^.*\//, ''), project: 'p', value: 'v' }),
+    setSecret:      async (key, value, flags) => ({ action: 'created', key, project: flags.project ?? null }),
+    moveSecrets:    async () => { throw new Error("No secrets found matching 'X*'"); },
+    deleteSecret:   async (key) => ({ key, project: null }),
+    listProjects:   async () => ['p'],
+    createProject:  async (name) => ({ name, id: '2' }),
+    deleteProject:  async (name) => ({ name, unassigned: [] }),
+  };
+  const call = (handler, name, args) =>
+    handler.handle({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+
+  it('initializes and lists tools without get_secret by default', async () => {
+    const { handle } = createMcpHandler({ operations });
+    const init = await handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } });
+    assert.equal(init.result.protocolVersion, '2024-11-05');
+    assert.deepEqual(init.result.capabilities, { tools: {} });
+    assert.equal(await handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+    const { result } = await handle({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    assert.deepEqual(result.tools.map(t => t.name), [
+      'list_secrets', 'set_secret', 'move_secrets', 'delete_secret', 'list_projects', 'create_project', 'delete_project',
+    ]);
+  });
+
+  it('returns structured results and reports failures as isError', async () => {
+    const handler = createMcpHandler({ operations });
+    const set = await call(handler, 'set_secret', { key: 'K', value: 'v', project: 'p' });
+    assert.deepEqual(set.result.structuredContent, { action: 'created', key: 'K', project: 'p' });
+    assert.deepEqual(JSON.parse(set.result.content[0].text), set.result.structuredContent);
+    const move = await call(handler, 'move_secrets', { pattern: 'X*', project: 'p' });
+    assert.equal(move.result.isError, true);
+    assert.match(move.result.content[0].text, /No secrets found matching/);
+    assert.match((await call(handler, 'set_secret', { key: 'K' })).result.content[0].text, /Missing required argument 'value'/);
+    assert.match((await call(handler, 'delete_secret', { key: 'K', force: 'yes' })).result.content[0].text, /Unknown argument 'force'/);
+  });
+
+  it('rejects unknown tools and methods', async () => {
+    const handler = createMcpHandler({ operations });
+    assert.equal((await call(handler, 'get_secret', { key: 'A' })).error.code, -32602);
+    assert.equal((await handler.handle({ jsonrpc: '2.0', id: 3, method: 'resources/list' })).error.code, -32601);
+  });
+
+  it('get_secret only reads keys on the allowlist', async () => {
+    const handler = createMcpHandler({ operations, readAllow: ['p/*'] });
+    assert.ok(handler.tools.some(t => t.name === 'get_secret'));
+    const ok = await call(handler, 'get_secret', { key: 'p/A' });
+    assert.deepEqual(ok.result.structuredContent, { key: 'A', project: 'p', value: 'v' });
+
+    const denied = await call(createMcpHandler({ operations, readAllow: ['OTHER_*'] }), 'get_secret', { key: 'A' });
+    assert.equal(denied.result.isError, true);
+    assert.doesNotMatch(JSON.stringify(denied), /"v"/);
+  });
+
+  it('get_secret checks the allowlist before reading and audits a refusal as an error', async () => {
+    let reads = 0;
+    const ops = { ...operations, getSecretValue: async (...args) => { reads++; return operations.getSecretValue(...args); } };
+    const denied = await call(createMcpHandler({ operations: ops, readAllow: ['OTHER_*'] }), 'get_secret', { key: 'A' });
+    assert.equal(denied.result.isError, true);
+    assert.equal(reads, 0);
+    const entries = readAuditLog(process.env.BWS_AUDIT_LOG).filter(e => e.op === 'get');
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every(e => e.outcome === 'error' && /not allowed/.test(e.error)));
+    assert.deepEqual(entries.at(-1).keys, ['A']);
+  });
+
+  it('isReadAllowed matches KEY or project/KEY', () => {
+    assert.equal(isReadAllowed(['DB_*'], 'DB_URL', 'prod'), true);
+    assert.equal(isReadAllowed(['prod/*'], 'DB_URL', 'prod'), true);
+    assert.equal(isReadAllowed(['prod/*'], 'DB_URL', 'stage'), false);
+    assert.equal(isReadAllowed(['prod/*'], 'DB_URL', null), false);
+    assert.equal(isReadAllowed([], 'DB_URL', 'prod'), false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+describe('audit log', () => {
+  it('chains entries and verifies an intact log', async () => {
+    const dir  = fs.mkdtempSync(`${os.tmpdir()}/bws-audit-test-`);
+    const file = `${dir}/logs/audit.jsonl`;
+    try {
+      const first  = await appendAuditEntry(file, { op: 'set', keys: ['A'], project: 'p', outcome: 'ok', command: ['x'] });
+      const second = await appendAuditEntry(file, { op: 'get', keys: ['A'], outcome: 'error', error: 'boom', command: ['x'] });
+      assert.equal(first.prev, '0'.repeat(64));
+      assert.equal(second.prev, first.hash);
+      assert.equal(second.seq, 2);
+
+      const entries = readAuditLog(file);
+      assert.deepEqual(entries, [first, second]);
+      assert.deepEqual(verifyAuditLog(entries), { ok: true, count: 2, lastHash: second.hash });
+      assert.equal(fs.existsSync(`${file}.lock`), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('serializes concurrent appends', async () => {
+    const dir  = fs.mkdtempSync(`${os.tmpdir()}/bws-audit-test-`);
+    const file = `${dir}/audit.jsonl`;
+    try {
+      await Promise.all(Array.from({ length: 5 }, (_, i) =>
+        appendAuditEntry(file, { op: 'get', keys: [`K${i}`], outcome: 'ok', command: ['x'] })
+      ));
+      const result = verifyAuditLog(readAuditLog(file));
+      assert.equal(result.ok, true);
+      assert.equal(result.count, 5);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('detects modified, removed and reordered entries', async () => {
+    const dir  = fs.mkdtempSync(`${os.tmpdir()}/bws-audit-test-`);
+    const file = `${dir}/audit.jsonl`;
+    try {
+      for (const key of ['A', 'B', 'C']) await appendAuditEntry(file, { op: 'get', keys: [key], outcome: 'ok', command: ['x'] });
+      const entries = readAuditLog(file);
+
+      const modified = structuredClone(entries);
+      modified[1].keys = ['Z'];
+      assert.deepEqual(verifyAuditLog(modified), {
+        ok: false, count: 3, lastHash: null, line: 2, error: 'its content does not match its hash (entry modified)',
+      });
+      assert.equal(verifyAuditLog([entries[0], entries[2]]).line, 2);
+      assert.equal(verifyAuditLog([entries[1], entries[0], entries[2]]).line, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('scrubs secret values from the command line', () => {
+    assert.deepEqual(
+      auditCommandLine(['/usr/bin/node', '/opt/bin/secrets-bws', 'set', 'K', 's3cret', '--note', 'x'], ['s3cret']),
+      ['secrets-bws', 'set', 'K', '***', '--note', 'x'],
+    );
+    assert.deepEqual(auditCommandLine(['node', 'cli', '--value=hunter22'], ['hunter22']), ['cli', '***']);
+  });
+});
+
+describe('parseSince', () => {
+  const now = Date.parse('2026-01-31T12:00:00Z');
+
+  it('accepts ages and dates', () => {
+    assert.equal(parseSince('30m', now).toISOString(), '2026-01-31T11:30:00.000Z');
+    assert.equal(parseSince('2d', now).toISOString(), '2026-01-29T12:00:00.000Z');
+    assert.equal(parseSince('2026-01-01T00:00:00Z', now).toISOString(), '2026-01-01T00:00:00.000Z');
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => parseSince('soon', now), /Invalid time 'soon'/);
+  });
+});
+
+describe('parseDuration', () => {
+  it('converts minutes, hours and days to milliseconds', () => {
+    assert.equal(parseDuration('30m'), 1_800_000);
+    assert.equal(parseDuration('30d'), 2_592_000_000);
+    assert.throws(() => parseDuration('2w'), /Invalid duration '2w'/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// deleteSecrets
+// ---------------------------------------------------------------------------
+describe('deleteSecrets', () => {
+  const ORG   = 'org-1';
+  const saved = {};
+  const ENV   = { BWS_BACKEND: 'memory', HAL_BWS_ORGANIZATION_ID: ORG, BWS_AUDIT_LOG: 'off', BWS_NO_AGENT: '1', BWS_NO_CACHE: '1' };
+
+  before(() => {
+    for (const name of Object.keys(ENV)) {
+      saved[name]       = process.env[name];
+      process.env[name] = ENV[name];
+    }
+  });
+  after(() => {
+    for (const name of Object.keys(ENV)) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  async function seed() {
+    resetMemoryStore();
+    const client  = createFakeClient();
+    const project = await client.projects().create(ORG, 'svc');
+    for (const key of ['OLD_A', 'OLD_B', 'OLD_C']) await client.secrets().create(ORG, key, 'v', '', [project.id]);
+    await client.secrets().create(ORG, 'OLD_D', 'v', '', []);
+    return client;
+  }
+
+  it('deletes every match in a project after confirmation', async () => {
+    const client = await seed();
+    let offered;
+    const result = await deleteSecrets('svc/OLD_*', { confirm: async (targets) => { offered = targets; return true; } });
+    assert.deepEqual(offered.map(t => t.key), ['OLD_A', 'OLD_B', 'OLD_C']);
+    assert.deepEqual(result.deleted, offered);
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual((await client.secrets().sync(ORG)).secrets.map(s => s.key), ['OLD_D']);
+  });
+
+  it('deletes nothing when not confirmed', async () => {
+    const client = await seed();
+    const result = await deleteSecrets('OLD_*', { confirm: async () => false });
+    assert.equal(result.cancelled, true);
+    assert.equal((await client.secrets().sync(ORG)).secrets.length, 4);
+  });
+
+  it('reports per-item errors from the batched response', async () => {
+    const client = await seed();
+    // Another process deletes OLD_B between listing and deleting
+    const confirm = async () => {
+      const gone = (await client.secrets().sync(ORG)).secrets.find(s => s.key === 'OLD_B');
+      await client.secrets().delete([gone.id]);
+      return true;
+    };
+    const result = await deleteSecrets('OLD_*', { confirm });
+    assert.deepEqual(result.deleted.map(d => d.key), ['OLD_A', 'OLD_C', 'OLD_D']);
+    assert.deepEqual(result.failed, [{ key: 'OLD_B', project: 'svc', error: 'Secret not found' }]);
+  });
+
+  it('rejects a pattern that matches nothing', async () => {
+    await seed();
+    await assert.rejects(deleteSecrets('NEW_*', { project: 'svc' }), /No secrets found matching 'NEW_\*'/);
+    await assert.rejects(deleteSecrets('svc/OLD_*', { project: 'other' }), /names project 'svc' but --project is 'other'/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Dry run
+// ---------------------------------------------------------------------------
+describe('createDryRunClient', () => {
+  const ORG = 'org-1';
+
+  it('records writes as a plan without performing them', async () => {
+    resetMemoryStore();
+    const real = createFakeClient();
+    const old  = await real.projects().create(ORG, 'old');
+    const a    = await real.secrets().create(ORG, 'A', 'secret-a', '', [old.id]);
+    const b    = await real.secrets().create(ORG, 'B', 'vb', 'note', []);
+    const c    = await real.secrets().create(ORG, 'C', 'vc', '', [old.id]);
+
+    const dry     = createDryRunClient(real);
+    const planned = await dry.projects().create(ORG, 'new');
+    assert.ok((await dry.projects().list(ORG)).data.some(p => p.name === 'new'));
+    await dry.secrets().update(ORG, a.id, 'A', 'secret-a', '', [planned.id]);
+    await dry.secrets().update(ORG, b.id, 'B', 'changed', 'note', [old.id]);
+    await dry.secrets().create(ORG, 'D', 'vd', '', [planned.id]);
+    const deleted = await dry.secrets().delete([c.id]);
+    assert.deepEqual(deleted.data, [{ id: c.id, error: null }]);
+    await dry.projects().delete([old.id]);
+
+    const plan = await dry.plan(ORG);
+    assert.deepEqual(plan, [
+      { action: 'create-project', project: 'new' },
+      { action: 'move', key: 'A', from: 'old', to: 'new' },
+      { action: 'update', key: 'B', project: 'old', changes: ['value', 'project'], from: null },
+      { action: 'create', key: 'D', project: 'new' },
+      { action: 'delete', key: 'C', project: 'old' },
+      // A was moved out, C deleted and B moved in before the project goes
+      { action: 'delete-project', project: 'old', unassigned: ['B'] },
+    ]);
+    assert.doesNotMatch(JSON.stringify(plan), /secret-|changed/);
+
+    // Nothing was written
+    assert.deepEqual((await real.secrets().sync(ORG)).secrets.map(s => [s.key, s.value]), [['A', 'secret-a'], ['B', 'vb'], ['C', 'vc']]);
+    assert.deepEqual((await real.projects().list(ORG)).data.map(p => p.name), ['old']);
+  });
+
+  it('formats a plan for people', () => {
+    assert.equal(formatPlan([
+      { action: 'create-project', project: 'new' },
+      { action: 'move', key: 'A', from: null, to: 'new' },
+      { action: 'update', key: 'B', project: 'old', changes: ['note'] },
+      { action: 'delete-project', project: 'old', unassigned: ['C'] },
+    ]), [
+      'Dry run — nothing was changed. Plan:',
+      "  + project 'new'",
+      "  > secret 'A' '(none)' -> 'new'",
+      "  ~ secret 'B' in 'old' (note)",
+      "  - project 'old' (1 secret(s) become unassigned: C)",
+      '4 change(s)',
+    ].join('\n') + '\n');
+    assert.match(formatPlan([]), /No changes\n$/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseManifest / planManifest
+// ---------------------------------------------------------------------------
+describe('parseManifest', () => {
+  it('reads nested YAML with flow and block sequences, quotes and comments', () => {
+    const manifest = parseManifest([
+      '# desired state',
+      'projects:',
+      '  payments:',
+      '    keys: [STRIPE_*, "PAY # DB"]',
+      '    required:',
+      '    - STRIPE_KEY',
+      '    notes:',
+      "      STRIPE_KEY: 'Rotated quarterly'  # by ops",
+      '  legacy: {}',
+      '  empty:',
+    ].join('\n'), 'yaml');
+    assert.deepEqual(manifest.projects, [
+      { name: 'payments', keys: ['STRIPE_*', 'PAY # DB'], required: ['STRIPE_KEY'], notes: { STRIPE_KEY: 'Rotated quarterly' } },
+      { name: 'legacy',   keys: [], required: [], notes: {} },
+      { name: 'empty',    keys: [], required: [], notes: {} },
+    ]);
+  });
+
+  it('accepts the same shape as JSON', () => {
+    const manifest = parseManifest('{"projects":{"api":{"keys":["API_*"]}}}', 'json');
+    assert.deepEqual(manifest.projects, [{ name: 'api', keys: ['API_*'], required: [], notes: {} }]);
+  });
+
+  it('rejects invalid documents with the line or field at fault', () => {
+    const fails = (text, pattern) => assert.throws(() => parseManifest(text, 'yaml'), pattern);
+    fails('projects:\n\tapi: {}', /line 2: tabs are not allowed/);
+    fails('projects:\n  api:\n  api:', /line 3: duplicate key 'api'/);
+    fails('projects: {api: {}}', /line 1: flow mappings are not supported/);
+    fails('project:\n  api:', /unknown top-level field\(s\): project/);
+    fails('projects:\n  api:\n    key: [A]', /projects\.api: unknown field\(s\): key/);
+    fails('projects:\n  api:\n    keys: A_*', /projects\.api\.keys must be a list/);
+    fails('projects:\n  api:\n    required: [A_*]', /must list exact key names, not globs/);
+  });
+});
+
+describe('planManifest', () => {
+  const projects = [{ id: 'p-api', name: 'api' }, { id: 'p-old', name: 'old' }];
+  const secret   = (id, key, projectId, note = '') => ({ id, key, value: 'v', note, projectId });
+  const manifest = parseManifest([
+    'projects:',
+    '  api:',
+    '    keys: [API_*, SHARED]',
+    '    required: [API_TOKEN]',
+    '    notes:',
+    '      API_URL: Public endpoint',
+    '  web:',
+    '    keys: [WEB_*, SHARED]',
+  ].join('\n'), 'yaml');
+
+  it('creates projects, moves misplaced secrets and sets notes in order', () => {
+    const changes = planManifest(manifest, [
+      secret('1', 'API_KEY', null),
+      secret('2', 'API_URL', 'p-api'),
+      secret('3', 'WEB_HOST', 'p-old'),
+      secret('4', 'OTHER', 'p-old'),
+    ], projects);
+    assert.deepEqual(changes, [
+      { action: 'create-project', project: 'web' },
+      { action: 'move', key: 'API_KEY', from: null, to: 'api', id: '1' },
+      { action: 'update', key: 'API_URL', project: 'api', changes: ['note'], id: '2', note: 'Public endpoint' },
+      { action: 'move', key: 'WEB_HOST', from: 'old', to: 'web', id: '3' },
+      { action: 'missing', key: 'API_TOKEN', project: 'api' },
+    ]);
+  });
+
+  it('leaves a secret in any project it belongs to', () => {
+    const changes = planManifest(manifest, [secret('1', 'SHARED', 'p-old'), secret('2', 'API_TOKEN', 'p-api')], [
+      ...projects, { id: 'p-web', name: 'web' },
+    ]);
+    assert.deepEqual(changes, [{ action: 'move', key: 'SHARED', from: 'old', to: 'api', id: '1' }]);
+    assert.deepEqual(planManifest(manifest, [secret('1', 'SHARED', 'p-web'), secret('2', 'API_TOKEN', 'p-api')], [
+      ...projects, { id: 'p-web', name: 'web' },
+    ]), []);
+  });
+
+  it('with prune deletes unlisted projects, naming the secrets left in them', () => {
+    const changes = planManifest(manifest, [
+      secret('1', 'API_TOKEN', 'p-old'),
+      secret('2', 'OTHER', 'p-old'),
+    ], [...projects, { id: 'p-web', name: 'web' }], { prune: true });
+    assert.deepEqual(changes.at(-1), { action: 'delete-project', project: 'old', unassigned: ['OTHER'], id: 'p-old' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateValue
+// ---------------------------------------------------------------------------
+describe('generateValue', () => {
+  it('draws characters from the charset, 32 alnum by default', () => {
+    assert.match(generateValue(), /^[A-Za-z0-9]{32}$/);
+    assert.match(generateValue({ charset: 'hex', length: '12' }), /^[0-9a-f]{12}$/);
+    assert.match(generateValue({ charset: 'symbols', length: 200 }), /^[A-Za-z0-9!#$%&()*+,\-./:;<=>?@[\]^_{|}~]{200}$/);
+    assert.notEqual(generateValue(), generateValue());
+  });
+
+  it('encodes random bytes, UUIDs and passphrases', () => {
+    assert.equal(Buffer.from(generateValue({ format: 'base64' }), 'base64').length, 32);
+    assert.match(generateValue({ format: 'hex', length: 16 }), /^[0-9a-f]{32}$/);
+    assert.match(generateValue({ format: 'uuid' }), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.match(generateValue({ format: 'passphrase', length: 4 }), /^[a-z]+(-[a-z]+){3}$/);
+  });
+
+  it('describes the strength of what it generates', () => {
+    assert.equal(describeStrength(), '32 alnum characters (190 bits)');
+    assert.equal(describeStrength({ format: 'hex', length: 16 }), '16 random bytes as hex (128 bits)');
+    assert.match(describeStrength({ format: 'passphrase' }), /^10-word passphrase \(\d+ bits\)$/);
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => generateValue({ length: '0' }), /Invalid --length '0'/);
+    assert.throws(() => generateValue({ length: '8x' }), /Invalid --length '8x'/);
+    assert.throws(() => generateValue({ charset: 'emoji' }), /Unknown charset 'emoji' \(expected alnum, symbols, hex\)/);
+    assert.throws(() => generateValue({ format: 'jwt' }), /Unknown format 'jwt'/);
+    assert.throws(() => generateValue({ charset: 'hex', format: 'hex' }), /either --charset or --format/);
+    assert.throws(() => generateValue({ format: 'uuid', length: '8' }), /does not apply to --format uuid/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Note metadata
+// ---------------------------------------------------------------------------
+describe('parseNote / setNoteMeta', () => {
+  it('splits a metadata header from the free text', () => {
+    assert.deepEqual(parseNote('rotated: 2026-01-01\nowner: ops\n---\nMain DB\n---\nmore'), {
+      meta: { rotated: '2026-01-01', owner: 'ops' },
+      text: 'Main DB\n---\nmore',
+    });
+  });
+
+  it('treats notes without a well-formed header as free text', () => {
+    for (const note of ['', 'Main DB', '---\nMain DB', 'Owner Name: x\n---\ny', 'a: 1\nfree text\n---']) {
+      assert.deepEqual(parseNote(note), { meta: {}, text: note });
+    }
+    assert.deepEqual(parseNote(null), { meta: {}, text: '' });
+  });
+
+  it('sets and removes fields while keeping the text exactly', () => {
+    const note = setNoteMeta('Main DB\n', { rotated: '2026-01-01' });
+    assert.equal(note, 'rotated: 2026-01-01\n---\nMain DB\n');
+    assert.equal(setNoteMeta(note, { rotated: '2026-02-01', owner: 'ops' }), 'rotated: 2026-02-01\nowner: ops\n---\nMain DB\n');
+    assert.equal(setNoteMeta(note, { rotated: null }), 'Main DB\n');
+    assert.equal(formatNote({}, 'x'), 'x');
+    assert.throws(() => formatNote({ Owner: 'x' }, ''), /Invalid note field name 'Owner'/);
+    assert.throws(() => setNoteMeta('', { owner: 'a\nb' }), /must be a single line/);
+  });
+
+  it('replaces the free text and keeps the header', () => {
+    assert.equal(setNoteText('owner: ops\n---\nold', 'new'), 'owner: ops\n---\nnew');
+    assert.equal(setNoteText('old', 'new'), 'new');
+  });
+
+  it('reads tags, owner and expiry', () => {
+    assert.deepEqual(readNoteFields('tags: db, payments\nowner: ops\nexpires: 2027-01-01\n---\nMain DB'), {
+      tags: ['db', 'payments'], owner: 'ops', expires: '2027-01-01', text: 'Main DB',
+    });
+    assert.deepEqual(readNoteFields('Main DB'), { tags: [], owner: null, expires: null, text: 'Main DB' });
+  });
+
+  it('checks tags and expiry dates', () => {
+    assert.equal(checkTag('team.api-v2'), 'team.api-v2');
+    assert.throws(() => checkTag('a,b'), /Invalid tag 'a,b'/);
+    assert.equal(parseExpiry('2027-01-01').toISOString(), '2027-01-01T00:00:00.000Z');
+    for (const bad of ['2027-02-30', '2027-1-1', 'soon']) assert.throws(() => parseExpiry(bad), /expected YYYY-MM-DD/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Snapshots
+// ---------------------------------------------------------------------------
+describe('createSnapshot / diffSnapshots', () => {
+  const SALT     = '00112233445566778899aabbccddeeff';
+  const projects = [{ id: 'p1', name: 'api' }, { id: 'p2', name: 'web' }];
+  const before   = createSnapshot({
+    orgId: 'org', projects, salt: SALT, secrets: [
+      { id: '1', key: 'API_KEY', value: 'secret-one', note: '', projectId: 'p1' },
+      { id: '2', key: 'WEB_KEY', value: 'v2', note: 'n', projectId: null },
+      { id: '3', key: 'OLD', value: 'v3', note: '', projectId: 'p2' },
+    ],
+  });
+
+  it('records fingerprints, never values', () => {
+    assert.deepEqual(before.secrets.map(s => [s.key, s.project]), [['WEB_KEY', null], ['API_KEY', 'api'], ['OLD', 'web']]);
+    assert.equal(before.secrets[1].fingerprint, fingerprint(SALT, 'secret-one'));
+    assert.notEqual(fingerprint(SALT, 'secret-one'), fingerprint('ff' + SALT.slice(2), 'secret-one'));
+    assert.doesNotMatch(JSON.stringify(before), /secret-one/);
+    assert.deepEqual(parseSnapshot(JSON.stringify(before)), before);
+  });
+
+  it('reports added, removed, moved, renamed and changed secrets', () => {
+    const after = createSnapshot({
+      orgId: 'org', projects: [projects[0], { id: 'p3', name: 'new' }], salt: SALT, secrets: [
+        { id: '1', key: 'API_TOKEN', value: 'secret-two', note: '', projectId: 'p1' },
+        { id: '2', key: 'WEB_KEY', value: 'v2', note: 'n', projectId: 'p1' },
+        { id: '4', key: 'NEW', value: 'v4', note: '', projectId: 'p3' },
+      ],
+    });
+    const { changes, valuesCompared } = diffSnapshots(before, after);
+    assert.equal(valuesCompared, true);
+    assert.deepEqual(changes, [
+      { action: 'project-added', project: 'new' },
+      { action: 'project-removed', project: 'web' },
+      { action: 'changed', key: 'API_TOKEN', project: 'api', changes: ['key', 'value'], fromKey: 'API_KEY' },
+      { action: 'moved', key: 'WEB_KEY', from: null, to: 'api' },
+      { action: 'added', key: 'NEW', project: 'new' },
+      { action: 'removed', key: 'OLD', project: 'web' },
+    ]);
+    assert.equal(formatDiff(changes.slice(2, 4), 'Changes:'), [
+      'Changes:',
+      "  ~ secret 'API_TOKEN' in 'api' (key, value), renamed from 'API_KEY'",
+      "  > secret 'WEB_KEY' '(none)' -> 'api'",
+      '2 difference(s)',
+    ].join('\n') + '\n');
+  });
+
+  it('does not compare values across salts', () => {
+    const resalted = { ...before, salt: 'ff'.repeat(16), secrets: before.secrets.map(s => ({ ...s, fingerprint: 'x' })) };
+    assert.deepEqual(diffSnapshots(before, resalted), { changes: [], valuesCompared: false });
+  });
+
+  it('rejects files that are not snapshots', () => {
+    assert.throws(() => parseSnapshot('{'), /not valid JSON/);
+    assert.throws(() => parseSnapshot('{"secrets":[]}'), /not a secrets-bws snapshot/);
+    assert.throws(() => parseSnapshot('{"format":"secrets-bws-snapshot","version":9}'), /unsupported snapshot version 9/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Backups
+// ---------------------------------------------------------------------------
+describe('encryptBackup / decryptBackup / planRestore', () => {
+  const projects = [{ id: 'p1', name: 'api' }, { id: 'p2', name: 'empty' }];
+  const payload  = createBackupPayload({
+    orgId: 'org', projects, secrets: [
+      { id: '1', key: 'API_KEY', value: 'backup-secret', note: 'n', projectId: 'p1' },
+      { id: '2', key: 'LOOSE', value: 'v', note: '', projectId: null },
+    ],
+  });
+
+  it('round-trips with the passphrase and keeps values out of the file', () => {
+    const text = encryptBackup(payload, 'correct horse battery');
+    assert.doesNotMatch(text, /backup-secret|API_KEY/);
+    assert.deepEqual(JSON.parse(text).kdf.name, 'scrypt');
+    assert.deepEqual(decryptBackup(text, 'correct horse battery'), payload);
+  });
+
+  it('fails on a wrong passphrase or a modified file', () => {
+    const text = encryptBackup(payload, 'correct horse battery');
+    assert.throws(() => decryptBackup(text, 'wrong horse battery'), /wrong passphrase, or the file has been modified/);
+    const weakened = { ...JSON.parse(text) };
+    weakened.kdf = { ...weakened.kdf, N: 1024 };
+    assert.throws(() => decryptBackup(JSON.stringify(weakened), 'correct horse battery'), /has been modified/);
+    assert.throws(() => decryptBackup('{"format":"secrets-bws-backup","version":2}', 'x'), /unsupported backup version 2/);
+    assert.throws(() => decryptBackup('plain text', 'x'), /not a secrets-bws backup/);
+  });
+
+  it('plans missing projects and secrets, and finds conflicts', () => {
+    const live = [
+      { id: '9', key: 'API_KEY', value: 'changed', note: 'n', projectId: 'p1' },
+      { id: '8', key: 'LOOSE', value: 'v', note: '', projectId: null },
+    ];
+    const plan = planRestore(payload, live, [projects[0]]);
+    assert.deepEqual(plan.projects, ['empty']);
+    assert.deepEqual(plan.create, []);
+    assert.deepEqual(plan.identical.map(e => e.key), ['LOOSE']);
+    assert.deepEqual(plan.conflicts.map(e => [e.key, e.existing.id]), [['API_KEY', '9']]);
+
+    const only = planRestore(payload, [], [], { only: 'api/*' });
+    assert.deepEqual(only.projects, ['api']);
+    assert.deepEqual(only.create.map(e => e.key), ['API_KEY']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Promotion
+// ---------------------------------------------------------------------------
+describe('parseKeyMaps / planPromotion', () => {
+  const secrets = [
+    { id: '1', key: 'STAGING_DB', value: 'same', projectId: 'st' },
+    { id: '2', key: 'STAGING_API', value: 'new', projectId: 'st' },
+    { id: '3', key: 'STAGING_NEW', value: 'n', projectId: 'st' },
+    { id: '4', key: 'PROD_DB', value: 'same', projectId: 'pr' },
+    { id: '5', key: 'PROD_API', value: 'old', projectId: 'pr' },
+    { id: '6', key: 'PROD_LEGACY', value: 'x', projectId: 'pr' },
+    { id: '7', key: 'STAGING_DB', value: 'loose', projectId: null },
+  ];
+  const maps = parseKeyMaps(['STAGING_*=PROD_*']);
+
+  it('parses FROM=TO maps and rejects malformed ones', () => {
+    assert.deepEqual(maps, [{ from: 'STAGING_*', to: 'PROD_*' }]);
+    assert.equal(mapKey(maps, 'STAGING_DB'), 'PROD_DB');
+    assert.equal(mapKey(maps, 'SHARED'), 'SHARED');
+    assert.throws(() => parseKeyMaps(['STAGING_*']), /expected FROM=TO/);
+    assert.throws(() => parseKeyMaps(['A_*=B']), /same number of \*/);
+  });
+
+  it('classifies mapped keys by value without exposing them', () => {
+    const entries = planPromotion(secrets, { fromId: 'st', toId: 'pr', maps });
+    assert.deepEqual(entries.map(e => [e.status, e.key, e.targetKey]), [
+      ['missing', 'STAGING_NEW', 'PROD_NEW'],
+      ['different', 'STAGING_API', 'PROD_API'],
+      ['identical', 'STAGING_DB', 'PROD_DB'],
+      ['only-in-target', null, 'PROD_LEGACY'],
+    ]);
+    assert.equal(entries[1].target.id, '5');
+  });
+
+  it('narrows with a keys glob and treats a missing target project as empty', () => {
+    const narrowed = planPromotion(secrets, { fromId: 'st', toId: 'pr', maps, keys: 'STAGING_D*' });
+    assert.deepEqual(narrowed.map(e => e.status), ['identical']);
+    const fresh = planPromotion(secrets, { fromId: 'st', toId: null, maps });
+    assert.deepEqual(fresh.map(e => e.status), ['missing', 'missing', 'missing']);
+  });
+
+  it('refuses two source keys that map to the same target key', () => {
+    assert.throws(
+      () => planPromotion(secrets, { fromId: 'st', toId: 'pr', maps: parseKeyMaps(['STAGING_DB=ONE', 'STAGING_API=ONE']) }),
+      /would both be promoted to 'ONE'/
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Doctor
+// ---------------------------------------------------------------------------
+describe('resolveRules / runChecks', () => {
+  const projects = [
+    { id: 'p1', name: 'api' },
+    { id: 'p2', name: 'api' },
+    { id: 'p3', name: 'unused' },
+  ];
+  const secrets = [
+    { id: '1', key: 'DB_URL', value: 'x', projectId: 'p1' },
+    { id: '2', key: 'DB_URL', value: 'y', projectId: 'p2' },
+    { id: '3', key: 'token', value: '  ', projectId: null },
+  ];
+
+  it('reports every default rule, errors first', () => {
+    const findings = runChecks({ secrets, projects }, resolveRules());
+    assert.deepEqual(findings.map(f => [f.severity, f.rule]), [
+      ['error', 'duplicate-project'],
+      ['error', 'empty-value'],
+      ['warn', 'duplicate-key'],
+      ['warn', 'unassigned'],
+      ['warn', 'key-naming'],
+      ['info', 'empty-project'],
+    ]);
+    assert.equal(findings[2].message, "Key 'DB_URL' exists 2 times: api, api");
+    assert.match(formatFindings(findings), /^ERROR  duplicate-project  Project name 'api' is used by 2 projects$/m);
+    assert.match(formatFindings(findings), /6 finding\(s\): 2 error\(s\), 3 warning\(s\), 1 info\n$/);
+  });
+
+  it('applies severities, options and off from the config', () => {
+    const rules = resolveRules({ rules: {
+      'duplicate-project': 'off',
+      'empty-value':       'warn',
+      'key-naming':        { severity: 'error', pattern: '^[a-z_]+$' },
+    } });
+    const findings = runChecks({ secrets, projects }, rules);
+    assert.deepEqual(findings.filter(f => f.severity === 'error').map(f => f.key), ['DB_URL', 'DB_URL']);
+    assert.equal(findings.some(f => f.rule === 'duplicate-project'), false);
+  });
+
+  it('rejects unknown rules, severities and options, and bad patterns', () => {
+    assert.throws(() => resolveRules({ rules: { nope: 'off' } }), /Unknown rule 'nope'/);
+    assert.throws(() => resolveRules({ rules: { unassigned: 'fatal' } }), /Invalid severity 'fatal'/);
+    assert.throws(() => resolveRules({ rules: { unassigned: { pattern: 'x' } } }), /Unknown option 'pattern'/);
+    assert.throws(() => resolveRules({ rules: { 'key-naming': { pattern: '(' } } }), /Invalid pattern/);
+  });
+
+  it('rejects rules and options named after prototype properties', () => {
+    assert.throws(() => resolveRules({ rules: { constructor: 'off' } }), /Unknown rule 'constructor'/);
+    assert.throws(() => resolveRules({ rules: { 'key-naming': { toString: 'x' } } }), /Unknown option 'toString'/);
+  });
+});